@@ -0,0 +1,160 @@
+// Pune Zilla Parishad village gazetteer used for offline village resolution
+//
+// Entries are built from PUNE_ZP_VILLAGES with Marathi names and known spelling variants.
+// A full LGD export can replace the bundled entries via VILLAGE_GAZETTEER_PATH (JSON array
+// of { lgdCode, name, nameMr, taluka, variants, coordinates }).
+const fs = require('fs');
+const logger = require('../src/utils/logger');
+const { PUNE_ZP_VILLAGES, TALUKA_COORDINATES } = require('./puneZpVillages');
+
+// Taluka names in Marathi
+const TALUKA_NAMES_MR = {
+  "Haveli": "हवेली",
+  "Maval": "मावळ",
+  "Mulshi": "मुळशी",
+  "Baramati": "बारामती",
+  "Purandar": "पुरंदर",
+  "Daund": "दौंड",
+  "Indapur": "इंदापूर",
+  "Junnar": "जुन्नर",
+  "Ambegaon": "आंबेगाव",
+  "Khed": "खेड",
+  "Shirur": "शिरूर",
+  "Bhor": "भोर",
+  "Velhe": "वेल्हे"
+};
+
+// Village names in Marathi (Devanagari)
+const VILLAGE_NAMES_MR = {
+  "Aakurdi": "आकुर्डी", "Akolner": "अकोळनेर", "Ale": "आळे", "Alegaon": "आळेगाव",
+  "Alephata": "आळेफाटा", "Ambegaon": "आंबेगाव", "Amboli": "आंबोली", "Anandnagar": "आनंदनगर",
+  "Andgaon": "अंदगाव", "Apti": "आपटी", "Arvi": "आर्वी", "Aundh": "औंध",
+  "Baramati": "बारामती", "Bavdhan": "बावधन", "Bawadi": "बावडी", "Bhaje": "भाजे",
+  "Bhare": "भरे", "Bhavaninagar": "भवानीनगर", "Bhigwan": "भिगवण", "Bhilarewadi": "भिलारेवाडी",
+  "Bhimashankar": "भीमाशंकर", "Bhor": "भोर", "Bhugaon": "भुगाव", "Bijawadi": "बिजवडी",
+  "Bor": "बोर", "Chakan": "चाकण", "Daund": "दौंड", "Dehu": "देहू",
+  "Dehu Road": "देहू रोड", "Deur": "देऊर", "Dhamari": "धामारी", "Dhavaleshwar": "धवलेश्वर",
+  "Dhoki": "ढोकी", "Diveghat": "दिवेघाट", "Donaje": "डोणजे", "Dudhiware": "दुधिवरे",
+  "Gavhane": "गव्हाणे", "Ghodegaon": "घोडेगाव", "Ghodnadi": "घोडनदी", "Ghotawade": "घोटावडे",
+  "Gujar Nimbalkar": "गुजर निंबाळकर", "Gulunche": "गुळुंचे", "Gunjanur": "गुंजनूर", "Hadapsar": "हडपसर",
+  "Hinjawadi": "हिंजवडी", "Indapur": "इंदापूर", "Jalgaon": "जळगाव", "Jambhrun": "जांभरूण",
+  "Jambhulne": "जांभुळणे", "Jambhulwadi": "जांभूळवाडी", "Jejuri": "जेजुरी", "Jeur": "जेऊर",
+  "Jinti": "जिंती", "Junnar": "जुन्नर", "Kalambhe": "कळंभे", "Kalas": "कळस",
+  "Kalmodi": "कळमोडी", "Kalyan": "कल्याण", "Kanhe": "कान्हे", "Kanheri": "कन्हेरी",
+  "Kankeshwar": "कनकेश्वर", "Karegaon": "कारेगाव", "Karla": "कार्ला", "Kashti": "काष्टी",
+  "Kasurdi": "कासुर्डी", "Katraj": "कात्रज", "Kedgaon": "केडगाव", "Kendur": "केंदूर",
+  "Kesnand": "केसनंद", "Khadaki": "खडकी", "Khadakwasla": "खडकवासला", "Khandala": "खंडाळा",
+  "Khandobachi": "खंडोबाची", "Khed": "खेड", "Kirkatwadi": "किरकटवाडी", "Kondhane": "कोंढाणे",
+  "Koregaon": "कोरेगाव", "Koregaon Bhima": "कोरेगाव भीमा", "Kudje": "कुडजे", "Kukadi": "कुकडी",
+  "Kumthe": "कुमठे", "Kune": "कुणे", "Kurundwad": "कुरुंदवाड", "Kurvande": "कुरवंडे",
+  "Lavasa": "लवासा", "Lenyadri": "लेण्याद्री", "Lohegaon": "लोहगाव", "Lonavala": "लोणावळा",
+  "Mahalunge": "महाळुंगे", "Majalgaon": "माजलगाव", "Malavli": "मळवली", "Malawli": "मळवली",
+  "Malegaon": "माळेगाव", "Malshiras": "माळशिरस", "Manchar": "मंचर", "Mandangad": "मंडणगड",
+  "Manjari": "मांजरी", "Manjari Khurd": "मांजरी खुर्द", "Maregaon": "मारेगाव", "Markal": "मरकळ",
+  "Morgaon": "मोरगाव", "Mulshi": "मुळशी", "Naigaon": "नायगाव", "Nane": "नाणे",
+  "Nanvij": "नानविज", "Narayangaon": "नारायणगाव", "Nasarapur": "नसरापूर", "Nazare": "नाझरे",
+  "Nhavare": "न्हावरे", "Nigdi": "निगडी", "Nimgaon": "निमगाव", "Nimgiri": "निमगिरी",
+  "Nira": "नीरा", "Otur": "ओतूर", "Ozar": "ओझर", "Pabal": "पाबळ",
+  "Pargaon": "पारगाव", "Parner": "पारनेर", "Pashan": "पाषाण", "Paud": "पौड",
+  "Pavana": "पवना", "Pimpri": "पिंपरी", "Pirangut": "पिरंगुट", "Pune": "पुणे",
+  "Purandar": "पुरंदर", "Rajgurunagar": "राजगुरुनगर", "Rajur": "राजूर", "Rajuri": "राजुरी",
+  "Ranjangaon": "रांजणगाव", "Rui": "रुई", "Sanaswadi": "सणसवाडी", "Sangvi": "सांगवी",
+  "Saswad": "सासवड", "Shedshal": "शेडशाळ", "Shelgaon": "शेलगाव", "Shikrapur": "शिक्रापूर",
+  "Shindawane": "शिंदवणे", "Shirgaon": "शिरगाव", "Shirsufal": "शिर्सुफळ", "Shirur": "शिरूर",
+  "Shrigonda": "श्रीगोंदा", "Shrirampur": "श्रीरामपूर", "Somatane": "सोमाटणे", "Supa": "सुपा",
+  "Supe": "सुपे", "Sus": "सूस", "Takali": "टाकळी", "Talegaon": "तळेगाव",
+  "Talegaon Dabhade": "तळेगाव दाभाडे", "Tamhini": "ताम्हिणी", "Tandulwadi": "तांदुळवाडी", "Targaon": "तारगाव",
+  "Telgaon": "तेलगाव", "Tembhurni": "टेंभुर्णी", "Thergaon": "थेरगाव", "Tulapur": "तुळापूर",
+  "Tungarli": "तुंगार्ली", "Ugar": "उगार", "Undavadi": "उंडवडी", "Urse": "उर्से",
+  "Vadgaon": "वडगाव", "Vadgaon Maval": "वडगाव मावळ", "Vadhu": "वढू", "Vagholi": "वाघोली",
+  "Valvan": "वळवण", "Varsoli": "वरसोली", "Velhe": "वेल्हे", "Velu": "वेळू",
+  "Wadaj": "वडज", "Wadu": "वाडू", "Wagholi": "वाघोली", "Wakad": "वाकड",
+  "Waki": "वाकी", "Walchandnagar": "वालचंदनगर", "Walhe": "वाल्हे", "Yavat": "यवत"
+};
+
+// Common English spellings citizens use besides the gazetteer name
+const SPELLING_VARIANTS = {
+  "Aakurdi": ["Akurdi"],
+  "Alephata": ["Ale Phata"],
+  "Bavdhan": ["Bawdhan"],
+  "Dehu Road": ["Dehuroad"],
+  "Hinjawadi": ["Hinjewadi", "Hinjwadi"],
+  "Kesnand": ["Kesanand"],
+  "Khadaki": ["Khadki", "Kirkee"],
+  "Lonavala": ["Lonavla"],
+  "Malavli": ["Malawli"],
+  "Malawli": ["Malavli"],
+  "Nasarapur": ["Nasrapur"],
+  "Pirangut": ["Pirangoot"],
+  "Rajgurunagar": ["Khed Rajgurunagar"],
+  "Shirur": ["Ghodnadi Shirur"],
+  "Somatane": ["Somatne"],
+  "Talegaon Dabhade": ["Talegaon Dabhade MIDC"],
+  "Vadgaon": ["Wadgaon"],
+  "Vadgaon Maval": ["Wadgaon Maval"],
+  "Vagholi": ["Wagholi"],
+  "Wagholi": ["Vagholi"],
+  "Velhe": ["Velha"]
+};
+
+// Build bundled entries (one per village and taluka) from the village list
+const buildBundledEntries = () => {
+  const entries = [];
+
+  Object.keys(PUNE_ZP_VILLAGES).forEach(taluka => {
+    // Some talukas list a village twice; keep one entry per taluka
+    const villages = [...new Set(PUNE_ZP_VILLAGES[taluka])];
+
+    villages.forEach(village => {
+      entries.push({
+        id: `${taluka}:${village}`.toLowerCase().replace(/\s+/g, '_'),
+        lgdCode: null,
+        name: village,
+        nameMr: VILLAGE_NAMES_MR[village] || null,
+        taluka: taluka,
+        talukaMr: TALUKA_NAMES_MR[taluka],
+        variants: SPELLING_VARIANTS[village] || [],
+        coordinates: TALUKA_COORDINATES[taluka],
+        coordinatePrecision: 'taluka'
+      });
+    });
+  });
+
+  return entries;
+};
+
+// Load an external gazetteer export if configured, otherwise use the bundled entries
+const loadGazetteer = () => {
+  const gazetteerPath = process.env.VILLAGE_GAZETTEER_PATH;
+
+  if (gazetteerPath) {
+    try {
+      const external = JSON.parse(fs.readFileSync(gazetteerPath, 'utf8'));
+
+      return external.map(entry => ({
+        id: entry.id || String(entry.lgdCode || `${entry.taluka}:${entry.name}`.toLowerCase().replace(/\s+/g, '_')),
+        lgdCode: entry.lgdCode || null,
+        name: entry.name,
+        nameMr: entry.nameMr || VILLAGE_NAMES_MR[entry.name] || null,
+        taluka: entry.taluka,
+        talukaMr: entry.talukaMr || TALUKA_NAMES_MR[entry.taluka] || null,
+        variants: entry.variants || SPELLING_VARIANTS[entry.name] || [],
+        coordinates: entry.coordinates || TALUKA_COORDINATES[entry.taluka] || null,
+        coordinatePrecision: entry.coordinates ? 'village' : 'taluka'
+      }));
+    } catch (error) {
+      logger.error(`Failed to load village gazetteer from ${gazetteerPath}:`, error.message);
+    }
+  }
+
+  return buildBundledEntries();
+};
+
+const GAZETTEER = loadGazetteer();
+
+module.exports = {
+  GAZETTEER,
+  TALUKA_NAMES_MR,
+  VILLAGE_NAMES_MR,
+  SPELLING_VARIANTS
+};
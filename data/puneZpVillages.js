@@ -1,3 +1,5 @@
+const { normalizeVillageKey } = require('../src/utils/villageNameNormalizer');
+
 // List of villages in Pune Zilla Panchayat organized by taluka
 const PUNE_ZP_VILLAGES = {
   "Haveli": [
@@ -83,10 +85,10 @@ const TALUKA_COORDINATES = {
   "Indapur": { lat: 18.1167, lng: 75.0167 },
   "Junnar": { lat: 19.2167, lng: 73.8833 },
   "Ambegaon": { lat: 19.0167, lng: 73.7833 },
-  "Khed": { lat: 18.9500, lng: 73.3833 },
+  "Khed": { lat: 18.8500, lng: 73.8833 },
   "Shirur": { lat: 18.8333, lng: 74.3833 },
   "Bhor": { lat: 18.1500, lng: 73.8500 },
-  "Velhe": { lat: 18.1167, lng: 73.4833 }
+  "Velhe": { lat: 18.2833, lng: 73.6333 }
 };
 
 // Get all villages as a flat array
@@ -104,14 +106,18 @@ const getAllVillages = () => {
   return allVillages;
 };
 
-// Search villages by name (fuzzy matching)
+// Search villages by name (fuzzy matching, Devanagari or Latin, spelling variants folded)
 const searchVillages = (searchTerm) => {
-  const searchLower = searchTerm.toLowerCase();
+  const searchLower = normalizeVillageKey(searchTerm);
   const results = [];
+
+  if (!searchLower) {
+    return results;
+  }
   
   Object.keys(PUNE_ZP_VILLAGES).forEach(taluka => {
     PUNE_ZP_VILLAGES[taluka].forEach(village => {
-      const villageLower = village.toLowerCase();
+      const villageLower = normalizeVillageKey(village);
       
       // Exact match
       if (villageLower === searchLower) {
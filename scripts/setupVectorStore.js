@@ -1,10 +1,14 @@
-const { OpenAI } = require('openai');
 const fs = require('fs');
 const path = require('path');
+const llmService = require('../src/services/llmService');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Vector store operations of the configured LLM provider (LLM_PROVIDER)
+const provider = llmService.getLLMProvider();
+
+// Record the test queries' usage only when Firebase is configured; without it the script still runs
+if (!fs.existsSync(path.join(__dirname, '../serviceaccount.json'))) {
+  llmService.setUsageRecorder('none');
+}
 
 async function setupZPPuneVectorStore() {
   try {
@@ -23,12 +27,9 @@ async function setupZPPuneVectorStore() {
     console.log('✅ Found knowledgebase.txt file');
 
     // Step 1: Create vector store
-    const vectorStore = await openai.vectorStores.create({
+    const vectorStore = await provider.createVectorStore({
       name: "ZP_Pune_Knowledge_Base",
-      expires_after: {
-        anchor: "last_active_at",
-        days: 365
-      }
+      expiresAfterDays: 365
     });
 
     console.log(`✅ Vector store created: ${vectorStore.id}`);
@@ -36,20 +37,10 @@ async function setupZPPuneVectorStore() {
     // Step 2: Upload knowledgebase.txt file
     console.log('📁 Uploading knowledgebase.txt...');
 
-    // Upload file to OpenAI
-    const file = await openai.files.create({
-      file: fs.createReadStream(knowledgeBasePath),
-      purpose: 'assistants'
-    });
+    // Upload the file and add it to the vector store
+    const file = await provider.addFileToVectorStore(vectorStore.id, knowledgeBasePath);
 
-    console.log(`✅ File uploaded: ${file.id}`);
-
-    // Add file to vector store
-    await openai.vectorStores.files.create(vectorStore.id, {
-      file_id: file.id
-    });
-
-    console.log(`✅ File added to vector store`);
+    console.log(`✅ File uploaded and added to vector store: ${file.fileId}`);
 
     // Step 3: Wait for processing
     console.log('⏳ Waiting for file to be processed...');
@@ -59,8 +50,8 @@ async function setupZPPuneVectorStore() {
     const maxAttempts = 30;
 
     while (!isReady && attempts < maxAttempts) {
-      const files = await openai.vectorStores.files.list(vectorStore.id);
-      const allProcessed = files.data.every(file => file.status === 'completed');
+      const files = await provider.listVectorStoreFiles(vectorStore.id);
+      const allProcessed = files.every(file => file.status === 'completed');
 
       if (allProcessed) {
         isReady = true;
@@ -76,38 +67,17 @@ async function setupZPPuneVectorStore() {
       console.log('⚠️  File is still processing. Check manually later.');
     }
 
-    // Step 4: Test the vector store
-    console.log('🧪 Testing vector store with knowledgebase.txt...');
-
+    // Step 4: Save configuration before testing, so a failing test query does not lose the new store
     const testQueries = [
       "What services does ZP Pune provide?",
       "How to apply for birth certificate?",
       "Contact information for ZP Pune"
     ];
 
-    for (const query of testQueries) {
-      try {
-        const testResponse = await openai.responses.create({
-          model: "gpt-4o-mini",
-          input: query,
-          tools: [{
-            type: "file_search",
-            vector_store_ids: [vectorStore.id]
-          }]
-        });
-
-        console.log(`✅ Test query: "${query}"`);
-        console.log(`📋 Response: ${testResponse.output[1]?.content[0]?.text?.substring(0, 100)}...`);
-      } catch (error) {
-        console.log(`❌ Test failed for: "${query}"`, error.message);
-      }
-    }
-
-    // Step 5: Save configuration
     const config = {
       vectorStoreId: vectorStore.id,
       sourceFile: 'knowledgebase.txt',
-      uploadedFileId: file.id,
+      uploadedFileId: file.fileId,
       createdAt: new Date().toISOString(),
       status: 'active',
       testQueries: testQueries
@@ -123,6 +93,23 @@ async function setupZPPuneVectorStore() {
 
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
 
+    // Step 5: Test the vector store
+    console.log('🧪 Testing vector store with knowledgebase.txt...');
+
+    for (const query of testQueries) {
+      try {
+        const testResponse = await llmService.fileSearch({
+          query,
+          vectorStoreIds: [vectorStore.id]
+        });
+
+        console.log(`✅ Test query: "${query}"`);
+        console.log(`📋 Response: ${testResponse.text?.substring(0, 100)}...`);
+      } catch (error) {
+        console.log(`❌ Test failed for: "${query}"`, error.message);
+      }
+    }
+
     console.log('\n🎉 Setup Complete!');
     console.log(`📝 Add this to your .env file:`);
     console.log(`ZP_PUNE_VECTOR_STORE_ID=${vectorStore.id}`);
@@ -162,7 +149,7 @@ async function updateVectorStore() {
     // Remove old file from vector store
     if (config.uploadedFileId) {
       try {
-        await openai.vectorStores.files.del(vectorStoreId, config.uploadedFileId);
+        await provider.removeVectorStoreFile(vectorStoreId, config.uploadedFileId);
         console.log('✅ Old file removed from vector store');
       } catch (error) {
         console.log('⚠️  Could not remove old file:', error.message);
@@ -171,18 +158,10 @@ async function updateVectorStore() {
 
     // Upload new file
     const knowledgeBasePath = path.join(__dirname, '../knowledgebase.txt');
-    const file = await openai.files.create({
-      file: fs.createReadStream(knowledgeBasePath),
-      purpose: 'assistants'
-    });
-
-    // Add to vector store
-    await openai.vectorStores.files.create(vectorStoreId, {
-      file_id: file.id
-    });
+    const file = await provider.addFileToVectorStore(vectorStoreId, knowledgeBasePath);
 
     // Update config
-    config.uploadedFileId = file.id;
+    config.uploadedFileId = file.fileId;
     config.updatedAt = new Date().toISOString();
     
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
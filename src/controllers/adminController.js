@@ -0,0 +1,555 @@
+const citizenService = require('../services/citizenService');
+const stateManager = require('../services/stateManagerService');
+const handoffService = require('../services/handoffService');
+const grievanceService = require('../services/grievanceService');
+const campaignService = require('../services/campaignService');
+const consentService = require('../services/consentService');
+const dataRightsService = require('../services/dataRightsService');
+const usageService = require('../services/usageService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+const DEFAULT_EXPORT_LIMIT = 5000;
+const MAX_EXPORT_LIMIT = 20000;
+const DEFAULT_COST_DAYS = 7;
+const MAX_COST_DAYS = 92;
+
+const CONSENT_EXPORT_COLUMNS = ['timestamp', 'whatsappNumber', 'status', 'previousStatus', 'source', 'keyword', 'operator'];
+
+// Error carrying an HTTP status for invalid query parameters
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseLimit = (value, defaultValue, maxValue) => {
+  if (value === undefined) return defaultValue;
+
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxValue) {
+    throw badRequest(`limit must be between 1 and ${maxValue}`);
+  }
+  return limit;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date`);
+  }
+  return date;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+};
+
+// Usage day ('YYYY-MM-DD') query parameter
+const parseUsageDate = (value, name, defaultValue) => {
+  if (value === undefined) return defaultValue;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+};
+
+// Send validation errors (400) and state conflicts (409) to the client, anything else to the central error handler
+const handleError = (error, res, next) => {
+  if (error.statusCode === 400 || error.statusCode === 409) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  return next(error);
+};
+
+// GET /admin/citizens?taluka=&village=&registered=&language=&activeSince=&activeBefore=&limit=&cursor=
+const listCitizens = async (req, res, next) => {
+  try {
+    const filters = {
+      taluka: req.query.taluka || null,
+      village: req.query.village || null,
+      isRegistered: parseBoolean(req.query.registered, 'registered'),
+      language: req.query.language || null,
+      activeSince: parseDate(req.query.activeSince, 'activeSince'),
+      activeBefore: parseDate(req.query.activeBefore, 'activeBefore')
+    };
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const { citizens, nextCursor } = await citizenService.listCitizens(filters, {
+      limit,
+      cursor: req.query.cursor || null
+    });
+
+    return res.json({
+      status: 'success',
+      data: citizens,
+      pagination: { limit, count: citizens.length, nextCursor }
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// Respond 404 unless the citizen exists
+const findCitizenOr404 = async (req, res) => {
+  const citizen = await citizenService.getCitizen(req.params.whatsappNumber);
+
+  if (!citizen) {
+    res.status(404).json({ status: 'error', message: 'Citizen not found' });
+    return null;
+  }
+  return citizen;
+};
+
+// GET /admin/citizens/:whatsappNumber
+const getCitizen = async (req, res, next) => {
+  try {
+    const citizen = await findCitizenOr404(req, res);
+    if (!citizen) return;
+
+    const currentState = await stateManager.getCurrentState(req.params.whatsappNumber);
+
+    return res.json({
+      status: 'success',
+      data: { ...citizen, currentState: currentState?.stateId || null }
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/citizens/:whatsappNumber/chats?limit=
+const getCitizenChats = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    if (!await findCitizenOr404(req, res)) return;
+
+    const chats = await citizenService.getChatHistory(req.params.whatsappNumber, limit);
+
+    return res.json({ status: 'success', data: chats, count: chats.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/citizens/:whatsappNumber/states?limit=
+const getCitizenStates = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    if (!await findCitizenOr404(req, res)) return;
+
+    const states = await stateManager.getStateHistory(req.params.whatsappNumber, limit);
+
+    return res.json({ status: 'success', data: states, count: states.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/citizens/:whatsappNumber/grievances/:ticketId/status { status, note } - record progress on a grievance
+const updateGrievanceStatus = async (req, res, next) => {
+  try {
+    const { status, note = null } = req.body || {};
+
+    if (!grievanceService.GRIEVANCE_STATUSES[status]) {
+      throw badRequest(`status must be one of ${Object.keys(grievanceService.GRIEVANCE_STATUSES).join(', ')}`);
+    }
+    if (note !== null && typeof note !== 'string') {
+      throw badRequest('note must be a string');
+    }
+
+    const grievance = await grievanceService.updateGrievanceStatus(req.params.whatsappNumber, req.params.ticketId, status, {
+      note: note?.trim() || null,
+      operator: req.adminUser.name
+    });
+    if (!grievance) {
+      return res.status(404).json({ status: 'error', message: 'Grievance not found' });
+    }
+
+    return res.json({ status: 'success', data: grievance });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/citizens/:whatsappNumber/handoff { reason } - take over a conversation
+const startHandoff = async (req, res, next) => {
+  try {
+    const citizen = await findCitizenOr404(req, res);
+    if (!citizen) return;
+
+    const { created, handoff } = await handoffService.requestHandoff(req.params.whatsappNumber, {
+      reason: req.body?.reason || 'officer_takeover',
+      language: citizen.preferredLanguage || 'en',
+      requestedBy: req.adminUser.name
+    });
+
+    return res.status(created ? 201 : 200).json({ status: 'success', data: handoff });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/handoffs?status=waiting|active|closed&assignedTo=&limit=
+const listHandoffs = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'waiting';
+    if (!handoffService.HANDOFF_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of ${handoffService.HANDOFF_STATUSES.join(', ')}`);
+    }
+
+    const handoffs = await handoffService.listHandoffs({
+      status,
+      assignedTo: req.query.assignedTo || null,
+      limit: parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT)
+    });
+
+    return res.json({ status: 'success', data: handoffs, count: handoffs.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/handoffs/:handoffId - handoff with its message thread
+const getHandoff = async (req, res, next) => {
+  try {
+    const handoff = await handoffService.getHandoff(req.params.handoffId);
+    if (!handoff) {
+      return res.status(404).json({ status: 'error', message: 'Handoff not found' });
+    }
+
+    const messages = await handoffService.getHandoffMessages(req.params.handoffId);
+    return res.json({ status: 'success', data: { ...handoff, messages } });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// Respond 404/409 when a handoff action could not be applied
+const sendHandoffResult = (res, handoff) => {
+  if (!handoff) {
+    return res.status(409).json({ status: 'error', message: 'Handoff not found or already closed' });
+  }
+  return res.json({ status: 'success', data: handoff });
+};
+
+// POST /admin/handoffs/:handoffId/claim
+const claimHandoff = async (req, res, next) => {
+  try {
+    const handoff = await handoffService.claimHandoff(req.params.handoffId, req.adminUser.name);
+    return sendHandoffResult(res, handoff);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/handoffs/:handoffId/messages { text } - reply to the citizen as the signed-in officer
+const replyToHandoff = async (req, res, next) => {
+  try {
+    const text = (req.body?.text || '').trim();
+    if (!text) {
+      throw badRequest('text is required');
+    }
+
+    const handoff = await handoffService.sendAgentReply(req.params.handoffId, req.adminUser.name, text);
+    return sendHandoffResult(res, handoff);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/handoffs/:handoffId/close { notifyCitizen } - hand the conversation back to the bot
+const closeHandoff = async (req, res, next) => {
+  try {
+    const handoff = await handoffService.closeHandoff(req.params.handoffId, req.adminUser.name, {
+      notifyCitizen: req.body?.notifyCitizen !== false
+    });
+    return sendHandoffResult(res, handoff);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/campaigns { name, department, template: { name, language, components }, audience: { taluka, village, language }, scheduledAt }
+const createCampaign = async (req, res, next) => {
+  try {
+    const { name, department, template, audience = {}, scheduledAt } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      throw badRequest('name is required');
+    }
+    if (!template?.name) {
+      throw badRequest('template.name is required');
+    }
+    if (template.components !== undefined && !Array.isArray(template.components)) {
+      throw badRequest('template.components must be an array');
+    }
+    if (audience.language && !['en', 'mr'].includes(audience.language)) {
+      throw badRequest('audience.language must be en or mr');
+    }
+
+    const campaign = await campaignService.createCampaign({
+      name: name.trim(),
+      department: department || null,
+      template,
+      audience,
+      scheduledAt: parseDate(scheduledAt, 'scheduledAt')
+    }, req.adminUser.name);
+
+    return res.status(201).json({ status: 'success', data: campaign });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/campaigns?status=&limit=
+const listCampaigns = async (req, res, next) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !campaignService.CAMPAIGN_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of ${campaignService.CAMPAIGN_STATUSES.join(', ')}`);
+    }
+
+    const campaigns = await campaignService.listCampaigns({
+      status,
+      limit: parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT)
+    });
+
+    return res.json({ status: 'success', data: campaigns, count: campaigns.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/campaigns/:campaignId - campaign with delivery counts
+const getCampaign = async (req, res, next) => {
+  try {
+    const campaign = await campaignService.getCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({ status: 'error', message: 'Campaign not found' });
+    }
+
+    return res.json({ status: 'success', data: campaign });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/campaigns/:campaignId/recipients?status=pending|sent|failed|skipped&limit=
+const getCampaignRecipients = async (req, res, next) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !campaignService.RECIPIENT_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of ${campaignService.RECIPIENT_STATUSES.join(', ')}`);
+    }
+    const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+
+    if (!await campaignService.getCampaign(req.params.campaignId)) {
+      return res.status(404).json({ status: 'error', message: 'Campaign not found' });
+    }
+
+    const recipients = await campaignService.listRecipients(req.params.campaignId, { status, limit });
+    return res.json({ status: 'success', data: recipients, count: recipients.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// POST /admin/campaigns/:campaignId/cancel
+const cancelCampaign = async (req, res, next) => {
+  try {
+    const campaign = await campaignService.cancelCampaign(req.params.campaignId, req.adminUser.name);
+    if (!campaign) {
+      return res.status(409).json({ status: 'error', message: 'Campaign not found or already finished' });
+    }
+
+    return res.json({ status: 'success', data: campaign });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/citizens/:whatsappNumber/consent - current consent and its history
+const getCitizenConsent = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    const citizen = await findCitizenOr404(req, res);
+    if (!citizen) return;
+
+    const history = await consentService.getConsentHistory(req.params.whatsappNumber, limit);
+
+    return res.json({
+      status: 'success',
+      data: {
+        consent: citizen.consent ? { ...citizen.consent, updatedAt: citizen.consent.updatedAt?.toDate?.() || null } : null,
+        history
+      },
+      count: history.length
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// Quote a CSV field when needed
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /admin/consent/export?since=&until=&status=&format=json|csv&limit=
+const exportConsentHistory = async (req, res, next) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !consentService.CONSENT_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of ${consentService.CONSENT_STATUSES.join(', ')}`);
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      throw badRequest('format must be json or csv');
+    }
+
+    const history = await consentService.exportConsentHistory({
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+      status,
+      limit: parseLimit(req.query.limit, DEFAULT_EXPORT_LIMIT, MAX_EXPORT_LIMIT)
+    });
+
+    if (format === 'csv') {
+      const rows = history.map(entry => CONSENT_EXPORT_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="consent-history.csv"');
+      return res.send([CONSENT_EXPORT_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    return res.json({ status: 'success', data: history, count: history.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/citizens/:whatsappNumber/export?format=json|text - everything held about a number
+const exportCitizenData = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'text'].includes(format)) {
+      throw badRequest('format must be json or text');
+    }
+
+    const data = await dataRightsService.collectCitizenData(req.params.whatsappNumber);
+    const hasData = !!data.profile || Object.values(data).some(value => Array.isArray(value) && value.length > 0);
+    if (!hasData) {
+      return res.status(404).json({ status: 'error', message: 'No data held for this number' });
+    }
+
+    await dataRightsService.logDataRequest('export', req.params.whatsappNumber, {
+      channel: 'admin',
+      requestedBy: req.adminUser.name
+    });
+
+    if (format === 'text') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(dataRightsService.formatTextExport(data, req.query.language || 'en'));
+    }
+
+    return res.json({ status: 'success', data });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// DELETE /admin/citizens/:whatsappNumber { confirm: "<whatsappNumber>" } - cascading erasure
+const eraseCitizenData = async (req, res, next) => {
+  try {
+    // The number must be typed again to confirm the erasure
+    if (req.body?.confirm !== req.params.whatsappNumber) {
+      throw badRequest('confirm must repeat the WhatsApp number to erase');
+    }
+
+    const counts = await dataRightsService.eraseCitizenData(req.params.whatsappNumber, {
+      channel: 'admin',
+      requestedBy: req.adminUser.name
+    });
+
+    return res.json({ status: 'success', data: { erased: counts } });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/citizens/:whatsappNumber/data-requests - export/erasure audit log
+const getDataRequestLog = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    const requests = await dataRightsService.getDataRequestLog(req.params.whatsappNumber, limit);
+
+    return res.json({ status: 'success', data: requests, count: requests.length });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+// GET /admin/costs?since=&until=&whatsappNumber= - LLM spend per day, stage, model and citizen
+const getCosts = async (req, res, next) => {
+  try {
+    const defaultSince = new Date(Date.now() - (DEFAULT_COST_DAYS - 1) * 24 * 60 * 60 * 1000);
+    const since = parseUsageDate(req.query.since, 'since', usageService.getUsageDate(defaultSince));
+    const until = parseUsageDate(req.query.until, 'until', usageService.getUsageDate());
+
+    if (since > until) {
+      throw badRequest('since must not be after until');
+    }
+    if ((new Date(until) - new Date(since)) / (24 * 60 * 60 * 1000) >= MAX_COST_DAYS) {
+      throw badRequest(`period must not exceed ${MAX_COST_DAYS} days`);
+    }
+
+    const report = await usageService.getCostReport({
+      since,
+      until,
+      whatsappNumber: req.query.whatsappNumber || null
+    });
+    const budget = await usageService.getBudgetStatus();
+
+    return res.json({ status: 'success', data: { ...report, budget } });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+module.exports = {
+  listCitizens,
+  getCitizen,
+  getCitizenChats,
+  getCitizenStates,
+  updateGrievanceStatus,
+  startHandoff,
+  listHandoffs,
+  getHandoff,
+  claimHandoff,
+  replyToHandoff,
+  closeHandoff,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  getCampaignRecipients,
+  cancelCampaign,
+  getCitizenConsent,
+  exportConsentHistory,
+  exportCitizenData,
+  eraseCitizenData,
+  getDataRequestLog,
+  getCosts
+};
@@ -1,9 +1,17 @@
 const whatsappService = require('../services/whatsappService');
 const citizenService = require('../services/citizenService');
 const openaiService = require('../services/openaiService');
-const knowledgeBaseService = require('../services/knowledgeBaseService');
 const languageDetector = require('../utils/languageDetector');
 const stateManager = require('../services/stateManagerService');
+const grievanceService = require('../services/grievanceService');
+const transcriptionService = require('../services/transcriptionService');
+const messageDedup = require('../services/messageDedupService');
+const flowEngine = require('../services/flowEngineService');
+const handoffService = require('../services/handoffService');
+const consentService = require('../services/consentService');
+const dataRightsService = require('../services/dataRightsService');
+const llmRateLimit = require('../services/llmRateLimitService');
+const moderationService = require('../services/moderationService');
 const logger = require('../utils/logger');
 const { admin } = require('../config/firebase');
 
@@ -34,16 +42,15 @@ const handleWebhook = async (req, res) => {
     res.status(200).send('OK');
     
     if (req.body.object === 'whatsapp_business_account') {
-      if (req.body.entry && req.body.entry.length > 0) {
-        const entry = req.body.entry[0];
-        
-        if (entry.changes && entry.changes.length > 0) {
-          const change = entry.changes[0];
-          
-          if (change.value && change.value.messages && change.value.messages.length > 0) {
-            await processMessage(change.value.messages[0], change.value.metadata, change.value.contacts);
-          }
-        }
+      const statuses = collectStatusUpdates(req.body.entry);
+      const inboundMessages = collectInboundMessages(req.body.entry);
+
+      if (statuses.length > 0) {
+        await whatsappService.processStatusUpdates(statuses);
+      }
+
+      if (inboundMessages.length > 0) {
+        await processMessageBatch(inboundMessages);
       }
     }
   } catch (error) {
@@ -51,6 +58,176 @@ const handleWebhook = async (req, res) => {
   }
 };
 
+// Flatten every entry, change and message of a webhook payload (in delivery order)
+const collectInboundMessages = (entries = []) => {
+  const inboundMessages = [];
+
+  for (const entry of entries || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value;
+
+      if (!value || !value.messages) {
+        continue;
+      }
+
+      for (const message of value.messages) {
+        inboundMessages.push({
+          message,
+          metadata: value.metadata,
+          contacts: value.contacts || []
+        });
+      }
+    }
+  }
+
+  return inboundMessages;
+};
+
+// Flatten delivery status callbacks (sent/delivered/read/failed) from a webhook payload
+const collectStatusUpdates = (entries = []) => {
+  const statuses = [];
+
+  for (const entry of entries || []) {
+    for (const change of entry.changes || []) {
+      statuses.push(...(change.value?.statuses || []));
+    }
+  }
+
+  return statuses;
+};
+
+// Process a batch: sequentially per sender (keeps each citizen's messages ordered), concurrently across senders
+const processMessageBatch = async (inboundMessages) => {
+  const messagesBySender = new Map();
+
+  for (const inbound of inboundMessages) {
+    const sender = inbound.message.from;
+    if (!messagesBySender.has(sender)) {
+      messagesBySender.set(sender, []);
+    }
+    messagesBySender.get(sender).push(inbound);
+  }
+
+  logger.info(`Processing webhook batch: ${inboundMessages.length} message(s) from ${messagesBySender.size} sender(s)`);
+
+  const senderResults = await Promise.all(
+    [...messagesBySender.entries()].map(async ([sender, senderMessages]) => {
+      const outcomes = [];
+
+      for (const { message, metadata, contacts } of senderMessages) {
+        const startTime = Date.now();
+
+        try {
+          const result = await processMessage(message, metadata, contacts);
+          outcomes.push({
+            messageId: message.id,
+            sender,
+            status: result?.success === false ? 'failed' : (result?.duplicate ? 'duplicate' : 'processed'),
+            error: result?.error || null,
+            duration: Date.now() - startTime
+          });
+        } catch (error) {
+          outcomes.push({
+            messageId: message.id,
+            sender,
+            status: 'failed',
+            error: error.message,
+            duration: Date.now() - startTime
+          });
+        }
+      }
+
+      return outcomes;
+    })
+  );
+
+  const outcomes = senderResults.flat();
+  outcomes.forEach(outcome => {
+    if (outcome.status === 'failed') {
+      logger.error(`Message ${outcome.messageId} from ${outcome.sender} failed after ${outcome.duration}ms: ${outcome.error}`);
+    } else {
+      logger.info(`Message ${outcome.messageId} from ${outcome.sender} ${outcome.status} in ${outcome.duration}ms`);
+    }
+  });
+
+  const failedCount = outcomes.filter(outcome => outcome.status === 'failed').length;
+  logger.info(`Webhook batch complete: ${outcomes.length - failedCount} processed, ${failedCount} failed`);
+
+  return outcomes;
+};
+
+// Record a STOP/START request and confirm it to the citizen
+const handleConsentKeyword = async (phoneNumberId, from, messageText, consentKeyword, profileInfo, messageId) => {
+  const { status, keyword, language } = consentKeyword;
+
+  await citizenService.getOrCreateCitizen(from, profileInfo);
+  await consentService.setConsent(from, status, { source: 'keyword', keyword });
+
+  const confirmationMessage = consentService.getConsentConfirmationMessage(status, language);
+  await whatsappService.sendMessage(phoneNumberId, from, confirmationMessage, { consentNotice: true });
+
+  await citizenService.saveChatMessage(from, 'user', messageText, language, { messageId });
+  await citizenService.saveChatMessage(from, 'assistant', confirmationMessage, language, {
+    receiverWhatsappId: from,
+    senderWhatsappId: process.env.PHONE_NUMBER_ID
+  });
+
+  return { success: true, consent: status };
+};
+
+// Citizen data requests: a text export over WhatsApp, or erasure once the citizen confirms it
+const handleDataRequest = async (phoneNumberId, from, dataRequest, replyId, language, messageData) => {
+  const botMessageData = {
+    ...messageData,
+    receiverWhatsappId: from,
+    senderWhatsappId: process.env.PHONE_NUMBER_ID
+  };
+  const currentState = await stateManager.getCurrentState(from);
+
+  if (dataRequest === 'export') {
+    const exportText = await dataRightsService.exportForCitizen(from, language);
+    await whatsappService.sendMessage(phoneNumberId, from, exportText);
+    await citizenService.saveChatMessage(from, 'assistant', exportText, language, botMessageData);
+    return;
+  }
+
+  if (dataRequest === 'erasure') {
+    if (currentState) {
+      await stateManager.updateStateContext(from, currentState, { pendingErasure: { requestedAt: new Date().toISOString() } });
+    }
+
+    const confirmation = dataRightsService.getErasureConfirmationInteractive(language);
+    await whatsappService.sendInteractiveMessage(phoneNumberId, from, confirmation);
+    await citizenService.saveChatMessage(from, 'assistant', confirmation.body.text, language, {
+      ...botMessageData,
+      messageType: 'interactive'
+    });
+    return;
+  }
+
+  // Reply to the confirmation buttons
+  const pendingErasure = currentState?.context?.pendingErasure;
+  if (currentState) {
+    await stateManager.updateStateContext(from, currentState, { pendingErasure: null });
+  }
+
+  if (replyId === dataRightsService.ERASURE_CONFIRM && dataRightsService.isErasureConfirmationValid(pendingErasure)) {
+    await dataRightsService.eraseCitizenData(from, { channel: 'whatsapp', requestedBy: 'citizen' });
+    await whatsappService.sendMessage(phoneNumberId, from, dataRightsService.getErasureResultMessage('erased', language));
+
+    // Sending the confirmation leaves fresh delivery records behind
+    await dataRightsService.eraseDeliveryRecords(from);
+    return;
+  }
+
+  const resultMessage = dataRightsService.getErasureResultMessage(
+    replyId === dataRightsService.ERASURE_CONFIRM ? 'expired' : 'cancelled',
+    language
+  );
+  await whatsappService.sendMessage(phoneNumberId, from, resultMessage);
+  await citizenService.saveChatMessage(from, 'assistant', resultMessage, language, botMessageData);
+};
+
 // Enhanced message processing with simplified registration
 const processMessage = async (message, metadata, contacts = []) => {
   const startTime = Date.now();
@@ -58,6 +235,12 @@ const processMessage = async (message, metadata, contacts = []) => {
   try {
     const phoneNumberId = metadata.phone_number_id;
     const from = message.from;
+
+    // Skip webhook retries of a message that was already processed
+    if (!await messageDedup.claimMessage(message.id)) {
+      logger.info(`Skipping duplicate message ${message.id} from ${from}`);
+      return { success: true, duplicate: true };
+    }
     
     // Extract WhatsApp profile information
     const contact = contacts?.find(c => c.wa_id === from);
@@ -83,15 +266,35 @@ const processMessage = async (message, metadata, contacts = []) => {
     // Handle message types
     let messageText = '';
     let messageType = message.type;
-    
+    let transcript = null;
+    let sharedLocation = null;
+    let interactiveReplyId = null;
+
     switch (message.type) {
       case 'text':
         messageText = message.text.body;
         break;
-        
+
+      case 'audio':
+        transcript = await transcribeVoiceNote(message.audio, from);
+
+        if (!transcript.success) {
+          await whatsappService.sendMessage(phoneNumberId, from, getTranscriptionFailedMessage(profileInfo?.displayName));
+          return;
+        }
+
+        messageText = transcript.text;
+        break;
+
+      case 'location':
+        sharedLocation = message.location;
+        messageText = formatLocationText(sharedLocation);
+        break;
+
       case 'interactive':
         const interactiveData = message.interactive;
         messageText = getInteractiveResponseText(interactiveData);
+        interactiveReplyId = getInteractiveReplyId(interactiveData);
         break;
         
       case 'button':
@@ -100,8 +303,8 @@ const processMessage = async (message, metadata, contacts = []) => {
         
       default:
         const unsupportedMessage = profileInfo?.displayName 
-          ? `Dear ${profileInfo.displayName}, I can only process text messages. Please send your query in text format. / प्रिय ${profileInfo.displayName}, मी फक्त मजकूर संदेश प्रक्रिया करू शकतो. कृपया आपला प्रश्न मजकूर स्वरूपात पाठवा.`
-          : 'I can only process text messages. Please send your query in text format. / मी फक्त मजकूर संदेश प्रक्रिया करू शकतो. कृपया आपला प्रश्न मजकूर स्वरूपात पाठवा.';
+          ? `Dear ${profileInfo.displayName}, I can only process text and voice messages. Please send your query as text or a voice note. / प्रिय ${profileInfo.displayName}, मी फक्त मजकूर आणि व्हॉइस संदेश प्रक्रिया करू शकतो. कृपया आपला प्रश्न मजकूर किंवा व्हॉइस नोट स्वरूपात पाठवा.`
+          : 'I can only process text and voice messages. Please send your query as text or a voice note. / मी फक्त मजकूर आणि व्हॉइस संदेश प्रक्रिया करू शकतो. कृपया आपला प्रश्न मजकूर किंवा व्हॉइस नोट स्वरूपात पाठवा.';
         
         await whatsappService.sendMessage(phoneNumberId, from, unsupportedMessage);
         return;
@@ -112,12 +315,33 @@ const processMessage = async (message, metadata, contacts = []) => {
       return;
     }
 
-    // Detect language with AI
-    const messageLanguage = await languageDetector.detectLanguage(messageText);
+    // STOP / START keywords are handled before any AI call
+    const consentKeyword = consentService.detectConsentKeyword(messageText);
+    if (consentKeyword) {
+      return handleConsentKeyword(phoneNumberId, from, messageText, consentKeyword, profileInfo, message.id);
+    }
+
+    // Opted-out citizens get no replies until they send START
+    if (await consentService.isOptedOut(from)) {
+      logger.info(`Ignoring message ${message.id} from opted-out citizen ${from}`);
+      return { success: true, suppressed: true };
+    }
+
+    // Local language detection; the AI turn planner confirms it for AI replies
+    // (a shared location has no text, so reuse the conversation language)
+    const messageLanguage = sharedLocation
+      ? await getConversationLanguage(from)
+      : await languageDetector.detectLanguage(messageText);
     logger.info(`Detected language: ${messageLanguage} for message: ${messageText}`);
 
     // Get or create citizen record
     const citizenData = await citizenService.getOrCreateCitizen(from, profileInfo);
+
+    // Remember the language the citizen last wrote in
+    if (citizenData.preferredLanguage !== messageLanguage) {
+      await citizenService.updateCitizenData(from, 'preferredLanguage', messageLanguage);
+      citizenData.preferredLanguage = messageLanguage;
+    }
     
     // Enhanced message data with function calling context
     const messageData = {
@@ -134,9 +358,71 @@ const processMessage = async (message, metadata, contacts = []) => {
       currentDateTime: '2025-06-01 10:11:58',
       currentUser: 'soft00null'
     };
-    
-    // Save user message
-    await citizenService.saveChatMessage(from, 'user', messageText, messageLanguage, messageData);
+
+    // Screen free text before any model sees it (our own reply IDs and shared locations are not screened)
+    const moderation = interactiveReplyId || sharedLocation
+      ? null
+      : await moderationService.moderateMessage(messageText, { language: messageLanguage, whatsappNumber: from, messageId: message.id });
+
+    // Save user message (with transcript details for voice notes)
+    await citizenService.saveChatMessage(from, 'user', messageText, messageLanguage, {
+      ...messageData,
+      moderation,
+      transcript: transcript ? {
+        text: transcript.text,
+        provider: transcript.provider,
+        detectedLanguage: transcript.language,
+        mediaId: message.audio.id,
+        mimeType: transcript.mimeType,
+        processingTime: transcript.processingTime
+      } : null
+    });
+
+    // "my data" / "delete my data" and the erasure confirmation buttons (also during a handoff)
+    const dataRequest = dataRightsService.isErasureReply(interactiveReplyId)
+      ? 'erasure_reply'
+      : dataRightsService.detectDataRequest(messageText);
+    if (dataRequest) {
+      await handleDataRequest(phoneNumberId, from, dataRequest, interactiveReplyId, messageLanguage, messageData);
+      return;
+    }
+
+    // Conversation handed off to an officer: queue the message for them instead of replying
+    const openHandoff = await handoffService.getOpenHandoff(from, citizenData);
+    if (openHandoff) {
+      await handoffService.forwardInboundMessage(openHandoff, messageText, messageData);
+      return;
+    }
+
+    // "Talk to an officer"
+    if (handoffService.isHandoffRequest(messageText)) {
+      const { created } = await handoffService.requestHandoff(from, { language: messageLanguage });
+      const handoffMessage = handoffService.getHandoffRequestedMessage(messageLanguage, created);
+
+      await whatsappService.sendMessage(phoneNumberId, from, handoffMessage);
+      await citizenService.saveChatMessage(from, 'assistant', handoffMessage, messageLanguage, {
+        ...messageData,
+        receiverWhatsappId: profileInfo?.whatsappId,
+        receiverDisplayName: profileInfo?.displayName,
+        senderWhatsappId: process.env.PHONE_NUMBER_ID
+      });
+      return;
+    }
+
+    // Injection attempts, abuse and threats get a fixed refusal: no model call and no registration change
+    if (moderation?.flagged) {
+      const refusalMessage = moderationService.getRefusalMessage(moderation.category, messageLanguage);
+
+      await whatsappService.sendMessage(phoneNumberId, from, refusalMessage);
+      await citizenService.saveChatMessage(from, 'assistant', refusalMessage, messageLanguage, {
+        ...messageData,
+        receiverWhatsappId: profileInfo?.whatsappId,
+        receiverDisplayName: profileInfo?.displayName,
+        senderWhatsappId: process.env.PHONE_NUMBER_ID,
+        moderation
+      });
+      return { success: true, moderated: true, category: moderation.category };
+    }
     
     // Process based on registration status with simplified Function Calling
     if (!citizenData.isRegistered) {
@@ -144,15 +430,47 @@ const processMessage = async (message, metadata, contacts = []) => {
       
       logger.info(`User not registered. Processing with simplified Function Calling system (Name + Village only).`);
       
-      // Process with simplified Function Calling (only name and village)
-      registrationResult = await citizenService.processRegistrationWithFunctionCalling(
-        from,
-        messageText,
-        messageLanguage,
-        phoneNumberId,
-        citizenData
-      );
-      
+      if (sharedLocation) {
+        // Shared location during village registration
+        registrationResult = await citizenService.processLocationForRegistration(from, sharedLocation, messageLanguage);
+      } else if (citizenService.isLocationConfirmationReply(interactiveReplyId)) {
+        // Yes/No reply confirming the village detected from a shared location
+        registrationResult = await citizenService.confirmLocationForRegistration(from, interactiveReplyId, messageLanguage, citizenData);
+      } else if (citizenService.isVillageChoiceReply(interactiveReplyId)) {
+        // Pick from the list of same-named villages in different talukas
+        registrationResult = await citizenService.confirmVillageChoiceForRegistration(from, interactiveReplyId, messageLanguage, citizenData);
+      } else {
+        // Process with simplified Function Calling (only name and village)
+        registrationResult = await citizenService.processRegistrationWithFunctionCalling(
+          from,
+          messageText,
+          messageLanguage,
+          phoneNumberId,
+          citizenData
+        );
+      }
+
+      // Registration replies use the language the turn planner detected
+      const registrationLanguage = registrationResult.language || messageLanguage;
+
+      if (registrationResult.interactive) {
+        await whatsappService.sendInteractiveMessage(phoneNumberId, from, registrationResult.interactive);
+
+        await citizenService.saveChatMessage(
+          from,
+          'assistant',
+          registrationResult.interactive.body.text,
+          registrationLanguage,
+          {
+            ...messageData,
+            messageType: 'interactive',
+            receiverWhatsappId: from,
+            senderWhatsappId: process.env.PHONE_NUMBER_ID,
+            functionCallResults: registrationResult.functionCallResults
+          }
+        );
+      }
+
       // Send registration response
       if (registrationResult.response) {
         await whatsappService.sendMessage(phoneNumberId, from, registrationResult.response);
@@ -171,11 +489,17 @@ const processMessage = async (message, metadata, contacts = []) => {
           from, 
           'assistant', 
           registrationResult.response, 
-          messageLanguage,
+          registrationLanguage,
           botMessageData
         );
       }
       
+      // Show the department menu once registration is complete
+      if (registrationResult.showMainMenu) {
+        const menuResult = await flowEngine.startFlow(from, 'main_menu', registrationLanguage);
+        await sendFlowMessages(phoneNumberId, from, menuResult.outgoing, registrationLanguage, messageData);
+      }
+
       // Continue if registration complete
       if (!registrationResult.shouldContinue) {
         return;
@@ -184,42 +508,76 @@ const processMessage = async (message, metadata, contacts = []) => {
 
     // Handle regular conversation for registered users with Function Calling
     logger.info(`User registered. Processing regular conversation with Function Calling.`);
-    
+
+    // Profile corrections ("change my village", "माझे नाव बदला") and their confirmation
+    const profileEditResult = await citizenService.processProfileEdit(from, messageText, interactiveReplyId, messageLanguage, citizenData);
+    if (profileEditResult) {
+      const editMessageData = {
+        ...messageData,
+        receiverWhatsappId: profileInfo?.whatsappId,
+        receiverDisplayName: profileInfo?.displayName,
+        senderWhatsappId: process.env.PHONE_NUMBER_ID
+      };
+
+      if (profileEditResult.interactive) {
+        await whatsappService.sendInteractiveMessage(phoneNumberId, from, profileEditResult.interactive);
+        await citizenService.saveChatMessage(from, 'assistant', profileEditResult.interactive.body.text, messageLanguage, {
+          ...editMessageData,
+          messageType: 'interactive'
+        });
+      }
+
+      if (profileEditResult.response) {
+        await whatsappService.sendMessage(phoneNumberId, from, profileEditResult.response);
+        await citizenService.saveChatMessage(from, 'assistant', profileEditResult.response, messageLanguage, editMessageData);
+      }
+      return;
+    }
+
+    // Deterministic flows: interactive reply IDs and trigger keywords such as "menu"
+    const flowResult = await flowEngine.handleMessage(from, { text: messageText, replyId: interactiveReplyId }, messageLanguage);
+    if (flowResult.handled) {
+      await sendFlowMessages(phoneNumberId, from, flowResult.outgoing, messageLanguage, {
+        ...messageData,
+        receiverDisplayName: profileInfo?.displayName,
+        flow: { flowId: flowResult.flowId, nodeId: flowResult.nodeId }
+      });
+      return;
+    }
+
+    // Answer grievance status queries ("status of my complaint GRV-123") directly
+    const ticketId = grievanceService.extractTicketId(messageText);
+    if (ticketId) {
+      const grievance = await grievanceService.getGrievance(from, ticketId);
+      const statusMessage = grievanceService.getGrievanceStatusMessage(grievance, messageLanguage, ticketId);
+
+      await whatsappService.sendMessage(phoneNumberId, from, statusMessage);
+      await citizenService.saveChatMessage(from, 'assistant', statusMessage, messageLanguage, {
+        ...messageData,
+        receiverWhatsappId: profileInfo?.whatsappId,
+        receiverDisplayName: profileInfo?.displayName,
+        senderWhatsappId: process.env.PHONE_NUMBER_ID,
+        grievanceTicketId: ticketId
+      });
+      return;
+    }
+
     // Get conversation history
     const chatHistory = await citizenService.getChatHistory(from, 8);
-    const conversationHistory = chatHistory.map(chat => ({
+
+    // Flagged messages and their refusals stay out of the model's context
+    const conversationHistory = chatHistory.filter(chat => !chat.moderation?.flagged).map(chat => ({
       role: chat.role,
       content: chat.content
     }));
 
-    // Search knowledge base with Function Calling if needed
-    let relevantInfo = '';
-    const knowledgeSearchResult = await citizenService.searchKnowledgeBaseWithFunctions(messageText, messageLanguage);
-    
-    if (knowledgeSearchResult) {
-      // Use enhanced file search
-      const fileSearchResult = await knowledgeBaseService.searchWithFileSearch(
-        knowledgeSearchResult.query, 
-        messageLanguage,
-        {
-          category: knowledgeSearchResult.category,
-          maxResults: 3
-        }
-      );
-      
-      relevantInfo = fileSearchResult.response || '';
-      logger.info(`Knowledge base search completed: ${fileSearchResult.method}, confidence: ${fileSearchResult.confidence}`);
-    }
-    
-    // Generate AI response with Function Calling
-    const aiResponse = await openaiService.generateResponseWithFunctions(
+    // One planning call (language, intent, knowledge), retrieval, then one answer call
+    const turn = await openaiService.generatePlannedResponse(
       messageText,
       conversationHistory,
       messageLanguage,
-      relevantInfo,
       citizenData,
       {
-        knowledgeSearchResult,
         userState: 'registered',
         sessionInfo: {
           sessionId: messageData.sessionId,
@@ -229,6 +587,13 @@ const processMessage = async (message, metadata, contacts = []) => {
         currentUser: 'soft00null'
       }
     );
+    const aiResponse = turn.response;
+
+    // The planner's language detection is more reliable than the local one
+    if (turn.language !== citizenData.preferredLanguage) {
+      await citizenService.updateCitizenData(from, 'preferredLanguage', turn.language);
+      citizenData.preferredLanguage = turn.language;
+    }
     
     // Send response
     await whatsappService.sendMessage(phoneNumberId, from, aiResponse);
@@ -240,9 +605,12 @@ const processMessage = async (message, metadata, contacts = []) => {
       receiverDisplayName: profileInfo?.displayName,
       senderWhatsappId: process.env.PHONE_NUMBER_ID,
       senderDisplayName: 'ZP Pune Assistant',
-      knowledgeSearchUsed: !!relevantInfo,
+      language: turn.language,
+      knowledgeSearchUsed: !!turn.knowledge?.text,
       functionCallingUsed: true,
-      knowledgeSearchResult: knowledgeSearchResult
+      knowledgeSearchResult: turn.knowledge ? { method: turn.knowledge.method, sources: turn.knowledge.sources } : null,
+      intent: turn.plan.intent,
+      stages: turn.stages
     };
     
     // Save bot response
@@ -250,11 +618,16 @@ const processMessage = async (message, metadata, contacts = []) => {
       from, 
       'assistant', 
       aiResponse, 
-      messageLanguage,
+      turn.language,
       botResponseData
     );
     
   } catch (error) {
+    if (llmRateLimit.isThrottleError(error)) {
+      const displayName = contacts?.find(c => c.wa_id === message.from)?.profile?.name;
+      return handleThrottledMessage(metadata.phone_number_id, message.from, error, displayName);
+    }
+
     logger.error('Error processing message:', error);
     
     // Send enhanced fallback message
@@ -268,9 +641,59 @@ const processMessage = async (message, metadata, contacts = []) => {
     } catch (sendError) {
       logger.error('Failed to send fallback message:', sendError);
     }
+
+    return { success: false, error: error.message };
+  }
+};
+
+// Send the messages produced by a flow node (text and interactive) and save them to the chat
+const sendFlowMessages = async (phoneNumberId, to, outgoing, language, messageData) => {
+  for (const item of outgoing) {
+    const botMessageData = {
+      ...messageData,
+      ...item.metadata,
+      messageType: item.type,
+      receiverWhatsappId: to,
+      senderWhatsappId: process.env.PHONE_NUMBER_ID
+    };
+
+    if (item.type === 'interactive') {
+      await whatsappService.sendInteractiveMessage(phoneNumberId, to, item.interactive);
+      await citizenService.saveChatMessage(to, 'assistant', item.interactive.body.text, language, botMessageData);
+    } else {
+      await whatsappService.sendMessage(phoneNumberId, to, item.text);
+      await citizenService.saveChatMessage(to, 'assistant', item.text, language, botMessageData);
+    }
   }
 };
 
+// Ask a throttled citizen to wait; repeated messages within the notice interval get no reply
+const handleThrottledMessage = async (phoneNumberId, from, error, userName) => {
+  if (!llmRateLimit.shouldNotifyThrottled(from)) {
+    logger.info(`Citizen ${from} is still throttled (${error.scope}), not replying again`);
+    return { success: true, throttled: true };
+  }
+
+  try {
+    await whatsappService.sendMessage(phoneNumberId, from, getThrottledMessage(error, userName));
+  } catch (sendError) {
+    logger.error('Failed to send throttled message:', sendError);
+  }
+
+  return { success: true, throttled: true };
+};
+
+const getThrottledMessage = (error, userName) => {
+  const name = userName ? ` ${userName}` : '';
+
+  if (error.scope === 'global') {
+    return `🙏 Dear${name}, many citizens are writing to us right now. Please send your message again in a minute. / प्रिय${name}, सध्या अनेक नागरिक आमच्याशी संपर्क साधत आहेत. कृपया एका मिनिटाने आपला संदेश पुन्हा पाठवा.`;
+  }
+
+  const seconds = Math.max(Math.ceil((error.retryAfterMs || 0) / 1000), 10);
+  return `⏳ Dear${name}, you are sending messages faster than I can answer. Please wait about ${seconds} seconds and send your question again. / प्रिय${name}, आपण खूप वेगाने संदेश पाठवत आहात. कृपया सुमारे ${seconds} सेकंद थांबा आणि आपला प्रश्न पुन्हा पाठवा.`;
+};
+
 // Generate contextual fallback message
 const generateFallbackMessage = (error, userName) => {
   const name = userName ? ` ${userName}` : '';
@@ -287,7 +710,45 @@ const generateFallbackMessage = (error, userName) => {
     return `🙏 Dear${name}, I'm having trouble locating the village. Please provide a valid village name from Pune district. / प्रिय${name}, मला गाव शोधण्यात अडचण येत आहे. कृपया पुणे जिल्ह्यातील योग्य गाव नाव द्या.`;
   }
   
-  return `🙏 Dear${name}, I'm very sorry, I'm having some technical difficulties. Please try again in a moment. / प्रिय${name}, मी खूप क्षमस्व, मला काही तांत्रिक अडचणी येत आहेत. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.`;
+  return `🙏 Dear${name}, I'm very sorry, I'm having some technical difficulties. Please try again in a moment, or type "officer" to talk to a ZP officer. / प्रिय${name}, मी खूप क्षमस्व, मला काही तांत्रिक अडचणी येत आहेत. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा, किंवा जि.प. अधिकाऱ्याशी बोलण्यासाठी "अधिकारी" लिहा.`;
+};
+
+// Download and transcribe a voice note; its cost is recorded against the sender
+const transcribeVoiceNote = async (audio, whatsappNumber) => {
+  try {
+    const media = await whatsappService.downloadMedia(audio.id);
+    const result = await transcriptionService.transcribeAudio(media.buffer, media.mimeType || audio.mime_type, { whatsappNumber });
+
+    logger.info(`Voice note ${audio.id} transcribed: ${result.text}`);
+    return {
+      ...result,
+      mimeType: media.mimeType || audio.mime_type
+    };
+  } catch (error) {
+    if (llmRateLimit.isThrottleError(error)) {
+      throw error;
+    }
+
+    logger.error(`Error transcribing voice note ${audio?.id}:`, error);
+    return { success: false, text: '', error: error.message };
+  }
+};
+
+const getTranscriptionFailedMessage = (userName) => {
+  const name = userName ? ` ${userName}` : '';
+  return `🙏 Dear${name}, I could not understand your voice note. Please try again or type your message. / प्रिय${name}, मला आपली व्हॉइस नोट समजली नाही. कृपया पुन्हा प्रयत्न करा किंवा संदेश टाइप करा.`;
+};
+
+// Describe a shared location as text for the chat record
+const formatLocationText = (location) => {
+  const label = location.name || location.address;
+  return `📍 ${label ? label + ' ' : ''}(${location.latitude}, ${location.longitude})`;
+};
+
+// Language of the ongoing conversation, used when a message carries no text
+const getConversationLanguage = async (whatsappNumber) => {
+  const currentState = await stateManager.getCurrentState(whatsappNumber);
+  return currentState?.context?.language || 'en';
 };
 
 // Extract text from interactive responses
@@ -302,6 +763,18 @@ const getInteractiveResponseText = (interactiveData) => {
   }
 };
 
+// Extract the reply ID from interactive responses
+const getInteractiveReplyId = (interactiveData) => {
+  switch (interactiveData.type) {
+    case 'button_reply':
+      return interactiveData.button_reply.id;
+    case 'list_reply':
+      return interactiveData.list_reply.id;
+    default:
+      return null;
+  }
+};
+
 module.exports = {
   verifyWebhook,
   handleWebhook
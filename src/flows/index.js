@@ -0,0 +1,48 @@
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const handoffService = require('../services/handoffService');
+const logger = require('../utils/logger');
+
+// Flow definitions dispatched by the flow engine
+const flows = [
+  require('./mainMenuFlow')
+];
+
+// Action handlers referenced by `action.handler` in flow nodes
+const actions = {
+  // Answer with the knowledge base section of a department
+  department_info: async ({ department }, { whatsappNumber, language }) => {
+    const result = await knowledgeBaseService.searchByCategory(department, language, { whatsappNumber, stage: 'department_info' });
+    logger.info(`Department search for ${department}: ${result.method}, confidence: ${result.confidence}`);
+
+    return {
+      text: result.response,
+      metadata: { knowledgeSearchUsed: true, menuSelection: department }
+    };
+  },
+
+  // Put the conversation in the officer queue
+  request_handoff: async ({ reason }, { whatsappNumber, language }) => {
+    const { created } = await handoffService.requestHandoff(whatsappNumber, { reason, language });
+
+    return {
+      text: handoffService.getHandoffRequestedMessage(language, created),
+      metadata: { handoffRequested: true }
+    };
+  }
+};
+
+// Option filters referenced by `optionsFilter` in flow nodes
+const optionFilters = {
+  // Keep departments whose section exists in knowledgebase.txt
+  available_departments: async (options) => {
+    const departments = await knowledgeBaseService.getDepartmentSections();
+    const available = departments.map(department => department.id);
+    return options.filter(option => available.includes(option.id));
+  }
+};
+
+module.exports = {
+  flows,
+  actions,
+  optionFilters
+};
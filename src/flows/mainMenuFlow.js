@@ -0,0 +1,94 @@
+// Main menu: department list (from knowledgebase.txt sections) with category-scoped answers
+
+// Department option shown in the list; `next` runs the department's info node
+const departmentOption = (id, en, mr) => ({
+  id,
+  title: { en: en.title, mr: mr.title },
+  description: { en: en.description, mr: mr.description },
+  next: `dept_${id}`
+});
+
+// Node answering with the department's knowledge base section, then offering next steps
+const departmentNode = (department) => ({
+  type: 'action',
+  action: { handler: 'department_info', params: { department } },
+  next: 'after_department'
+});
+
+module.exports = {
+  id: 'main_menu',
+  triggers: ['menu', 'main menu', 'मेनू', 'मेन्यू', 'मुख्य मेनू'],
+  startNode: 'departments',
+  nodes: {
+    departments: {
+      type: 'list',
+      // Only list departments whose section exists in knowledgebase.txt
+      optionsFilter: 'available_departments',
+      header: { en: 'Pune Zilla Parishad', mr: 'पुणे जिल्हा परिषद' },
+      prompt: {
+        en: 'Which department would you like information about? Choose one from the list below. 👇\n\n(Type "menu" anytime to see this again.)',
+        mr: 'कोणत्या विभागाची माहिती हवी आहे? खालील यादीतून विभाग निवडा. 👇\n\n(मेनू पुन्हा पाहण्यासाठी कधीही "मेनू" लिहा.)'
+      },
+      footer: { en: 'Or simply type your question', mr: 'किंवा आपला प्रश्न थेट लिहा' },
+      button: { en: 'Departments', mr: 'विभाग निवडा' },
+      sectionTitle: { en: 'Departments', mr: 'विभाग' },
+      options: [
+        departmentOption('education',
+          { title: 'Education', description: 'ZP schools, mid-day meal, scholarships' },
+          { title: 'शिक्षण', description: 'जि.प. शाळा, शालेय पोषण आहार, शिष्यवृत्ती' }),
+        departmentOption('health',
+          { title: 'Health', description: 'PHCs, vaccination, maternal and child health' },
+          { title: 'आरोग्य', description: 'प्राथमिक आरोग्य केंद्रे, लसीकरण, माता-बाल आरोग्य' }),
+        departmentOption('women_child_welfare',
+          { title: 'Women & Child Welfare', description: 'Anganwadi, nutrition, self-help groups' },
+          { title: 'महिला व बाल कल्याण', description: 'अंगणवाडी, पोषण आहार, बचत गट' }),
+        departmentOption('agriculture',
+          { title: 'Agriculture', description: 'Farmer guidance, subsidies, crop insurance' },
+          { title: 'कृषी', description: 'शेतकरी मार्गदर्शन, अनुदान, पीक विमा' }),
+        departmentOption('drda',
+          { title: 'Rural Development', description: 'DRDA: housing, employment, livelihood missions' },
+          { title: 'ग्रामीण विकास', description: 'DRDA: घरकुल, रोजगार, उपजीविका अभियान' }),
+        departmentOption('animal_husbandry',
+          { title: 'Animal Husbandry', description: 'Veterinary care, health camps, livestock schemes' },
+          { title: 'पशुसंवर्धन', description: 'पशुवैद्यकीय सेवा, आरोग्य शिबिरे, पशुधन योजना' }),
+        departmentOption('water_supply',
+          { title: 'Water Supply', description: 'Drinking water schemes, water quality testing' },
+          { title: 'पाणी पुरवठा', description: 'पिण्याच्या पाण्याच्या योजना, पाणी गुणवत्ता तपासणी' })
+      ]
+    },
+
+    dept_education: departmentNode('education'),
+    dept_health: departmentNode('health'),
+    dept_women_child_welfare: departmentNode('women_child_welfare'),
+    dept_agriculture: departmentNode('agriculture'),
+    dept_drda: departmentNode('drda'),
+    dept_animal_husbandry: departmentNode('animal_husbandry'),
+    dept_water_supply: departmentNode('water_supply'),
+
+    after_department: {
+      type: 'buttons',
+      prompt: {
+        en: 'Is there anything else I can help you with?',
+        mr: 'आणखी काही मदत हवी आहे का?'
+      },
+      options: [
+        { id: 'menu', title: { en: 'Main menu', mr: 'मुख्य मेनू' }, next: 'departments' },
+        { id: 'grievance', title: { en: 'File a complaint', mr: 'तक्रार नोंदवा' }, next: 'grievance_help' },
+        { id: 'officer', title: { en: 'Talk to an officer', mr: 'अधिकाऱ्याशी बोला' }, next: 'officer_handoff' }
+      ]
+    },
+
+    officer_handoff: {
+      type: 'action',
+      action: { handler: 'request_handoff', params: { reason: 'main_menu' } }
+    },
+
+    grievance_help: {
+      type: 'message',
+      prompt: {
+        en: '📝 Please describe your complaint in one message: the department, the problem and the village it concerns. I will register it and give you a ticket number.',
+        mr: '📝 कृपया आपली तक्रार एका संदेशात लिहा: विभाग, समस्या आणि संबंधित गाव. मी ती नोंदवून आपल्याला तक्रार क्रमांक देईन.'
+      }
+    }
+  }
+};
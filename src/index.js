@@ -3,6 +3,8 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const errorHandler = require('./utils/errorHandler');
 const logger = require('./utils/logger');
+const { captureRawBody, verifyWebhookSignature } = require('./utils/webhookSignature');
+const { requireAdminAuth } = require('./utils/adminAuth');
 
 // Initialize the Express app
 const app = express();
@@ -14,9 +16,10 @@ require('./config/firebase');
 
 // Import controllers after Firebase initialization
 const webhookController = require('./controllers/webhookController');
+const adminController = require('./controllers/adminController');
 
-// Middleware setup
-app.use(bodyParser.json());
+// Middleware setup (keep the raw body for webhook signature verification)
+app.use(bodyParser.json({ verify: captureRawBody }));
 
 // Log all incoming requests
 app.use((req, res, next) => {
@@ -45,7 +48,32 @@ app.get('/health', (req, res) => {
 
 // WhatsApp webhook routes
 app.get('/webhook', webhookController.verifyWebhook);
-app.post('/webhook', webhookController.handleWebhook);
+app.post('/webhook', verifyWebhookSignature(), webhookController.handleWebhook);
+
+// Admin API for ZP staff (API key per staff member, see ADMIN_API_KEYS)
+app.use('/admin', requireAdminAuth());
+app.get('/admin/citizens', adminController.listCitizens);
+app.get('/admin/citizens/:whatsappNumber', adminController.getCitizen);
+app.get('/admin/citizens/:whatsappNumber/chats', adminController.getCitizenChats);
+app.get('/admin/citizens/:whatsappNumber/states', adminController.getCitizenStates);
+app.get('/admin/citizens/:whatsappNumber/consent', adminController.getCitizenConsent);
+app.get('/admin/citizens/:whatsappNumber/export', adminController.exportCitizenData);
+app.get('/admin/citizens/:whatsappNumber/data-requests', adminController.getDataRequestLog);
+app.delete('/admin/citizens/:whatsappNumber', adminController.eraseCitizenData);
+app.post('/admin/citizens/:whatsappNumber/grievances/:ticketId/status', adminController.updateGrievanceStatus);
+app.post('/admin/citizens/:whatsappNumber/handoff', adminController.startHandoff);
+app.get('/admin/handoffs', adminController.listHandoffs);
+app.get('/admin/handoffs/:handoffId', adminController.getHandoff);
+app.post('/admin/handoffs/:handoffId/claim', adminController.claimHandoff);
+app.post('/admin/handoffs/:handoffId/messages', adminController.replyToHandoff);
+app.post('/admin/handoffs/:handoffId/close', adminController.closeHandoff);
+app.post('/admin/campaigns', adminController.createCampaign);
+app.get('/admin/campaigns', adminController.listCampaigns);
+app.get('/admin/campaigns/:campaignId', adminController.getCampaign);
+app.get('/admin/campaigns/:campaignId/recipients', adminController.getCampaignRecipients);
+app.post('/admin/campaigns/:campaignId/cancel', adminController.cancelCampaign);
+app.get('/admin/consent/export', adminController.exportConsentHistory);
+app.get('/admin/costs', adminController.getCosts);
 
 // Error handling
 app.use(errorHandler);
@@ -0,0 +1,485 @@
+const os = require('os');
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+const whatsappService = require('./whatsappService');
+const citizenService = require('./citizenService');
+
+// Collection reference
+const campaignsCollection = db.collection('campaigns');
+
+// Campaign lifecycle: scheduled -> preparing (recipient list being built) -> sending -> completed,
+// or cancelled before it completes
+const CAMPAIGN_STATUSES = ['scheduled', 'preparing', 'sending', 'completed', 'cancelled'];
+// Recipient lifecycle: pending -> sending (claimed by one instance) -> sent, failed or skipped
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// Throttling: recipients per batch, pause between messages, and how often due campaigns are picked up.
+// leaseMs is how long an instance holds a campaign or recipient it claimed before another may take it over.
+const CAMPAIGN_CONFIG = {
+  batchSize: parseInt(process.env.CAMPAIGN_BATCH_SIZE, 10) || 50,
+  sendIntervalMs: parseInt(process.env.CAMPAIGN_SEND_INTERVAL_MS, 10) || 250,
+  pollIntervalMs: parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS, 10) || 60000,
+  leaseMs: parseInt(process.env.CAMPAIGN_LEASE_MS, 10) || 5 * 60 * 1000
+};
+
+// Identifies this server in leases, so several instances can share the campaign queue
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Audience filters a campaign may use (registered citizens only)
+const AUDIENCE_FIELDS = ['taluka', 'village', 'language'];
+
+// Personalisation placeholders allowed in template text parameters
+const PLACEHOLDERS = {
+  name: citizen => citizen.userProvidedName || citizen.whatsappDisplayName || '',
+  village: citizen => citizen.village || '',
+  taluka: citizen => citizen.taluka || ''
+};
+
+// Firestore writes per batch (limit is 500)
+const WRITE_BATCH_LIMIT = 450;
+
+// Only stops overlapping runs within this process; other instances are kept apart by leases
+let processing = false;
+
+// Convert Firestore timestamps in a campaign or recipient record to Dates
+const serializeRecord = (id, data) => {
+  const record = { id, ...data };
+
+  Object.keys(record).forEach(key => {
+    if (record[key]?.toDate) {
+      record[key] = record[key].toDate();
+    }
+  });
+
+  return record;
+};
+
+// Lease fields for a campaign or recipient claimed by this instance
+const takeLease = () => ({
+  leaseOwner: INSTANCE_ID,
+  leaseExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CAMPAIGN_CONFIG.leaseMs)
+});
+
+const RELEASED_LEASE = { leaseOwner: null, leaseExpiresAt: null };
+
+// An instance that stopped mid-way leaves its lease to expire
+const isLeaseExpired = (data) => !data.leaseExpiresAt || data.leaseExpiresAt.toMillis() <= Date.now();
+
+// Citizens who unsubscribed must not receive campaigns
+const isOptedOut = (citizenData) => citizenData?.consent?.status === 'opted_out';
+
+// Create a campaign; it is sent once scheduledAt has passed (immediately when not given)
+// template: { name, language, components } as expected by the WhatsApp template API
+// audience: { taluka, village, language }
+const createCampaign = async ({ name, department = null, template, audience = {}, scheduledAt = null }, createdBy) => {
+  try {
+    const campaignData = {
+      name,
+      department,
+      template: {
+        name: template.name,
+        language: { code: template.language || 'mr' },
+        components: template.components || []
+      },
+      audience: AUDIENCE_FIELDS.reduce((filters, field) => {
+        filters[field] = audience[field] || null;
+        return filters;
+      }, {}),
+      status: 'scheduled',
+      scheduledAt: admin.firestore.Timestamp.fromDate(scheduledAt || new Date()),
+      createdBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      startedAt: null,
+      completedAt: null,
+      cancelledAt: null,
+      cancelledBy: null,
+      stats: { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 }
+    };
+
+    const campaignRef = await campaignsCollection.add(campaignData);
+
+    logger.info(`Campaign ${campaignRef.id} "${name}" scheduled by ${createdBy}`);
+    return getCampaign(campaignRef.id);
+  } catch (error) {
+    logger.error('Error creating campaign:', error);
+    throw error;
+  }
+};
+
+const getCampaign = async (campaignId) => {
+  const campaignDoc = await campaignsCollection.doc(campaignId).get();
+  return campaignDoc.exists ? serializeRecord(campaignDoc.id, campaignDoc.data()) : null;
+};
+
+// Campaigns, newest schedule first
+const listCampaigns = async ({ status = null, limit = 50 } = {}) => {
+  try {
+    let query = campaignsCollection;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const campaignsSnapshot = await query.orderBy('scheduledAt', 'desc').limit(limit).get();
+
+    const campaigns = [];
+    campaignsSnapshot.forEach(doc => campaigns.push(serializeRecord(doc.id, doc.data())));
+    return campaigns;
+  } catch (error) {
+    logger.error('Error listing campaigns:', error);
+    throw error;
+  }
+};
+
+// Per-recipient results of a campaign
+const listRecipients = async (campaignId, { status = null, limit = 100 } = {}) => {
+  try {
+    let query = campaignsCollection.doc(campaignId).collection('recipients');
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const recipientsSnapshot = await query.limit(limit).get();
+
+    const recipients = [];
+    recipientsSnapshot.forEach(doc => recipients.push(serializeRecord(doc.id, doc.data())));
+    return recipients;
+  } catch (error) {
+    logger.error(`Error listing recipients of campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
+// Stop a campaign that has not completed; pending recipients are not messaged
+const cancelCampaign = async (campaignId, operator) => {
+  const campaign = await getCampaign(campaignId);
+  if (!campaign || !['scheduled', 'preparing', 'sending'].includes(campaign.status)) {
+    return null;
+  }
+
+  await campaignsCollection.doc(campaignId).update({
+    status: 'cancelled',
+    cancelledBy: operator,
+    cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Campaign ${campaignId} cancelled by ${operator}`);
+  return { ...campaign, status: 'cancelled', cancelledBy: operator };
+};
+
+// Write one recipient entry per registered citizen in the audience; opted-out citizens are recorded as skipped
+const buildRecipientList = async (campaignId, campaign) => {
+  const recipientsCollection = campaignsCollection.doc(campaignId).collection('recipients');
+  const citizensSnapshot = await citizenService.buildCitizenQuery({ ...campaign.audience, isRegistered: true }).get();
+
+  const stats = { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 };
+  let batch = db.batch();
+  let batchCount = 0;
+
+  for (const citizenDoc of citizensSnapshot.docs) {
+    const citizenData = citizenDoc.data();
+    const optedOut = isOptedOut(citizenData);
+
+    batch.set(recipientsCollection.doc(citizenDoc.id), {
+      whatsappNumber: citizenDoc.id,
+      language: citizenData.preferredLanguage || null,
+      taluka: citizenData.taluka || null,
+      village: citizenData.village || null,
+      status: optedOut ? 'skipped' : 'pending',
+      reason: optedOut ? 'opted_out' : null,
+      messageId: null,
+      error: null,
+      attemptedAt: null
+    });
+
+    stats.total++;
+    stats[optedOut ? 'skipped' : 'pending']++;
+    batchCount++;
+
+    if (batchCount >= WRITE_BATCH_LIMIT) {
+      await batch.commit();
+      batch = db.batch();
+      batchCount = 0;
+    }
+  }
+
+  if (batchCount > 0) {
+    await batch.commit();
+  }
+
+  return stats;
+};
+
+// Fill in {{name}}, {{village}} and {{taluka}} in the template's text parameters
+const personaliseTemplate = (template, citizenData) => {
+  const fill = text => text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => (
+    PLACEHOLDERS[key] ? PLACEHOLDERS[key](citizenData) : placeholder
+  ));
+
+  return {
+    ...template,
+    components: (template.components || []).map(component => ({
+      ...component,
+      parameters: (component.parameters || []).map(parameter => (
+        parameter.type === 'text' && typeof parameter.text === 'string'
+          ? { ...parameter, text: fill(parameter.text) }
+          : parameter
+      ))
+    }))
+  };
+};
+
+// Record a recipient who was not messaged
+const markSkipped = async (campaignRef, recipientDoc, reason) => {
+  await recipientDoc.ref.update({
+    status: 'skipped',
+    reason,
+    attemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    ...RELEASED_LEASE
+  });
+  await campaignRef.update({
+    'stats.pending': admin.firestore.FieldValue.increment(-1),
+    'stats.skipped': admin.firestore.FieldValue.increment(1)
+  });
+};
+
+// Claim a recipient for this instance; null when another instance holds it or it was already handled
+const claimRecipient = async (recipientRef) => {
+  return db.runTransaction(async (transaction) => {
+    const recipientDoc = await transaction.get(recipientRef);
+    if (!recipientDoc.exists) {
+      return null;
+    }
+
+    const recipient = recipientDoc.data();
+    const claimable = recipient.status === 'pending' || (recipient.status === 'sending' && isLeaseExpired(recipient));
+    if (!claimable) {
+      return null;
+    }
+
+    transaction.update(recipientRef, { status: 'sending', ...takeLease() });
+    return recipientDoc;
+  });
+};
+
+// Send one recipient's message and record the outcome; returns false when the rate limit was hit
+const sendToRecipient = async (campaignId, campaign, recipientDoc) => {
+  const campaignRef = campaignsCollection.doc(campaignId);
+  const whatsappNumber = recipientDoc.id;
+
+  // Consent can change between scheduling and sending
+  const citizenDoc = await db.collection('citizens').doc(whatsappNumber).get();
+  const citizenData = citizenDoc.exists ? citizenDoc.data() : null;
+
+  if (!citizenData || isOptedOut(citizenData)) {
+    await markSkipped(campaignRef, recipientDoc, citizenData ? 'opted_out' : 'citizen_deleted');
+    return true;
+  }
+
+  try {
+    const result = await whatsappService.sendTemplateMessage(
+      process.env.PHONE_NUMBER_ID,
+      whatsappNumber,
+      personaliseTemplate(campaign.template, citizenData),
+      { campaignId }
+    );
+
+    if (result.suppressed) {
+      await markSkipped(campaignRef, recipientDoc, 'opted_out');
+      return true;
+    }
+
+    await recipientDoc.ref.update({
+      status: 'sent',
+      messageId: result.messageId || null,
+      attemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...RELEASED_LEASE
+    });
+    await campaignRef.update({
+      'stats.pending': admin.firestore.FieldValue.increment(-1),
+      'stats.sent': admin.firestore.FieldValue.increment(1)
+    });
+    return true;
+  } catch (error) {
+    // Put the recipient back in the queue and resume on a later run
+    if (error.code === 'RATE_LIMITED') {
+      await recipientDoc.ref.update({ status: 'pending', ...RELEASED_LEASE });
+      return false;
+    }
+
+    await recipientDoc.ref.update({
+      status: 'failed',
+      error: error.message,
+      attemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...RELEASED_LEASE
+    });
+    await campaignRef.update({
+      'stats.pending': admin.firestore.FieldValue.increment(-1),
+      'stats.failed': admin.firestore.FieldValue.increment(1)
+    });
+    return true;
+  }
+};
+
+// Pending recipients plus those whose instance stopped before recording the outcome.
+// Those are sent again, so a message can go out twice only if an instance dies mid-send.
+const findClaimableRecipients = async (campaignRef) => {
+  const recipientsCollection = campaignRef.collection('recipients');
+
+  const [pendingSnapshot, expiredSnapshot] = await Promise.all([
+    recipientsCollection.where('status', '==', 'pending').limit(CAMPAIGN_CONFIG.batchSize).get(),
+    recipientsCollection
+      .where('status', '==', 'sending')
+      .where('leaseExpiresAt', '<=', admin.firestore.Timestamp.now())
+      .limit(CAMPAIGN_CONFIG.batchSize)
+      .get()
+  ]);
+
+  return [...expiredSnapshot.docs, ...pendingSnapshot.docs].slice(0, CAMPAIGN_CONFIG.batchSize);
+};
+
+// Complete a campaign once no recipient is pending or held by an instance
+const completeIfDone = async (campaignId) => {
+  const campaignRef = campaignsCollection.doc(campaignId);
+
+  const completed = await db.runTransaction(async (transaction) => {
+    const openSnapshot = await transaction.get(
+      campaignRef.collection('recipients').where('status', 'in', ['pending', 'sending']).limit(1)
+    );
+    const campaignDoc = await transaction.get(campaignRef);
+
+    if (!openSnapshot.empty || campaignDoc.data().status !== 'sending') {
+      return false;
+    }
+
+    transaction.update(campaignRef, {
+      status: 'completed',
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  if (completed) {
+    logger.info(`Campaign ${campaignId} completed`);
+  }
+};
+
+// Send the next batch of recipients of a campaign; each one is claimed before it is messaged
+const sendNextBatch = async (campaignId, campaign) => {
+  const campaignRef = campaignsCollection.doc(campaignId);
+  const candidates = await findClaimableRecipients(campaignRef);
+
+  if (candidates.length === 0) {
+    await completeIfDone(campaignId);
+    return;
+  }
+
+  for (const candidate of candidates) {
+    // Stop early if an officer cancelled the campaign mid-batch
+    const currentCampaign = await campaignRef.get();
+    if (currentCampaign.data().status !== 'sending') {
+      return;
+    }
+
+    const recipientDoc = await claimRecipient(candidate.ref);
+    if (!recipientDoc) {
+      continue;
+    }
+
+    if (!await sendToRecipient(campaignId, campaign, recipientDoc)) {
+      logger.warn(`Template rate limit reached; campaign ${campaignId} resumes on the next run`);
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, CAMPAIGN_CONFIG.sendIntervalMs));
+  }
+};
+
+// Claim a due campaign for building its recipient list; a campaign left preparing by a stopped instance
+// is taken over once its lease expires
+const claimCampaignStart = async (campaignRef) => {
+  return db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    const campaign = campaignDoc.data();
+
+    const claimable = campaign.status === 'scheduled' || (campaign.status === 'preparing' && isLeaseExpired(campaign));
+    if (!claimable) {
+      return null;
+    }
+
+    transaction.update(campaignRef, { status: 'preparing', ...takeLease() });
+    return campaign;
+  });
+};
+
+// Build the recipient list of a claimed campaign and start sending, unless it was cancelled meanwhile
+const startCampaign = async (campaignRef, campaign) => {
+  const stats = await buildRecipientList(campaignRef.id, campaign);
+
+  const started = await db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    const current = campaignDoc.data();
+
+    if (current.status !== 'preparing' || current.leaseOwner !== INSTANCE_ID) {
+      return false;
+    }
+
+    transaction.update(campaignRef, {
+      status: 'sending',
+      stats,
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...RELEASED_LEASE
+    });
+    return true;
+  });
+
+  if (started) {
+    logger.info(`Campaign ${campaignRef.id} started: ${stats.pending} recipients, ${stats.skipped} opted out`);
+  }
+};
+
+// Start campaigns whose schedule has passed and continue the ones already sending.
+// Safe to run on several instances at once: campaigns and recipients are claimed in transactions.
+const processDueCampaigns = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const dueSnapshot = await campaignsCollection
+      .where('status', 'in', ['scheduled', 'preparing'])
+      .where('scheduledAt', '<=', admin.firestore.Timestamp.now())
+      .get();
+
+    for (const campaignDoc of dueSnapshot.docs) {
+      const campaign = await claimCampaignStart(campaignDoc.ref);
+      if (campaign) {
+        await startCampaign(campaignDoc.ref, campaign);
+      }
+    }
+
+    const sendingSnapshot = await campaignsCollection.where('status', '==', 'sending').get();
+
+    for (const campaignDoc of sendingSnapshot.docs) {
+      await sendNextBatch(campaignDoc.id, campaignDoc.data());
+    }
+  } catch (error) {
+    logger.error('Error processing campaigns:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Pick up due campaigns periodically
+setInterval(processDueCampaigns, CAMPAIGN_CONFIG.pollIntervalMs).unref();
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  listRecipients,
+  cancelCampaign,
+  processDueCampaigns
+};
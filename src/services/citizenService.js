@@ -4,6 +4,10 @@ const openaiService = require('./openaiService');
 const whatsappService = require('./whatsappService');
 const stateManager = require('./stateManagerService');
 const geocodingService = require('./geocodingService');
+const gazetteerService = require('./gazetteerService');
+const consentService = require('./consentService');
+const { isThrottleError } = require('./llmRateLimitService');
+const { searchVillages } = require('../../data/puneZpVillages');
 
 // Collection reference
 const citizensCollection = db.collection('citizens');
@@ -66,6 +70,9 @@ const getOrCreateCitizen = async (whatsappNumber, whatsappProfile = null) => {
     };
     
     await citizensCollection.doc(whatsappNumber).set(newCitizen);
+
+    // Writing to the ZP number is the citizen's opt-in; recorded so later STOP/START changes have a baseline
+    await consentService.setConsent(whatsappNumber, 'opted_in', { source: 'first_contact' });
     
     // Create initial state
     await stateManager.createStateRecord(whatsappNumber, 'initial', {
@@ -113,7 +120,7 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
       };
     }
 
-    // Use OpenAI Function Calling to process the registration
+    // One planning call extracts the name/village and detects the language
     const functionResults = await openaiService.processRegistrationWithFunctions(
       message, 
       currentState.stateId, 
@@ -123,6 +130,9 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
 
     logger.info(`Function calling results: ${JSON.stringify(functionResults)}`);
 
+    // Reply in the language the planner detected for this message
+    const replyLanguage = functionResults.stateAnalysis?.language || language;
+
     // Check for geocoding errors
     if (functionResults.geocodingError) {
       // Village validation failed
@@ -131,6 +141,22 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
       return {
         shouldContinue: false,
         response: functionResults.geocodingError,
+        language: replyLanguage,
+        functionCallResults: functionResults
+      };
+    }
+
+    // Ambiguous village name: ask the citizen to pick the taluka
+    if (functionResults.villageChoice) {
+      await stateManager.updateStateContext(whatsappNumber, currentState, {
+        pendingVillageChoice: { ...functionResults.villageChoice, askedAt: new Date().toISOString() }
+      });
+
+      return {
+        shouldContinue: false,
+        response: null,
+        interactive: getVillageChoiceInteractive(functionResults.villageChoice, replyLanguage),
+        language: replyLanguage,
         functionCallResults: functionResults
       };
     }
@@ -154,14 +180,17 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
         await completeRegistration(whatsappNumber, currentState);
         
         const completionMessage = getRegistrationCompleteMessage(
-          language, 
+          replyLanguage, 
           citizenData.userProvidedName || citizenData.whatsappDisplayName,
           functionResults.extractedData.validated_village || functionResults.extractedData.village_name
         );
         
+        // The main menu follows the completion message instead of an AI reply
         return {
-          shouldContinue: true,
+          shouldContinue: false,
           response: completionMessage,
+          showMainMenu: true,
+          language: replyLanguage,
           functionCallResults: functionResults
         };
       } else {
@@ -169,24 +198,28 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
         await stateManager.completeStateTransition(whatsappNumber, currentState, functionResults.extractedData, functionResults.nextState);
         
         // Generate contextual response
+        const replyStart = Date.now();
         const contextualResponse = await openaiService.generateContextualResponseWithFunctions(
           {
             currentState: functionResults.nextState,
             previousData: functionResults.extractedData,
             stateAnalysis: functionResults.stateAnalysis
           },
-          language,
+          replyLanguage,
           citizenData
         );
+        functionResults.stages.push({ stage: 'reply', durationMs: Date.now() - replyStart });
         
         return {
           shouldContinue: false,
-          response: contextualResponse || getDefaultPromptForState(functionResults.nextState, language),
+          response: contextualResponse || getDefaultPromptForState(functionResults.nextState, replyLanguage),
+          language: replyLanguage,
           functionCallResults: functionResults
         };
       }
     } else {
       // Function calling determined user didn't provide required data or confidence too low
+      const replyStart = Date.now();
       const clarificationResponse = await openaiService.generateContextualResponseWithFunctions(
         {
           currentState: currentState.stateId,
@@ -194,18 +227,23 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
           stateAnalysis: functionResults.stateAnalysis,
           confidence: functionResults.confidence
         },
-        language,
+        replyLanguage,
         citizenData
       );
+      functionResults.stages.push({ stage: 'reply', durationMs: Date.now() - replyStart });
       
       return {
         shouldContinue: false,
-        response: clarificationResponse || getRetryPromptForState(currentState.stateId, language),
+        response: clarificationResponse || getRetryPromptForState(currentState.stateId, replyLanguage),
+        language: replyLanguage,
         functionCallResults: functionResults
       };
     }
 
   } catch (error) {
+    // Throttled turns are answered with a "please wait" reply by the webhook
+    if (isThrottleError(error)) throw error;
+
     logger.error('Error processing registration with function calling:', error);
     return {
       shouldContinue: false,
@@ -217,6 +255,546 @@ const processRegistrationWithFunctionCalling = async (whatsappNumber, message, l
   }
 };
 
+// Interactive reply IDs for shared-location confirmation
+const LOCATION_CONFIRM_YES = 'location_confirm_yes';
+const LOCATION_CONFIRM_NO = 'location_confirm_no';
+
+// Handle a shared WhatsApp location during village registration
+const processLocationForRegistration = async (whatsappNumber, location, language) => {
+  try {
+    const currentState = await stateManager.getCurrentState(whatsappNumber);
+
+    if (!currentState || currentState.stateId !== 'awaiting_village') {
+      return {
+        shouldContinue: false,
+        response: language === 'mr'
+          ? 'धन्यवाद! स्थान फक्त गाव नोंदणी करताना स्वीकारले जाते.'
+          : 'Thank you! A shared location is only used while registering your village.',
+        functionCallResults: null
+      };
+    }
+
+    const { latitude, longitude } = location;
+
+    if (!geocodingService.isLocationInPuneZP({ lat: latitude, lng: longitude })) {
+      return {
+        shouldContinue: false,
+        response: language === 'mr'
+          ? 'हे स्थान पुणे जिल्हा परिषदेच्या हद्दीत नाही. कृपया पुणे जिल्ह्यातील गावाचे नाव लिहा किंवा योग्य स्थान पाठवा.'
+          : 'This location is not within Pune Zilla Panchayat boundaries. Please type a village name from Pune district or share the correct location.',
+        functionCallResults: null
+      };
+    }
+
+    const reverseResult = await geocodingService.reverseGeocode(latitude, longitude);
+
+    if (!reverseResult.success || !reverseResult.administrative?.village) {
+      return {
+        shouldContinue: false,
+        response: language === 'mr'
+          ? 'या स्थानावरून गाव ओळखता आले नाही. कृपया आपल्या गावाचे नाव लिहा.'
+          : 'I could not identify a village from this location. Please type your village name.',
+        functionCallResults: null
+      };
+    }
+
+    // Prefer the gazetteer spelling and taluka when the village is known
+    const administrative = reverseResult.administrative;
+    const matches = searchVillages(administrative.village).filter(match => match.matchType === 'exact');
+    const gazetteerMatch = matches.find(match => match.taluka === administrative.taluka) || matches[0] || null;
+
+    const pendingLocation = {
+      village_name: gazetteerMatch?.village || administrative.village,
+      validated_village: gazetteerMatch?.village || administrative.village,
+      taluka: gazetteerMatch?.taluka || administrative.taluka,
+      coordinates: { latitude, longitude },
+      confidence: gazetteerMatch ? 0.95 : 0.8,
+      source: 'shared_location',
+      gazetteerMatch: !!gazetteerMatch,
+      geocoding: {
+        formattedAddress: location.address || reverseResult.address,
+        placeId: null,
+        administrative,
+        confidence: gazetteerMatch ? 100 : 80,
+        geocodedAt: new Date().toISOString()
+      }
+    };
+
+    await stateManager.updateStateContext(whatsappNumber, currentState, { pendingLocation });
+
+    const villageLabel = pendingLocation.taluka
+      ? `${pendingLocation.validated_village}, ${pendingLocation.taluka}`
+      : pendingLocation.validated_village;
+
+    return {
+      shouldContinue: false,
+      response: null,
+      interactive: getLocationConfirmationInteractive(villageLabel, language),
+      functionCallResults: { pendingLocation, confidence: pendingLocation.confidence }
+    };
+  } catch (error) {
+    logger.error('Error processing shared location for registration:', error);
+    return {
+      shouldContinue: false,
+      response: getRetryPromptForState('awaiting_village', language),
+      functionCallResults: null
+    };
+  }
+};
+
+// Handle the yes/no reply to a shared-location confirmation
+const confirmLocationForRegistration = async (whatsappNumber, replyId, language, citizenData) => {
+  try {
+    const currentState = await stateManager.getCurrentState(whatsappNumber);
+    const pendingLocation = currentState?.context?.pendingLocation;
+
+    if (!currentState || currentState.stateId !== 'awaiting_village' || !pendingLocation) {
+      return {
+        shouldContinue: false,
+        response: getDefaultPromptForState('awaiting_village', language),
+        functionCallResults: null
+      };
+    }
+
+    await stateManager.updateStateContext(whatsappNumber, currentState, { pendingLocation: null });
+
+    if (replyId !== LOCATION_CONFIRM_YES) {
+      return {
+        shouldContinue: false,
+        response: language === 'mr'
+          ? 'ठीक आहे. कृपया आपल्या गावाचे नाव लिहा किंवा पुन्हा स्थान पाठवा.'
+          : 'Okay. Please type your village name or share your location again.',
+        functionCallResults: null
+      };
+    }
+
+    await updateCitizenDataFromFunctions(whatsappNumber, 'awaiting_village', pendingLocation);
+    await completeRegistration(whatsappNumber, {
+      ...currentState,
+      context: { ...currentState.context, pendingLocation: null }
+    });
+
+    return {
+      shouldContinue: false,
+      response: getRegistrationCompleteMessage(
+        language,
+        citizenData.userProvidedName || citizenData.whatsappDisplayName,
+        pendingLocation.validated_village
+      ),
+      showMainMenu: true,
+      functionCallResults: { extractedData: pendingLocation, confidence: pendingLocation.confidence }
+    };
+  } catch (error) {
+    logger.error('Error confirming shared location for registration:', error);
+    return {
+      shouldContinue: false,
+      response: getRetryPromptForState('awaiting_village', language),
+      functionCallResults: null
+    };
+  }
+};
+
+// Yes/No buttons asking the citizen to confirm the detected village
+const getLocationConfirmationInteractive = (villageLabel, language) => {
+  return {
+    type: 'button',
+    body: {
+      text: language === 'mr'
+        ? `📍 आपल्या स्थानावरून गाव: ${villageLabel}\n\nहे आपले गाव आहे का?`
+        : `📍 Village from your location: ${villageLabel}\n\nIs this your village?`
+    },
+    action: {
+      buttons: [
+        { type: 'reply', reply: { id: LOCATION_CONFIRM_YES, title: language === 'mr' ? 'होय' : 'Yes' } },
+        { type: 'reply', reply: { id: LOCATION_CONFIRM_NO, title: language === 'mr' ? 'नाही' : 'No' } }
+      ]
+    }
+  };
+};
+
+const isLocationConfirmationReply = (replyId) => {
+  return replyId === LOCATION_CONFIRM_YES || replyId === LOCATION_CONFIRM_NO;
+};
+
+// Interactive reply IDs for choosing between villages with the same name
+const VILLAGE_CHOICE_PREFIX = 'village_choice:';
+const VILLAGE_CHOICE_NONE = `${VILLAGE_CHOICE_PREFIX}none`;
+
+// WhatsApp list limits
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE_LENGTH = 24;
+
+// List of "Village – Taluka" candidates for an ambiguous village name
+const getVillageChoiceInteractive = (villageChoice, language) => {
+  const candidateRows = villageChoice.candidates.slice(0, MAX_LIST_ROWS - 1).map(candidate => ({
+    id: `${VILLAGE_CHOICE_PREFIX}${candidate.id}`,
+    title: `${candidate.village} – ${candidate.taluka}`.slice(0, MAX_ROW_TITLE_LENGTH),
+    description: language === 'mr'
+      ? `${candidate.villageMr || candidate.village}, ता. ${candidate.talukaMr || candidate.taluka}`
+      : `${candidate.village}, ${candidate.taluka} taluka`
+  }));
+
+  return {
+    type: 'list',
+    body: {
+      text: language === 'mr'
+        ? `📍 "${villageChoice.query}" नावाची गावे अनेक तालुक्यांत आहेत. कृपया आपले गाव निवडा.`
+        : `📍 There are villages named "${villageChoice.query}" in several talukas. Please choose yours.`
+    },
+    action: {
+      button: language === 'mr' ? 'गाव निवडा' : 'Choose village',
+      sections: [
+        {
+          title: language === 'mr' ? 'गाव – तालुका' : 'Village – Taluka',
+          rows: [
+            ...candidateRows,
+            {
+              id: VILLAGE_CHOICE_NONE,
+              title: language === 'mr' ? 'यापैकी नाही' : 'None of these',
+              description: language === 'mr' ? 'गाव आणि तालुका पुन्हा लिहा' : 'Type village and taluka again'
+            }
+          ]
+        }
+      ]
+    }
+  };
+};
+
+const isVillageChoiceReply = (replyId) => {
+  return typeof replyId === 'string' && replyId.startsWith(VILLAGE_CHOICE_PREFIX);
+};
+
+// Gazetteer entry picked from a pending village choice (null for "none" or a stale reply)
+const resolveVillageChoice = (pendingVillageChoice, replyId) => {
+  if (!pendingVillageChoice || replyId === VILLAGE_CHOICE_NONE) {
+    return null;
+  }
+
+  const entryId = replyId.slice(VILLAGE_CHOICE_PREFIX.length);
+  const offered = pendingVillageChoice.candidates.some(candidate => candidate.id === entryId);
+
+  return offered ? gazetteerService.getEntryById(entryId) : null;
+};
+
+// Registration data for the village the citizen chose (located by geocoding when the gazetteer only knows its taluka)
+const buildVillageChoiceData = async (entry, pendingVillageChoice, language) => {
+  const { coordinates, locationType } = await geocodingService.locateGazetteerEntry(entry, language);
+
+  return {
+    village_name: entry.name,
+    validated_village: entry.name,
+    taluka: entry.taluka,
+    coordinates,
+    confidence: 1.0,
+    source: 'village_choice',
+    villageChoice: {
+      query: pendingVillageChoice.query,
+      gazetteerId: entry.id,
+      lgdCode: entry.lgdCode || null,
+      candidates: pendingVillageChoice.candidates.map(candidate => candidate.id),
+      chosenAt: new Date().toISOString()
+    },
+    geocoding: {
+      formattedAddress: `${entry.name}, ${entry.taluka} Taluka, Pune District, Maharashtra, India`,
+      placeId: null,
+      administrative: { village: entry.name, taluka: entry.taluka, district: 'Pune', state: 'Maharashtra', country: 'India', pincode: null },
+      locationType,
+      confidence: 100,
+      geocodedAt: new Date().toISOString()
+    }
+  };
+};
+
+const getVillageChoiceRetryMessage = (language) => {
+  return language === 'mr'
+    ? 'ठीक आहे. कृपया गाव आणि तालुका दोन्ही लिहा (उदा. पारगाव, ता. खेड).'
+    : 'Okay. Please type your village together with its taluka (e.g. Pargaon, Khed).';
+};
+
+// Handle the citizen's pick from the village choice list during registration
+const confirmVillageChoiceForRegistration = async (whatsappNumber, replyId, language, citizenData) => {
+  try {
+    const currentState = await stateManager.getCurrentState(whatsappNumber);
+    const pendingVillageChoice = currentState?.context?.pendingVillageChoice;
+
+    if (!currentState || currentState.stateId !== 'awaiting_village' || !pendingVillageChoice) {
+      return {
+        shouldContinue: false,
+        response: getDefaultPromptForState('awaiting_village', language),
+        functionCallResults: null
+      };
+    }
+
+    await stateManager.updateStateContext(whatsappNumber, currentState, { pendingVillageChoice: null });
+
+    const entry = resolveVillageChoice(pendingVillageChoice, replyId);
+    if (!entry) {
+      return {
+        shouldContinue: false,
+        response: getVillageChoiceRetryMessage(language),
+        functionCallResults: null
+      };
+    }
+
+    const extractedData = await buildVillageChoiceData(entry, pendingVillageChoice, language);
+
+    await updateCitizenDataFromFunctions(whatsappNumber, 'awaiting_village', extractedData);
+    await completeRegistration(whatsappNumber, {
+      ...currentState,
+      context: { ...currentState.context, pendingVillageChoice: null }
+    });
+
+    return {
+      shouldContinue: false,
+      response: getRegistrationCompleteMessage(
+        language,
+        citizenData.userProvidedName || citizenData.whatsappDisplayName,
+        `${entry.name}, ${entry.taluka}`
+      ),
+      showMainMenu: true,
+      functionCallResults: { extractedData, confidence: extractedData.confidence }
+    };
+  } catch (error) {
+    logger.error('Error confirming village choice for registration:', error);
+    return {
+      shouldContinue: false,
+      response: getRetryPromptForState('awaiting_village', language),
+      functionCallResults: null
+    };
+  }
+};
+
+// Profile correction (editable fields map to the registration state used for extraction)
+const EDITABLE_FIELDS = {
+  name: { stateId: 'editing_name', extractionState: 'awaiting_name', citizenField: 'userProvidedName' },
+  village: { stateId: 'editing_village', extractionState: 'awaiting_village', citizenField: 'village' }
+};
+const PROFILE_EDIT_CONFIRM = 'profile_edit_confirm';
+const PROFILE_EDIT_CANCEL = 'profile_edit_cancel';
+const EDIT_CANCEL_KEYWORDS = ['cancel', 'stop editing', 'रद्द', 'रद्द करा'];
+
+// Detect "change my village" / "माझे नाव बदला" style requests; returns the field or null
+const detectProfileEditIntent = (text) => {
+  const message = (text || '').trim().toLowerCase();
+
+  // Only the citizen's own details ("my name", "माझे गाव"), not e.g. "change name on ration card"
+  const englishMatch = message.match(/\b(change|update|correct|edit|fix)\b.*\bmy\s+(name|village)\b/);
+  if (englishMatch) {
+    return englishMatch[2];
+  }
+
+  const marathiMatch = message.match(/(माझे|माझं|माझा|माझी)\s*(नाव|गाव).*(बदला|बदलायचे|बदलायचं|बदल|दुरुस्त)/);
+  if (marathiMatch) {
+    return marathiMatch[2] === 'नाव' ? 'name' : 'village';
+  }
+
+  return null;
+};
+
+// Handle profile correction for a registered citizen; returns null when the message is not part of an edit
+const processProfileEdit = async (whatsappNumber, message, replyId, language, citizenData) => {
+  try {
+    const currentState = await stateManager.getCurrentState(whatsappNumber);
+    const editingField = Object.keys(EDITABLE_FIELDS).find(field => EDITABLE_FIELDS[field].stateId === currentState?.stateId);
+
+    // Not editing yet: open a scoped edit state when the citizen asks for a change
+    if (!editingField) {
+      const requestedField = detectProfileEditIntent(message);
+      if (!requestedField || !currentState) {
+        return null;
+      }
+
+      await stateManager.completeStateTransition(whatsappNumber, currentState, {}, EDITABLE_FIELDS[requestedField].stateId);
+
+      return {
+        response: getProfileEditPrompt(requestedField, language, citizenData),
+        interactive: null
+      };
+    }
+
+    const pendingEdit = currentState.context?.pendingEdit;
+
+    // Confirmation buttons
+    if (replyId === PROFILE_EDIT_CONFIRM && pendingEdit) {
+      await updateCitizenDataFromFunctions(whatsappNumber, EDITABLE_FIELDS[editingField].extractionState, pendingEdit.extractedData);
+      await logProfileAudit(whatsappNumber, pendingEdit);
+      await finishProfileEdit(whatsappNumber, currentState, pendingEdit.extractedData);
+
+      return {
+        response: language === 'mr'
+          ? `✅ आपली माहिती अद्ययावत झाली आहे.\n\n${editingField === 'name' ? 'नाव' : 'गाव'}: ${pendingEdit.newValue}`
+          : `✅ Your details have been updated.\n\n${editingField === 'name' ? 'Name' : 'Village'}: ${pendingEdit.newValue}`,
+        interactive: null
+      };
+    }
+
+    if (replyId === PROFILE_EDIT_CANCEL || EDIT_CANCEL_KEYWORDS.includes((message || '').trim().toLowerCase())) {
+      await finishProfileEdit(whatsappNumber, currentState, {});
+
+      return {
+        response: language === 'mr'
+          ? 'ठीक आहे, कोणताही बदल केला नाही.'
+          : 'Okay, no changes were made.',
+        interactive: null
+      };
+    }
+
+    // Pick from the village choice list
+    if (editingField === 'village' && isVillageChoiceReply(replyId)) {
+      const pendingVillageChoice = currentState.context?.pendingVillageChoice;
+      await stateManager.updateStateContext(whatsappNumber, currentState, { pendingVillageChoice: null });
+
+      const entry = resolveVillageChoice(pendingVillageChoice, replyId);
+      if (!entry) {
+        return {
+          response: getVillageChoiceRetryMessage(language),
+          interactive: null
+        };
+      }
+
+      const extractedData = await buildVillageChoiceData(entry, pendingVillageChoice, language);
+      return requestProfileEditConfirmation(whatsappNumber, currentState, editingField, extractedData, extractedData.village_name, language, citizenData);
+    }
+
+    // New value: re-run extraction (and geocoding for the village) for just this field
+    const fieldConfig = EDITABLE_FIELDS[editingField];
+    const extractedData = await openaiService.extractRegistrationData(message, fieldConfig.extractionState, language, whatsappNumber);
+    const newValue = editingField === 'name' ? extractedData?.full_name : extractedData?.village_name;
+
+    if (!extractedData || !newValue || extractedData.confidence <= 0.7) {
+      return {
+        response: getRetryPromptForState(fieldConfig.extractionState, language),
+        interactive: null
+      };
+    }
+
+    if (editingField === 'village') {
+      const geocodeResult = await geocodingService.geocodeVillage(extractedData.village_name, language);
+
+      if (!geocodeResult.success) {
+        return {
+          response: geocodeResult.message,
+          interactive: null
+        };
+      }
+
+      if (geocodeResult.gazetteer?.ambiguous) {
+        const villageChoice = { query: extractedData.village_name, candidates: geocodeResult.gazetteer.alternatives };
+        await stateManager.updateStateContext(whatsappNumber, currentState, {
+          pendingVillageChoice: { ...villageChoice, askedAt: new Date().toISOString() }
+        });
+
+        return {
+          response: null,
+          interactive: getVillageChoiceInteractive(villageChoice, language)
+        };
+      }
+
+      extractedData.geocoding = geocodeResult;
+      extractedData.coordinates = geocodeResult.coordinates;
+      extractedData.validated_village = geocodeResult.administrative.village || extractedData.village_name;
+      extractedData.taluka = geocodeResult.administrative.taluka;
+    }
+
+    return requestProfileEditConfirmation(whatsappNumber, currentState, editingField, extractedData, newValue, language, citizenData);
+  } catch (error) {
+    if (isThrottleError(error)) throw error;
+
+    logger.error(`Error processing profile edit for ${whatsappNumber}:`, error);
+    return {
+      response: language === 'mr'
+        ? 'क्षमस्व, तांत्रिक समस्या आहे. कृपया पुन्हा प्रयत्न करा.'
+        : 'Sorry, technical issue. Please try again.',
+      interactive: null
+    };
+  }
+};
+
+// Store the pending change and ask the citizen to confirm it
+const requestProfileEditConfirmation = async (whatsappNumber, currentState, field, extractedData, newValue, language, citizenData) => {
+  const citizenField = EDITABLE_FIELDS[field].citizenField;
+  const edit = {
+    field,
+    citizenField,
+    oldValue: citizenData[citizenField] || null,
+    newValue: extractedData.validated_village || newValue,
+    extractedData
+  };
+
+  await stateManager.updateStateContext(whatsappNumber, currentState, { pendingEdit: edit });
+
+  return {
+    response: null,
+    interactive: getProfileEditConfirmationInteractive(edit, language)
+  };
+};
+
+// Close the edit state and return to the registered state
+const finishProfileEdit = async (whatsappNumber, currentState, extractedData) => {
+  await stateManager.completeStateTransition(whatsappNumber, {
+    ...currentState,
+    context: { ...currentState.context, pendingEdit: null }
+  }, extractedData, 'completed');
+};
+
+// Record old vs new values of a profile correction
+const logProfileAudit = async (whatsappNumber, edit) => {
+  try {
+    await citizensCollection
+      .doc(whatsappNumber)
+      .collection('profileAudit')
+      .add({
+        field: edit.citizenField,
+        oldValue: edit.oldValue,
+        newValue: edit.newValue,
+        coordinates: edit.extractedData.coordinates || null,
+        taluka: edit.extractedData.taluka || null,
+        source: 'citizen_whatsapp',
+        changedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+  } catch (error) {
+    logger.error(`Error logging profile audit for ${whatsappNumber}:`, error);
+  }
+};
+
+const getProfileEditPrompt = (field, language, citizenData) => {
+  const currentValue = field === 'name'
+    ? citizenData.userProvidedName || citizenData.whatsappDisplayName
+    : citizenData.village;
+
+  if (language === 'mr') {
+    return field === 'name'
+      ? `✏️ सध्याचे नाव: ${currentValue || 'N/A'}\n\nकृपया आपले योग्य पूर्ण नाव लिहा. (रद्द करण्यासाठी "रद्द" लिहा)`
+      : `✏️ सध्याचे गाव: ${currentValue || 'N/A'}\n\nकृपया आपले योग्य गाव (पुणे जिल्ह्यातील) लिहा. (रद्द करण्यासाठी "रद्द" लिहा)`;
+  }
+
+  return field === 'name'
+    ? `✏️ Current name: ${currentValue || 'N/A'}\n\nPlease type your correct full name. (Type "cancel" to stop)`
+    : `✏️ Current village: ${currentValue || 'N/A'}\n\nPlease type your correct village (within Pune district). (Type "cancel" to stop)`;
+};
+
+// Confirm/Cancel buttons for a profile correction
+const getProfileEditConfirmationInteractive = (edit, language) => {
+  const label = edit.field === 'village' && edit.extractedData.taluka
+    ? `${edit.newValue}, ${edit.extractedData.taluka}`
+    : edit.newValue;
+
+  return {
+    type: 'button',
+    body: {
+      text: language === 'mr'
+        ? `कृपया बदलाची पुष्टी करा:\n\nजुने: ${edit.oldValue || 'N/A'}\nनवीन: ${label}`
+        : `Please confirm the change:\n\nOld: ${edit.oldValue || 'N/A'}\nNew: ${label}`
+    },
+    action: {
+      buttons: [
+        { type: 'reply', reply: { id: PROFILE_EDIT_CONFIRM, title: language === 'mr' ? 'पुष्टी करा' : 'Confirm' } },
+        { type: 'reply', reply: { id: PROFILE_EDIT_CANCEL, title: language === 'mr' ? 'रद्द करा' : 'Cancel' } }
+      ]
+    }
+  };
+};
+
 // UPDATED: Update citizen data with geocoding information
 const updateCitizenDataFromFunctions = async (whatsappNumber, stateId, extractedData) => {
   try {
@@ -242,6 +820,9 @@ const updateCitizenDataFromFunctions = async (whatsappNumber, stateId, extracted
           if (extractedData.taluka) {
             updateData.taluka = extractedData.taluka;
           }
+
+          // Explicit choice between villages with the same name (cleared for unambiguous villages)
+          updateData.villageChoice = extractedData.villageChoice || null;
           
           if (extractedData.geocoding) {
             updateData.geocodingInfo = {
@@ -326,11 +907,11 @@ const getDefaultPromptForState = (stateId, language) => {
   const prompts = {
     mr: {
       'awaiting_name': 'कृपया आपले पूर्ण नाव सांगा.',
-      'awaiting_village': 'कृपया आपले गाव सांगा (पुणे जिल्ह्यातील).'
+      'awaiting_village': 'कृपया आपले गाव सांगा (पुणे जिल्ह्यातील) किंवा 📍 आपले स्थान (location) पाठवा.'
     },
     en: {
       'awaiting_name': 'Please tell me your full name.',
-      'awaiting_village': 'Please tell me your village name (within Pune district).'
+      'awaiting_village': 'Please tell me your village name (within Pune district) or 📍 share your location.'
     }
   };
   
@@ -354,23 +935,6 @@ const getRetryPromptForState = (stateId, language) => {
 
 // ... (previous code continues)
 
-// Keep other existing functions
-const searchKnowledgeBaseWithFunctions = async (query, language) => {
-  try {
-    const searchResults = await openaiService.searchKnowledgeWithFunctions(query, language);
-    
-    if (searchResults) {
-      logger.info(`Knowledge base search with functions: ${JSON.stringify(searchResults)}`);
-      return searchResults;
-    }
-    
-    return null;
-  } catch (error) {
-    logger.error('Error searching knowledge base with functions:', error);
-    return null;
-  }
-};
-
 const updateCitizenData = async (whatsappNumber, field, value) => {
   try {
     await citizensCollection.doc(whatsappNumber).update({
@@ -427,6 +991,15 @@ const saveChatMessage = async (whatsappNumber, role, content, language, messageD
       // Message details
       messageId: messageData.messageId || null,
       messageType: messageData.messageType || 'text',
+
+      // Voice note transcript (audio messages only)
+      transcript: messageData.transcript || null,
+
+      // Moderation result of a citizen message, and on the refusal sent for it
+      moderation: messageData.moderation || null,
+
+      // Human officer handoff this message belongs to
+      handoffId: messageData.handoffId || null,
       
       // Sender/Receiver details
       sender: role === 'user' ? {
@@ -436,13 +1009,14 @@ const saveChatMessage = async (whatsappNumber, role, content, language, messageD
       } : {
         businessPhoneId: process.env.PHONE_NUMBER_ID,
         botName: 'ZP Pune Assistant',
-        operator: 'system'
+        // Officer name while a conversation is handed off to a human
+        operator: messageData.operator || 'system'
       },
       
       receiver: role === 'user' ? {
         businessPhoneId: process.env.PHONE_NUMBER_ID,
         botName: 'ZP Pune Assistant',
-        operator: 'system'
+        operator: messageData.operator || 'system'
       } : {
         whatsappNumber: whatsappNumber,
         whatsappId: messageData.receiverWhatsappId || whatsappNumber,
@@ -498,7 +1072,9 @@ const getChatHistory = async (whatsappNumber, limit = 10) => {
         functionCallResults: data.functionCallResults,
         sender: data.sender,
         receiver: data.receiver,
-        messageType: data.messageType || 'text'
+        messageType: data.messageType || 'text',
+        transcript: data.transcript || null,
+        moderation: data.moderation || null
       });
     });
     
@@ -509,10 +1085,106 @@ const getChatHistory = async (whatsappNumber, limit = 10) => {
   }
 };
 
+// Convert Firestore timestamps in a citizen record to Dates
+const serializeCitizen = (id, data) => {
+  const citizen = { whatsappNumber: id, ...data };
+
+  Object.keys(citizen).forEach(key => {
+    if (citizen[key]?.toDate) {
+      citizen[key] = citizen[key].toDate();
+    }
+  });
+
+  return citizen;
+};
+
+// Get a citizen record without creating or touching it (admin lookups)
+const getCitizen = async (whatsappNumber) => {
+  try {
+    const citizenDoc = await citizensCollection.doc(whatsappNumber).get();
+    return citizenDoc.exists ? serializeCitizen(citizenDoc.id, citizenDoc.data()) : null;
+  } catch (error) {
+    logger.error(`Error getting citizen ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Citizens query for the given filters
+// filters: { taluka, village, isRegistered, language, activeSince, activeBefore }
+const buildCitizenQuery = (filters = {}) => {
+  let query = citizensCollection;
+
+  if (filters.taluka) {
+    query = query.where('taluka', '==', filters.taluka);
+  }
+  if (filters.village) {
+    // Citizens are stored under the gazetteer spelling of their village
+    const resolution = gazetteerService.resolveVillage(filters.village);
+    query = query.where('village', '==', resolution.confident ? resolution.match.name : filters.village);
+  }
+  if (typeof filters.isRegistered === 'boolean') {
+    query = query.where('isRegistered', '==', filters.isRegistered);
+  }
+  if (filters.language) {
+    query = query.where('preferredLanguage', '==', filters.language);
+  }
+  if (filters.activeSince) {
+    query = query.where('lastActive', '>=', admin.firestore.Timestamp.fromDate(filters.activeSince));
+  }
+  if (filters.activeBefore) {
+    query = query.where('lastActive', '<=', admin.firestore.Timestamp.fromDate(filters.activeBefore));
+  }
+
+  return query;
+};
+
+// List citizens, most recently active first, with optional filters and cursor pagination
+// (the filter + lastActive combinations need the composite indexes in firestore.indexes.json)
+const listCitizens = async (filters = {}, { limit = 20, cursor = null } = {}) => {
+  try {
+    let query = buildCitizenQuery(filters).orderBy('lastActive', 'desc').limit(limit);
+
+    if (cursor) {
+      const cursorDoc = await citizensCollection.doc(cursor).get();
+
+      // A deleted (or never active) cursor citizen must not silently restart the listing at page one
+      if (!cursorDoc.exists || !cursorDoc.data().lastActive) {
+        const error = new Error('cursor is no longer valid; start again without a cursor');
+        error.statusCode = 400;
+        throw error;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const citizensSnapshot = await query.get();
+    const citizens = [];
+    citizensSnapshot.forEach(doc => citizens.push(serializeCitizen(doc.id, doc.data())));
+
+    return {
+      citizens,
+      nextCursor: citizens.length === limit ? citizens[citizens.length - 1].whatsappNumber : null
+    };
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error listing citizens:', error);
+    }
+    throw error;
+  }
+};
+
 module.exports = {
   getOrCreateCitizen,
+  getCitizen,
+  listCitizens,
+  buildCitizenQuery,
   processRegistrationWithFunctionCalling,
-  searchKnowledgeBaseWithFunctions,
+  processLocationForRegistration,
+  confirmLocationForRegistration,
+  isLocationConfirmationReply,
+  confirmVillageChoiceForRegistration,
+  isVillageChoiceReply,
+  processProfileEdit,
+  updateCitizenData,
   saveChatMessage,
   getChatHistory
 };
\ No newline at end of file
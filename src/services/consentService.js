@@ -0,0 +1,154 @@
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+
+// Collection reference
+const citizensCollection = db.collection('citizens');
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// Whole-message keywords (case and trailing punctuation ignored)
+const CONSENT_KEYWORDS = {
+  opted_out: ['stop', 'stop all', 'unsubscribe', 'opt out', 'optout', 'बंद करा', 'बंद कर', 'थांबवा'],
+  opted_in: ['start', 'subscribe', 'unstop', 'opt in', 'सुरू करा', 'सुरु करा', 'चालू करा']
+};
+
+const normalizeKeyword = (text) => {
+  return (text || '')
+    .normalize('NFC')
+    .trim()
+    .toLowerCase()
+    .replace(/[.!।\s]+$/u, '')
+    .replace(/\s+/g, ' ');
+};
+
+// Consent change requested by a STOP/START keyword: { status, keyword, language } or null
+const detectConsentKeyword = (text) => {
+  const keyword = normalizeKeyword(text);
+
+  for (const status of CONSENT_STATUSES) {
+    if (CONSENT_KEYWORDS[status].includes(keyword)) {
+      return { status, keyword, language: /[ऀ-ॿ]/.test(keyword) ? 'mr' : 'en' };
+    }
+  }
+  return null;
+};
+
+// Record a consent change on the citizen and in their consent history
+// source: 'keyword' | 'first_contact' | 'admin'
+const setConsent = async (whatsappNumber, status, { source = 'keyword', keyword = null, operator = null } = {}) => {
+  try {
+    const citizenRef = citizensCollection.doc(whatsappNumber);
+    const citizenDoc = await citizenRef.get();
+    const previousStatus = citizenDoc.exists ? citizenDoc.data().consent?.status || null : null;
+
+    await citizenRef.set({
+      consent: {
+        status,
+        source,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    }, { merge: true });
+
+    await citizenRef.collection('consentHistory').add({
+      whatsappNumber,
+      status,
+      previousStatus,
+      source,
+      keyword,
+      operator,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Consent for ${whatsappNumber}: ${previousStatus || 'none'} -> ${status} (${source})`);
+    return { status, previousStatus, changed: previousStatus !== status };
+  } catch (error) {
+    logger.error(`Error updating consent for ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Whether outbound messages to this number must be suppressed
+const isOptedOut = async (whatsappNumber) => {
+  try {
+    const citizenDoc = await citizensCollection.doc(whatsappNumber).get();
+    return citizenDoc.exists && citizenDoc.data().consent?.status === 'opted_out';
+  } catch (error) {
+    // Do not message someone whose consent cannot be checked
+    logger.error(`Error checking consent for ${whatsappNumber}:`, error);
+    return true;
+  }
+};
+
+// Convert Firestore timestamps in a history entry to Dates
+const serializeHistoryEntry = (id, data) => ({
+  id,
+  ...data,
+  timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : data.timestamp || null
+});
+
+// Consent changes of one citizen, newest first
+const getConsentHistory = async (whatsappNumber, limit = 100) => {
+  try {
+    const historySnapshot = await citizensCollection
+      .doc(whatsappNumber)
+      .collection('consentHistory')
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    const history = [];
+    historySnapshot.forEach(doc => history.push(serializeHistoryEntry(doc.id, doc.data())));
+    return history;
+  } catch (error) {
+    logger.error(`Error getting consent history for ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Consent changes of all citizens in a period, oldest first (for export)
+const exportConsentHistory = async ({ since = null, until = null, status = null, limit = 5000 } = {}) => {
+  try {
+    let query = db.collectionGroup('consentHistory');
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    if (since) {
+      query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(since));
+    }
+    if (until) {
+      query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(until));
+    }
+
+    const historySnapshot = await query.orderBy('timestamp', 'asc').limit(limit).get();
+
+    const history = [];
+    historySnapshot.forEach(doc => history.push(serializeHistoryEntry(doc.id, doc.data())));
+    return history;
+  } catch (error) {
+    logger.error('Error exporting consent history:', error);
+    throw error;
+  }
+};
+
+const getConsentConfirmationMessage = (status, language) => {
+  if (status === 'opted_out') {
+    return language === 'mr'
+      ? '✅ आपली सदस्यता रद्द झाली आहे. पुणे जिल्हा परिषदेकडून आपल्याला यापुढे व्हॉट्सॲपवर संदेश येणार नाहीत.\n\nपुन्हा संदेश मिळवण्यासाठी "सुरू करा" लिहा.'
+      : '✅ You have been unsubscribed. You will no longer receive WhatsApp messages from Pune Zilla Parishad.\n\nReply START to subscribe again.';
+  }
+
+  return language === 'mr'
+    ? '✅ आपली सदस्यता पुन्हा सुरू झाली आहे. पुणे जिल्हा परिषदेकडून आपल्याला पुन्हा संदेश मिळतील.\n\nसंदेश थांबवण्यासाठी "बंद करा" लिहा.'
+    : '✅ You are subscribed again and will receive WhatsApp messages from Pune Zilla Parishad.\n\nReply STOP at any time to unsubscribe.';
+};
+
+module.exports = {
+  CONSENT_STATUSES,
+  detectConsentKeyword,
+  setConsent,
+  isOptedOut,
+  getConsentHistory,
+  exportConsentHistory,
+  getConsentConfirmationMessage
+};
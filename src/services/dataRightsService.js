@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+
+// Collection references
+const citizensCollection = db.collection('citizens');
+const metricsCollection = db.collection('messageMetrics');
+const dataRequestsCollection = db.collection('dataRequests');
+
+// Subcollections of citizens/{number}
+const CITIZEN_SUBCOLLECTIONS = ['chats', 'states', 'functionCalls', 'grievances', 'profileAudit', 'consentHistory'];
+
+const ERASURE_CONFIRM = 'data_erasure_confirm';
+const ERASURE_CANCEL = 'data_erasure_cancel';
+const ERASURE_CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+// Chat messages included in the WhatsApp copy of the export (the admin export has all of them)
+const WHATSAPP_EXPORT_CHAT_LIMIT = 20;
+
+// Firestore writes per batch (limit is 500)
+const WRITE_BATCH_LIMIT = 450;
+
+// "delete my data" / "my data" requests, erasure checked first
+const DATA_REQUEST_PATTERNS = {
+  erasure: [
+    /\b(delete|erase|remove|wipe)\s+(all\s+)?(of\s+)?my\s+(data|details|information|account)\b/i,
+    /(माझा|माझी|माझे|माझं)\s*(डेटा|माहिती|खाते).*(हटवा|काढून टाका|डिलीट|नष्ट करा)/
+  ],
+  export: [
+    /^my\s+data$/i,
+    /\b(show|send|export|download|give)\b.*\bmy\s+(data|information)\b/i,
+    /\bwhat\s+(data|information)\b.*\b(have|hold|store)\b.*\babout\s+me\b/i,
+    /^(माझा|माझी|माझे|माझं)\s*(डेटा|माहिती)(\s*(दाखवा|पाठवा|द्या))?$/
+  ]
+};
+
+// Detect a citizen's data request: 'erasure', 'export' or null
+const detectDataRequest = (text) => {
+  const message = (text || '').trim().replace(/[?.!।]+$/u, '');
+
+  if (DATA_REQUEST_PATTERNS.erasure.some(pattern => pattern.test(message))) return 'erasure';
+  if (DATA_REQUEST_PATTERNS.export.some(pattern => pattern.test(message))) return 'export';
+  return null;
+};
+
+// Every record outside citizens/{number} that carries the number
+const getLinkedRecordSources = (whatsappNumber) => [
+  { name: 'handoffs', query: db.collection('handoffs').where('whatsappNumber', '==', whatsappNumber), subcollections: ['messages'] },
+  { name: 'campaignDeliveries', query: db.collectionGroup('recipients').where('whatsappNumber', '==', whatsappNumber) },
+  { name: 'aiCompletions', query: db.collection('aiCompletions').where('whatsappNumber', '==', whatsappNumber) },
+  { name: 'llmUsage', query: db.collection('llmUsage').where('whatsappNumber', '==', whatsappNumber) },
+  { name: 'llmUsageByDay', query: db.collectionGroup('citizenUsage').where('whatsappNumber', '==', whatsappNumber) },
+  { name: 'messagesSent', query: metricsCollection.doc('messages').collection('sent').where('recipient', '==', whatsappNumber) },
+  { name: 'messageDeliveries', query: metricsCollection.doc('messages').collection('lifecycle').where('recipient', '==', whatsappNumber) },
+  { name: 'messageErrors', query: metricsCollection.doc('errors').collection('messages').where('recipient', '==', whatsappNumber) },
+  { name: 'profileFetches', query: metricsCollection.doc('profileFetches').collection('attempts').where('phoneNumber', '==', whatsappNumber) },
+  { name: 'llmThrottles', query: metricsCollection.doc('llmThrottles').collection('events').where('whatsappNumber', '==', whatsappNumber) },
+  { name: 'moderationEvents', query: metricsCollection.doc('moderation').collection('events').where('whatsappNumber', '==', whatsappNumber) }
+];
+
+// Firestore values to plain JSON (timestamps as ISO strings)
+const toPlain = (value) => {
+  if (value?.toDate) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((plain, key) => {
+      plain[key] = toPlain(value[key]);
+      return plain;
+    }, {});
+  }
+  return value;
+};
+
+const readRecords = async (query, subcollections = []) => {
+  const snapshot = await query.get();
+  const records = [];
+
+  for (const doc of snapshot.docs) {
+    const record = { id: doc.id, ...toPlain(doc.data()) };
+
+    for (const subcollection of subcollections) {
+      const subSnapshot = await doc.ref.collection(subcollection).get();
+      record[subcollection] = subSnapshot.docs.map(subDoc => ({ id: subDoc.id, ...toPlain(subDoc.data()) }));
+    }
+
+    records.push(record);
+  }
+
+  return records;
+};
+
+// Everything held about a number, as plain JSON
+const collectCitizenData = async (whatsappNumber) => {
+  try {
+    const citizenDoc = await citizensCollection.doc(whatsappNumber).get();
+
+    const data = {
+      whatsappNumber,
+      exportedAt: new Date().toISOString(),
+      profile: citizenDoc.exists ? toPlain(citizenDoc.data()) : null
+    };
+
+    for (const subcollection of CITIZEN_SUBCOLLECTIONS) {
+      data[subcollection] = await readRecords(citizensCollection.doc(whatsappNumber).collection(subcollection));
+    }
+
+    for (const source of getLinkedRecordSources(whatsappNumber)) {
+      data[source.name] = await readRecords(source.query, source.subcollections);
+    }
+
+    return data;
+  } catch (error) {
+    logger.error(`Error collecting data for ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Delete all documents of a query (and the given subcollections of each), returns the number deleted
+const deleteRecords = async (query, subcollections = []) => {
+  let deleted = 0;
+
+  while (true) {
+    const snapshot = await query.limit(WRITE_BATCH_LIMIT).get();
+    if (snapshot.empty) return deleted;
+
+    for (const doc of snapshot.docs) {
+      for (const subcollection of subcollections) {
+        deleted += await deleteRecords(doc.ref.collection(subcollection));
+      }
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+};
+
+// Remove delivery records only (used after the erasure confirmation message has been sent)
+const eraseDeliveryRecords = async (whatsappNumber) => {
+  const deliverySources = ['messagesSent', 'messageDeliveries', 'messageErrors'];
+  let deleted = 0;
+
+  for (const source of getLinkedRecordSources(whatsappNumber).filter(entry => deliverySources.includes(entry.name))) {
+    deleted += await deleteRecords(source.query);
+  }
+  return deleted;
+};
+
+// Cascading erasure of everything held about a number; returns deleted counts per collection
+const eraseCitizenData = async (whatsappNumber, { channel = 'whatsapp', requestedBy = 'citizen' } = {}) => {
+  try {
+    const counts = {};
+
+    for (const subcollection of CITIZEN_SUBCOLLECTIONS) {
+      counts[subcollection] = await deleteRecords(citizensCollection.doc(whatsappNumber).collection(subcollection));
+    }
+
+    for (const source of getLinkedRecordSources(whatsappNumber)) {
+      counts[source.name] = await deleteRecords(source.query, source.subcollections);
+    }
+
+    const citizenDoc = await citizensCollection.doc(whatsappNumber).get();
+    if (citizenDoc.exists) {
+      await citizensCollection.doc(whatsappNumber).delete();
+    }
+    counts.citizen = citizenDoc.exists ? 1 : 0;
+
+    await logDataRequest('erasure', whatsappNumber, { channel, requestedBy, counts });
+
+    logger.info(`Erased data of ${maskNumber(whatsappNumber)} (${channel}, ${requestedBy}): ${JSON.stringify(counts)}`);
+    return counts;
+  } catch (error) {
+    logger.error(`Error erasing data for ${maskNumber(whatsappNumber)}:`, error);
+    await logDataRequest('erasure', whatsappNumber, { channel, requestedBy, status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+const hashNumber = (whatsappNumber) => crypto.createHash('sha256').update(whatsappNumber).digest('hex');
+
+const maskNumber = (whatsappNumber) => `${'*'.repeat(Math.max(0, whatsappNumber.length - 4))}${whatsappNumber.slice(-4)}`;
+
+// Audit log of export/erasure requests; holds a hash of the number so it survives the erasure it records
+const logDataRequest = async (type, whatsappNumber, { channel, requestedBy, status = 'completed', counts = null, error = null }) => {
+  try {
+    await dataRequestsCollection.add({
+      type,
+      numberHash: hashNumber(whatsappNumber),
+      maskedNumber: maskNumber(whatsappNumber),
+      channel,
+      requestedBy,
+      status,
+      counts,
+      error,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (logError) {
+    logger.error('Error logging data request:', logError);
+  }
+};
+
+// Audit entries for one number, newest first
+const getDataRequestLog = async (whatsappNumber, limit = 50) => {
+  const logSnapshot = await dataRequestsCollection
+    .where('numberHash', '==', hashNumber(whatsappNumber))
+    .orderBy('timestamp', 'desc')
+    .limit(limit)
+    .get();
+
+  return logSnapshot.docs.map(doc => ({ id: doc.id, ...toPlain(doc.data()) }));
+};
+
+const formatDate = (value) => (value ? String(value).slice(0, 10) : 'N/A');
+
+// Readable text version of collectCitizenData(); chatLimit caps the chat transcript
+const formatTextExport = (data, language = 'en', { chatLimit = Infinity } = {}) => {
+  const mr = language === 'mr';
+  const profile = data.profile || {};
+  const lines = [];
+
+  lines.push(mr
+    ? `📄 पुणे जिल्हा परिषदेकडे असलेली आपली माहिती (${formatDate(data.exportedAt)})`
+    : `📄 Data held about you by Pune Zilla Parishad (${formatDate(data.exportedAt)})`);
+
+  lines.push('', mr ? '👤 प्रोफाइल' : '👤 Profile');
+  lines.push(`${mr ? 'व्हॉट्सॲप नंबर' : 'WhatsApp number'}: ${data.whatsappNumber}`);
+  lines.push(`${mr ? 'नाव' : 'Name'}: ${profile.userProvidedName || profile.whatsappDisplayName || 'N/A'}`);
+  lines.push(`${mr ? 'गाव' : 'Village'}: ${profile.village || 'N/A'}${profile.taluka ? `, ${profile.taluka}` : ''}`);
+  if (profile.coordinates) {
+    lines.push(`${mr ? 'स्थान' : 'Location'}: ${profile.coordinates.latitude}, ${profile.coordinates.longitude}`);
+  }
+  lines.push(`${mr ? 'भाषा' : 'Language'}: ${profile.preferredLanguage || 'N/A'}`);
+  lines.push(`${mr ? 'नोंदणी' : 'Registered'}: ${profile.isRegistered ? formatDate(profile.registrationCompletedAt || profile.createdAt) : (mr ? 'नाही' : 'No')}`);
+  lines.push(`${mr ? 'संदेश संमती' : 'Message consent'}: ${profile.consent?.status || 'N/A'}`);
+
+  lines.push('', `${mr ? '📝 तक्रारी' : '📝 Grievances'} (${data.grievances.length})`);
+  data.grievances.forEach(grievance => {
+    lines.push(`- ${grievance.ticketId || grievance.id} | ${grievance.department} | ${grievance.status} | ${formatDate(grievance.createdAt)}\n  ${grievance.description}`);
+  });
+
+  const chats = [...data.chats].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  const shownChats = chats.slice(-chatLimit);
+  lines.push('', `${mr ? '💬 संभाषण' : '💬 Conversation'} (${chats.length})`);
+  if (shownChats.length < chats.length) {
+    lines.push(mr
+      ? `(शेवटचे ${shownChats.length} संदेश; संपूर्ण प्रत जिल्हा परिषद कार्यालयाकडून मिळू शकते)`
+      : `(last ${shownChats.length} messages; the full copy is available from the Zilla Parishad office)`);
+  }
+  shownChats.forEach(chat => {
+    const speaker = chat.role === 'user' ? (mr ? 'आपण' : 'You') : (chat.operator && chat.operator !== 'system' ? chat.operator : 'ZP');
+    lines.push(`[${String(chat.timestamp || '').slice(0, 16).replace('T', ' ')}] ${speaker}: ${chat.content}`);
+  });
+
+  lines.push('', mr ? '🗂️ इतर नोंदी' : '🗂️ Other records');
+  lines.push(`${mr ? 'प्रोफाइल बदल' : 'Profile changes'}: ${data.profileAudit.length}`);
+  lines.push(`${mr ? 'संमती बदल' : 'Consent changes'}: ${data.consentHistory.length}`);
+  lines.push(`${mr ? 'अधिकाऱ्यांशी संभाषणे' : 'Officer conversations'}: ${data.handoffs.length}`);
+  lines.push(`${mr ? 'घोषणा संदेश' : 'Announcements received'}: ${data.campaignDeliveries.length}`);
+  lines.push(`${mr ? 'संभाषण स्थिती नोंदी' : 'Conversation state records'}: ${data.states.length + data.functionCalls.length}`);
+  lines.push(`${mr ? 'AI उत्तर नोंदी' : 'AI answer logs'}: ${data.aiCompletions.length}`);
+  lines.push(`${mr ? 'संदेश वितरण नोंदी' : 'Message delivery records'}: ${data.messagesSent.length + data.messageDeliveries.length + data.messageErrors.length}`);
+  lines.push(`${mr ? 'व्हॉट्सॲप प्रोफाइल तपासणी' : 'WhatsApp profile lookups'}: ${data.profileFetches.length}`);
+
+  return lines.join('\n');
+};
+
+// Export requested by the citizen over WhatsApp (logged, shortened chat transcript)
+const exportForCitizen = async (whatsappNumber, language) => {
+  const data = await collectCitizenData(whatsappNumber);
+  await logDataRequest('export', whatsappNumber, { channel: 'whatsapp', requestedBy: 'citizen' });
+  return formatTextExport(data, language, { chatLimit: WHATSAPP_EXPORT_CHAT_LIMIT });
+};
+
+const isErasureReply = (replyId) => replyId === ERASURE_CONFIRM || replyId === ERASURE_CANCEL;
+
+// A confirmation is only valid shortly after the citizen asked for erasure
+const isErasureConfirmationValid = (pendingErasure) => {
+  return !!pendingErasure?.requestedAt &&
+    Date.now() - new Date(pendingErasure.requestedAt).getTime() <= ERASURE_CONFIRMATION_TTL_MS;
+};
+
+// Confirm/Cancel buttons before erasing everything
+const getErasureConfirmationInteractive = (language) => ({
+  type: 'button',
+  body: {
+    text: language === 'mr'
+      ? '⚠️ आपली सर्व माहिती (प्रोफाइल, संभाषण, तक्रारी आणि इतर नोंदी) कायमची हटवली जाईल. ही क्रिया परत घेता येणार नाही.\n\nआपल्याला खात्री आहे का?'
+      : '⚠️ All your data (profile, conversation, grievances and other records) will be permanently deleted. This cannot be undone.\n\nAre you sure?'
+  },
+  action: {
+    buttons: [
+      { type: 'reply', reply: { id: ERASURE_CONFIRM, title: language === 'mr' ? 'होय, हटवा' : 'Yes, delete' } },
+      { type: 'reply', reply: { id: ERASURE_CANCEL, title: language === 'mr' ? 'रद्द करा' : 'Cancel' } }
+    ]
+  }
+});
+
+const getErasureResultMessage = (result, language) => {
+  const messages = {
+    erased: {
+      en: '✅ Your data has been deleted from the Pune Zilla Parishad WhatsApp service. If you write to us again, a new record will be started.',
+      mr: '✅ पुणे जिल्हा परिषदेच्या व्हॉट्सॲप सेवेतून आपली माहिती हटवली आहे. आपण पुन्हा संदेश पाठवल्यास नवीन नोंद सुरू होईल.'
+    },
+    cancelled: {
+      en: 'Okay, your data has not been deleted.',
+      mr: 'ठीक आहे, आपली माहिती हटवलेली नाही.'
+    },
+    expired: {
+      en: 'That confirmation has expired. Please send "delete my data" again if you still want your data deleted.',
+      mr: 'ही पुष्टी कालबाह्य झाली आहे. माहिती हटवायची असल्यास कृपया "माझी माहिती हटवा" पुन्हा लिहा.'
+    }
+  };
+
+  return messages[result][language === 'mr' ? 'mr' : 'en'];
+};
+
+module.exports = {
+  ERASURE_CONFIRM,
+  ERASURE_CANCEL,
+  detectDataRequest,
+  collectCitizenData,
+  formatTextExport,
+  exportForCitizen,
+  eraseCitizenData,
+  eraseDeliveryRecords,
+  logDataRequest,
+  getDataRequestLog,
+  isErasureReply,
+  isErasureConfirmationValid,
+  getErasureConfirmationInteractive,
+  getErasureResultMessage
+};
@@ -0,0 +1,265 @@
+const logger = require('../utils/logger');
+const stateManager = require('./stateManagerService');
+const { isThrottleError } = require('./llmRateLimitService');
+const { flows, actions, optionFilters } = require('../flows');
+
+// Interactive reply IDs produced by the engine look like "flow:<flowId>:<nodeId>:<optionId>"
+const REPLY_ID_PREFIX = 'flow';
+const REPLY_ID_SEPARATOR = ':';
+
+// WhatsApp interactive limits
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
+const flowRegistry = new Map();
+
+// Register a flow definition ({ id, triggers, startNode, nodes })
+const registerFlow = (flow) => {
+  if (!flow || !flow.id || !flow.nodes || !flow.nodes[flow.startNode]) {
+    throw new Error(`Invalid flow definition: ${flow?.id}`);
+  }
+
+  for (const [nodeId, node] of Object.entries(flow.nodes)) {
+    for (const option of node.options || []) {
+      if (option.next && !flow.nodes[option.next]) {
+        throw new Error(`Flow ${flow.id} node ${nodeId} option ${option.id} points to unknown node ${option.next}`);
+      }
+    }
+    if (node.next && !flow.nodes[node.next]) {
+      throw new Error(`Flow ${flow.id} node ${nodeId} points to unknown node ${node.next}`);
+    }
+  }
+
+  flowRegistry.set(flow.id, flow);
+};
+
+flows.forEach(registerFlow);
+
+const buildReplyId = (flowId, nodeId, optionId) => {
+  return [REPLY_ID_PREFIX, flowId, nodeId, optionId].join(REPLY_ID_SEPARATOR);
+};
+
+// Parse a reply ID created by buildReplyId
+const parseReplyId = (replyId) => {
+  const parts = (replyId || '').split(REPLY_ID_SEPARATOR);
+
+  if (parts.length !== 4 || parts[0] !== REPLY_ID_PREFIX) {
+    return null;
+  }
+
+  const [, flowId, nodeId, optionId] = parts;
+  return { flowId, nodeId, optionId };
+};
+
+const localize = (value, language) => {
+  if (!value || typeof value === 'string') return value || '';
+  return value[language] || value.en || '';
+};
+
+// Find the flow whose trigger keyword matches a free-text message
+const findTriggeredFlow = (text) => {
+  const normalized = (text || '').trim().toLowerCase();
+  if (!normalized) return null;
+
+  for (const flow of flowRegistry.values()) {
+    if ((flow.triggers || []).includes(normalized)) {
+      return flow;
+    }
+  }
+  return null;
+};
+
+// Store the citizen's current flow node on their active state record
+const saveFlowPosition = async (whatsappNumber, flowId, nodeId) => {
+  const currentState = await stateManager.getCurrentState(whatsappNumber);
+
+  if (!currentState) {
+    logger.warn(`No active state to store flow position for ${whatsappNumber}`);
+    return false;
+  }
+
+  return stateManager.updateStateContext(whatsappNumber, currentState, {
+    flow: flowId ? { flowId, nodeId, enteredAt: new Date().toISOString() } : null
+  });
+};
+
+// Get the citizen's current flow node, if any
+const getFlowPosition = async (whatsappNumber) => {
+  const currentState = await stateManager.getCurrentState(whatsappNumber);
+  return currentState?.context?.flow || null;
+};
+
+// Render a node into outgoing messages, running actions and following automatic transitions
+const renderNode = async (whatsappNumber, flow, nodeId, language, visited = new Set()) => {
+  const node = flow.nodes[nodeId];
+  const outgoing = [];
+
+  if (!node || visited.has(nodeId)) {
+    logger.error(`Flow ${flow.id}: cannot render node ${nodeId}`);
+    return { outgoing, nodeId };
+  }
+  visited.add(nodeId);
+
+  switch (node.type) {
+    case 'action': {
+      const handler = actions[node.action?.handler];
+      if (!handler) {
+        throw new Error(`Flow ${flow.id}: unknown action handler ${node.action?.handler}`);
+      }
+
+      const result = await handler(node.action.params || {}, { whatsappNumber, language, flowId: flow.id, nodeId });
+      if (result?.text) {
+        outgoing.push({ type: 'text', text: result.text, metadata: result.metadata || {} });
+      }
+      break;
+    }
+
+    case 'message':
+      outgoing.push({ type: 'text', text: localize(node.prompt, language) });
+      break;
+
+    case 'buttons':
+    case 'list': {
+      let options = node.options || [];
+      if (node.optionsFilter) {
+        const filter = optionFilters[node.optionsFilter];
+        options = filter ? await filter(options, { whatsappNumber, language }) : options;
+      }
+
+      if (options.length === 0) {
+        logger.warn(`Flow ${flow.id} node ${nodeId} has no options to show`);
+        break;
+      }
+
+      outgoing.push({
+        type: 'interactive',
+        interactive: node.type === 'buttons'
+          ? buildButtonMessage(flow, nodeId, node, options, language)
+          : buildListMessage(flow, nodeId, node, options, language)
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Flow ${flow.id}: unknown node type ${node.type}`);
+  }
+
+  // Automatic transition (e.g. after an action)
+  if (node.next) {
+    const nextRender = await renderNode(whatsappNumber, flow, node.next, language, visited);
+    return { outgoing: outgoing.concat(nextRender.outgoing), nodeId: nextRender.nodeId };
+  }
+
+  return { outgoing, nodeId };
+};
+
+const buildButtonMessage = (flow, nodeId, node, options, language) => {
+  return {
+    type: 'button',
+    body: { text: localize(node.prompt, language) },
+    action: {
+      buttons: options.slice(0, MAX_BUTTONS).map(option => ({
+        type: 'reply',
+        reply: {
+          id: buildReplyId(flow.id, nodeId, option.id),
+          title: localize(option.title, language)
+        }
+      }))
+    }
+  };
+};
+
+const buildListMessage = (flow, nodeId, node, options, language) => {
+  return {
+    type: 'list',
+    ...(node.header && { header: { type: 'text', text: localize(node.header, language) } }),
+    body: { text: localize(node.prompt, language) },
+    ...(node.footer && { footer: { text: localize(node.footer, language) } }),
+    action: {
+      button: localize(node.button, language),
+      sections: [
+        {
+          title: localize(node.sectionTitle, language),
+          rows: options.slice(0, MAX_LIST_ROWS).map(option => ({
+            id: buildReplyId(flow.id, nodeId, option.id),
+            title: localize(option.title, language),
+            ...(option.description && { description: localize(option.description, language) })
+          }))
+        }
+      ]
+    }
+  };
+};
+
+// Start a flow at its start node
+const startFlow = async (whatsappNumber, flowId, language = 'en') => {
+  const flow = flowRegistry.get(flowId);
+  if (!flow) {
+    throw new Error(`Unknown flow: ${flowId}`);
+  }
+
+  const { outgoing, nodeId } = await renderNode(whatsappNumber, flow, flow.startNode, language);
+  await saveFlowPosition(whatsappNumber, flow.id, nodeId);
+
+  logger.info(`Started flow ${flow.id} for ${whatsappNumber} at node ${nodeId}`);
+  return { handled: true, flowId: flow.id, nodeId, outgoing };
+};
+
+// Dispatch an interactive reply ID to its flow transition
+const handleReply = async (whatsappNumber, replyId, language = 'en') => {
+  const parsed = parseReplyId(replyId);
+  if (!parsed) {
+    return { handled: false };
+  }
+
+  const flow = flowRegistry.get(parsed.flowId);
+  const node = flow?.nodes[parsed.nodeId];
+  const option = node?.options?.find(candidate => candidate.id === parsed.optionId);
+
+  if (!option || !option.next) {
+    logger.warn(`Unknown flow reply ${replyId} from ${whatsappNumber}`);
+    return { handled: false };
+  }
+
+  const { outgoing, nodeId } = await renderNode(whatsappNumber, flow, option.next, language);
+  await saveFlowPosition(whatsappNumber, flow.id, nodeId);
+
+  logger.info(`Flow ${flow.id}: ${parsed.nodeId} --${option.id}--> ${nodeId} for ${whatsappNumber}`);
+  return { handled: true, flowId: flow.id, nodeId, outgoing };
+};
+
+// Handle a message: reply IDs and trigger keywords are deterministic, anything else goes to the AI pipeline
+const handleMessage = async (whatsappNumber, { text, replyId }, language = 'en') => {
+  try {
+    if (replyId) {
+      const replyResult = await handleReply(whatsappNumber, replyId, language);
+      if (replyResult.handled) {
+        return replyResult;
+      }
+    }
+
+    const triggeredFlow = findTriggeredFlow(text);
+    if (triggeredFlow) {
+      return await startFlow(whatsappNumber, triggeredFlow.id, language);
+    }
+
+    return { handled: false };
+  } catch (error) {
+    // The webhook tells a throttled citizen to wait instead of answering through the AI pipeline
+    if (isThrottleError(error)) {
+      throw error;
+    }
+
+    logger.error(`Error handling flow message for ${whatsappNumber}:`, error);
+    return { handled: false, error: error.message };
+  }
+};
+
+module.exports = {
+  registerFlow,
+  startFlow,
+  handleReply,
+  handleMessage,
+  getFlowPosition,
+  parseReplyId
+};
@@ -0,0 +1,166 @@
+const logger = require('../utils/logger');
+const { GAZETTEER, TALUKA_NAMES_MR } = require('../../data/puneZpGazetteer');
+const { normalizeVillageKey, villageSkeletonKey } = require('../utils/villageNameNormalizer');
+
+// Minimum score for a local match to be used without the remote geocoder
+const CONFIDENT_MATCH_SCORE = parseInt(process.env.GAZETTEER_CONFIDENT_SCORE || '85', 10);
+
+// Minimum similarity (0-1) for an edit-distance match to be considered at all
+const MIN_FUZZY_SIMILARITY = 0.75;
+
+// Generic words citizens add around a village name
+const FILLER_WORDS = ['village', 'gaon', 'gav', 'gram', 'taluka', 'tal', 'ta', 'dist', 'district', 'pune', 'गाव', 'ग्राम', 'तालुका', 'ता', 'जिल्हा', 'पुणे'];
+
+// Normalize a name for comparison: lowercase, no punctuation, single spaces
+const normalizeName = (value) => {
+  return (value || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[.,;:!?'"()\-_/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Normalized name with filler words removed (keeps the text if nothing else is left)
+const stripFillerWords = (value) => {
+  const words = normalizeName(value).split(' ').filter(Boolean);
+  const meaningful = words.filter(word => !FILLER_WORDS.includes(word));
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+};
+
+
+// Levenshtein edit distance
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity between 0 and 1 based on edit distance
+const similarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  return maxLength === 0 ? 1 : 1 - editDistance(a, b) / maxLength;
+};
+
+// Precomputed script-independent lookup keys for every gazetteer entry
+const INDEX = GAZETTEER.map(entry => {
+  const names = [entry.name, entry.nameMr, ...(entry.variants || [])].filter(Boolean);
+
+  return {
+    entry,
+    keys: [...new Set(names.map(normalizeVillageKey))],
+    skeletonKeys: [...new Set(names.map(villageSkeletonKey))]
+  };
+});
+
+// Taluka lookup by English or Marathi name
+const TALUKA_KEYS = Object.keys(TALUKA_NAMES_MR).reduce((keys, taluka) => {
+  keys[normalizeVillageKey(taluka)] = taluka;
+  keys[normalizeVillageKey(TALUKA_NAMES_MR[taluka])] = taluka;
+  return keys;
+}, {});
+
+// Split "Pargaon, Daund" / "Pargaon taluka Daund" into village and taluka parts
+const parseQuery = (query) => {
+  const parts = String(query || '').split(/,|\btaluka\b|\bta\.|तालुका|ता\./i).map(part => part.trim()).filter(Boolean);
+
+  if (parts.length > 1) {
+    const talukaKey = normalizeVillageKey(stripFillerWords(parts[parts.length - 1]));
+    if (TALUKA_KEYS[talukaKey]) {
+      return { villageQuery: parts.slice(0, -1).join(' '), taluka: TALUKA_KEYS[talukaKey] };
+    }
+  }
+
+  return { villageQuery: parts.join(' '), taluka: null };
+};
+
+// Score one entry against the normalized query keys
+const scoreEntry = (indexed, queryKey, querySkeleton) => {
+  let best = { score: 0, matchType: null };
+
+  if (indexed.keys.includes(queryKey)) {
+    return { score: 100, matchType: 'exact' };
+  }
+
+  // Same name up to inherent-vowel spelling (Khadakwasla / खडकवासला)
+  if (indexed.skeletonKeys.includes(querySkeleton)) {
+    return { score: 97, matchType: 'transliteration' };
+  }
+
+  for (const key of indexed.keys) {
+    const keySimilarity = similarity(key, queryKey);
+    if (keySimilarity >= MIN_FUZZY_SIMILARITY) {
+      const score = Math.round(keySimilarity * 99);
+      if (score > best.score) {
+        best = { score, matchType: 'fuzzy' };
+      }
+    }
+  }
+
+  return best;
+};
+
+// Resolve a village name against the local gazetteer
+// Returns { found, confident, ambiguous, match, candidates }
+const resolveVillage = (query, options = {}) => {
+  const { villageQuery, taluka: parsedTaluka } = parseQuery(query);
+  const taluka = options.taluka || parsedTaluka;
+  const strippedQuery = stripFillerWords(villageQuery);
+  const queryKey = normalizeVillageKey(strippedQuery);
+  const querySkeleton = villageSkeletonKey(strippedQuery);
+
+  if (!queryKey) {
+    return { found: false, confident: false, ambiguous: false, match: null, candidates: [] };
+  }
+
+  const candidates = INDEX
+    .filter(indexed => !taluka || indexed.entry.taluka === taluka)
+    .map(indexed => ({ ...indexed.entry, ...scoreEntry(indexed, queryKey, querySkeleton) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (candidates.length === 0) {
+    logger.info(`Gazetteer: no local match for "${query}"`);
+    return { found: false, confident: false, ambiguous: false, match: null, candidates: [] };
+  }
+
+  const match = candidates[0];
+  const topCandidates = candidates.filter(candidate => candidate.score === match.score);
+  const ambiguous = new Set(topCandidates.map(candidate => candidate.taluka)).size > 1;
+  const confident = match.score >= CONFIDENT_MATCH_SCORE;
+
+  logger.info(`Gazetteer: "${query}" -> ${match.name} (${match.taluka}), ${match.matchType}, score ${match.score}${ambiguous ? ', ambiguous' : ''}`);
+
+  return {
+    found: true,
+    confident,
+    ambiguous,
+    match,
+    candidates: ambiguous ? topCandidates : candidates.slice(0, 5)
+  };
+};
+
+// Find a gazetteer entry by its id
+const getEntryById = (id) => {
+  return GAZETTEER.find(entry => entry.id === id) || null;
+};
+
+module.exports = {
+  resolveVillage,
+  getEntryById,
+  normalizeName,
+  editDistance
+};
@@ -1,24 +1,168 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { db, admin } = require('../config/firebase');
+const gazetteerService = require('./gazetteerService');
+const geoBoundaries = require('../utils/geoBoundaries');
+const { normalizeVillageKey } = require('../utils/villageNameNormalizer');
 
 // Google Maps API Key
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 
-// Pune Zilla Panchayat boundaries (approximate)
-const PUNE_ZP_BOUNDS = {
-  northeast: { lat: 19.5, lng: 75.0 },
-  southwest: { lat: 18.0, lng: 73.5 }
-};
 
 // Collection for geocoding cache
 const geocodingCollection = db.collection('geocoding');
 
+// Remote geocoder is only a fallback for names the local gazetteer cannot resolve
+const REMOTE_GEOCODING_ENABLED = process.env.REMOTE_GEOCODING_ENABLED !== 'false';
+
+// Build a geocode result from a local gazetteer match
+const buildGazetteerResult = (villageName, resolution) => {
+  const { match } = resolution;
+
+  return {
+    success: true,
+    villageName: villageName,
+    coordinates: {
+      latitude: match.coordinates.lat,
+      longitude: match.coordinates.lng
+    },
+    formattedAddress: `${match.name}, ${match.taluka} Taluka, Pune District, Maharashtra, India`,
+    placeId: null,
+    administrative: {
+      village: match.name,
+      taluka: match.taluka,
+      district: 'Pune',
+      state: 'Maharashtra',
+      country: 'India',
+      pincode: null
+    },
+    bounds: null,
+    locationType: match.coordinatePrecision === 'village' ? 'GAZETTEER_VILLAGE' : 'GAZETTEER_TALUKA_CENTER',
+    confidence: match.score,
+    source: 'gazetteer',
+    gazetteer: {
+      id: match.id,
+      lgdCode: match.lgdCode,
+      nameMr: match.nameMr,
+      matchType: match.matchType,
+      ambiguous: resolution.ambiguous,
+      alternatives: resolution.ambiguous
+        ? resolution.candidates.map(candidate => ({
+          id: candidate.id,
+          village: candidate.name,
+          villageMr: candidate.nameMr,
+          taluka: candidate.taluka,
+          talukaMr: candidate.talukaMr
+        }))
+        : []
+    },
+    geocodedAt: new Date().toISOString()
+  };
+};
+
+// Best-scoring Google result over several phrasings of a query
+const findBestRemoteResult = async (searchQueries, villageName, language) => {
+  let bestResult = null;
+  let highestScore = 0;
+
+  for (const query of searchQueries) {
+    try {
+      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        params: {
+          address: query,
+          key: GOOGLE_MAPS_API_KEY,
+          region: 'IN',
+          language: language === 'mr' ? 'hi' : 'en'
+        }
+      });
+
+      if (response.data.status === 'OK' && response.data.results.length > 0) {
+        const result = response.data.results[0];
+
+        // Calculate relevance score
+        const score = calculateRelevanceScore(result, villageName);
+
+        if (score > highestScore) {
+          highestScore = score;
+          bestResult = result;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Geocoding query failed for: ${query}`, error.message);
+      continue;
+    }
+  }
+
+  return { bestResult, highestScore };
+};
+
+// Coordinates for a gazetteer entry. Bundled entries only carry their taluka centre, so the
+// village itself is geocoded (name and taluka stay from the gazetteer); the centre is kept
+// when remote geocoding is unavailable or finds nothing inside Pune district
+const locateGazetteerEntry = async (entry, language = 'en') => {
+  const fallback = {
+    coordinates: entry.coordinates
+      ? { latitude: entry.coordinates.lat, longitude: entry.coordinates.lng }
+      : null,
+    locationType: entry.coordinatePrecision === 'village' ? 'GAZETTEER_VILLAGE' : 'GAZETTEER_TALUKA_CENTER'
+  };
+
+  if (entry.coordinatePrecision === 'village' || !REMOTE_GEOCODING_ENABLED || !GOOGLE_MAPS_API_KEY) {
+    return fallback;
+  }
+
+  try {
+    const cacheName = `${entry.name}, ${entry.taluka}`;
+    const cachedResult = await getCachedGeocode(cacheName);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    const { bestResult } = await findBestRemoteResult([
+      `${entry.name}, ${entry.taluka} Taluka, Pune District, Maharashtra, India`,
+      `${entry.name}, ${entry.taluka}, Pune, Maharashtra, India`
+    ], entry.name, language);
+
+    if (!bestResult || !isLocationInPuneZP(bestResult.geometry.location)) {
+      logger.info(`No remote position for gazetteer village ${cacheName}, using the taluka centre`);
+      return fallback;
+    }
+
+    const location = {
+      coordinates: {
+        latitude: bestResult.geometry.location.lat,
+        longitude: bestResult.geometry.location.lng
+      },
+      locationType: bestResult.geometry.location_type
+    };
+
+    await cacheGeocode(cacheName, location);
+    return location;
+  } catch (error) {
+    logger.error(`Error locating gazetteer village ${entry.name}:`, error);
+    return fallback;
+  }
+};
+
 // Geocode village name with validation for Pune ZP
 const geocodeVillage = async (villageName, language = 'en') => {
   try {
     logger.info(`Geocoding village: ${villageName}`);
 
+    // Local gazetteer first: works offline and needs no API calls
+    const resolution = gazetteerService.resolveVillage(villageName);
+    if (resolution.confident) {
+      const gazetteerResult = buildGazetteerResult(villageName, resolution);
+
+      // Ambiguous names are located once the citizen picks the taluka
+      if (resolution.ambiguous) {
+        return gazetteerResult;
+      }
+
+      const location = await locateGazetteerEntry(resolution.match, language);
+      return { ...gazetteerResult, coordinates: location.coordinates, locationType: location.locationType };
+    }
+
     // Check cache first
     const cachedResult = await getCachedGeocode(villageName);
     if (cachedResult) {
@@ -26,44 +170,25 @@ const geocodeVillage = async (villageName, language = 'en') => {
       return cachedResult;
     }
 
+    if (!REMOTE_GEOCODING_ENABLED || !GOOGLE_MAPS_API_KEY) {
+      logger.info(`Remote geocoding unavailable, no confident local match for ${villageName}`);
+      return {
+        success: false,
+        error: 'Village not found',
+        suggestions: resolution.candidates.map(candidate => ({ village: candidate.name, taluka: candidate.taluka })),
+        message: language === 'mr'
+          ? 'हे गाव सापडले नाही. कृपया योग्य गाव नाव लिहा.'
+          : 'Village not found. Please provide a valid village name.'
+      };
+    }
+
     // Prepare search query with Pune context
-    const searchQueries = [
+    const { bestResult, highestScore } = await findBestRemoteResult([
       `${villageName}, Pune District, Maharashtra, India`,
       `${villageName}, Pune, Maharashtra, India`,
       `${villageName} village, Pune District, Maharashtra`,
       `${villageName}, Maharashtra, India`
-    ];
-
-    let bestResult = null;
-    let highestScore = 0;
-
-    for (const query of searchQueries) {
-      try {
-        const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-          params: {
-            address: query,
-            key: GOOGLE_MAPS_API_KEY,
-            region: 'IN',
-            language: language === 'mr' ? 'hi' : 'en'
-          }
-        });
-
-        if (response.data.status === 'OK' && response.data.results.length > 0) {
-          const result = response.data.results[0];
-          
-          // Calculate relevance score
-          const score = calculateRelevanceScore(result, villageName);
-          
-          if (score > highestScore) {
-            highestScore = score;
-            bestResult = result;
-          }
-        }
-      } catch (error) {
-        logger.warn(`Geocoding query failed for: ${query}`, error.message);
-        continue;
-      }
-    }
+    ], villageName, language);
 
     if (!bestResult) {
       return {
@@ -128,17 +253,15 @@ const geocodeVillage = async (villageName, language = 'en') => {
   }
 };
 
-// Check if location is within Pune ZP boundaries
+// Check if location is within Pune ZP boundaries (district polygon)
 const isLocationInPuneZP = (location) => {
-  const lat = location.lat;
-  const lng = location.lng;
-
-  return (
-    lat >= PUNE_ZP_BOUNDS.southwest.lat &&
-    lat <= PUNE_ZP_BOUNDS.northeast.lat &&
-    lng >= PUNE_ZP_BOUNDS.southwest.lng &&
-    lng <= PUNE_ZP_BOUNDS.northeast.lng
-  );
+  return geoBoundaries.isInPuneDistrict(location.lat, location.lng);
+};
+
+// Taluka containing a location, from the bundled taluka polygons
+const getTalukaForLocation = (location) => {
+  const taluka = geoBoundaries.findTaluka(location.lat, location.lng);
+  return taluka ? taluka.name : null;
 };
 
 // Calculate relevance score for geocoding results
@@ -210,8 +333,6 @@ const extractAdministrativeDetails = (result) => {
     
     if (types.includes('locality') || types.includes('sublocality')) {
       details.village = component.long_name;
-    } else if (types.includes('administrative_area_level_3')) {
-      details.taluka = component.long_name;
     } else if (types.includes('administrative_area_level_2')) {
       details.district = component.long_name;
     } else if (types.includes('administrative_area_level_1')) {
@@ -223,13 +344,21 @@ const extractAdministrativeDetails = (result) => {
     }
   }
 
+  // Taluka comes from our own polygons; Google rarely returns administrative_area_level_3 here
+  if (result.geometry?.location) {
+    details.taluka = getTalukaForLocation(result.geometry.location);
+  }
+
   return details;
 };
 
+// Cache key shared by every spelling/script of a village name
+const getCacheKey = (villageName) => normalizeVillageKey(villageName) || villageName.toLowerCase().trim();
+
 // Cache geocoding results
 const cacheGeocode = async (villageName, result) => {
   try {
-    const cacheKey = villageName.toLowerCase().trim();
+    const cacheKey = getCacheKey(villageName);
     
     await geocodingCollection.doc(cacheKey).set({
       villageName: villageName,
@@ -247,7 +376,7 @@ const cacheGeocode = async (villageName, result) => {
 // Get cached geocoding result
 const getCachedGeocode = async (villageName) => {
   try {
-    const cacheKey = villageName.toLowerCase().trim();
+    const cacheKey = getCacheKey(villageName);
     const doc = await geocodingCollection.doc(cacheKey).get();
     
     if (doc.exists) {
@@ -314,6 +443,7 @@ const reverseGeocode = async (latitude, longitude) => {
     if (response.data.status === 'OK' && response.data.results.length > 0) {
       const result = response.data.results[0];
       const adminDetails = extractAdministrativeDetails(result);
+      adminDetails.taluka = getTalukaForLocation({ lat: latitude, lng: longitude });
       
       return {
         success: true,
@@ -339,7 +469,9 @@ const reverseGeocode = async (latitude, longitude) => {
 
 module.exports = {
   geocodeVillage,
+  locateGazetteerEntry,
   reverseGeocode,
   getPuneZPVillages,
-  isLocationInPuneZP
+  isLocationInPuneZP,
+  getTalukaForLocation
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+
+// Collection references
+const citizensCollection = db.collection('citizens');
+const countersCollection = db.collection('counters');
+
+// Departments accepting grievances (from knowledgebase.txt "Key Departments and Functions")
+const GRIEVANCE_DEPARTMENTS = {
+  general_administration: { en: 'General Administration', mr: 'सामान्य प्रशासन' },
+  education: { en: 'Education', mr: 'शिक्षण' },
+  health: { en: 'Health', mr: 'आरोग्य' },
+  water_supply: { en: 'Rural Water Supply', mr: 'ग्रामीण पाणी पुरवठा' },
+  public_works: { en: 'Public Works', mr: 'बांधकाम' },
+  agriculture: { en: 'Agriculture', mr: 'कृषी' },
+  animal_husbandry: { en: 'Animal Husbandry', mr: 'पशुसंवर्धन' },
+  women_child_welfare: { en: 'Women and Child Welfare', mr: 'महिला आणि बाल कल्याण' },
+  social_welfare: { en: 'Social Welfare', mr: 'समाज कल्याण' },
+  gram_panchayat: { en: 'Gram Panchayat', mr: 'ग्रामपंचायत' },
+  employment_guarantee: { en: 'Employment Guarantee Scheme', mr: 'रोजगार हमी योजना' },
+  finance: { en: 'Finance', mr: 'वित्त' }
+};
+
+// Grievance lifecycle states
+const GRIEVANCE_STATUSES = {
+  registered: { en: 'Registered', mr: 'नोंदणीकृत' },
+  in_progress: { en: 'In Progress', mr: 'कार्यवाही सुरू' },
+  resolved: { en: 'Resolved', mr: 'निवारण झाले' },
+  closed: { en: 'Closed', mr: 'बंद' },
+  rejected: { en: 'Rejected', mr: 'नामंजूर' }
+};
+
+// Expected resolution time by priority (from knowledgebase.txt "Time Expectations")
+const RESOLUTION_DAYS = {
+  emergency: 2,
+  simple: 7,
+  moderate: 15,
+  complex: 30
+};
+
+const TICKET_PATTERN = /GRV[-\s]?(\d+)/i;
+
+// Allocate the next sequential ticket ID
+const generateTicketId = async () => {
+  const counterRef = countersCollection.doc('grievances');
+
+  const nextValue = await db.runTransaction(async (transaction) => {
+    const counterDoc = await transaction.get(counterRef);
+    const value = (counterDoc.exists ? counterDoc.data().value || 0 : 0) + 1;
+
+    transaction.set(counterRef, {
+      value,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return value;
+  });
+
+  return `GRV-${nextValue}`;
+};
+
+// Register a new grievance for a citizen
+const fileGrievance = async (whatsappNumber, grievanceData, citizenData = {}) => {
+  try {
+    const department = GRIEVANCE_DEPARTMENTS[grievanceData.department]
+      ? grievanceData.department
+      : 'general_administration';
+    const priority = RESOLUTION_DAYS[grievanceData.priority] ? grievanceData.priority : 'simple';
+
+    if (!grievanceData.description || !grievanceData.description.trim()) {
+      return { success: false, error: 'Grievance description is required' };
+    }
+
+    const ticketId = await generateTicketId();
+    const expectedResolutionDate = new Date(Date.now() + RESOLUTION_DAYS[priority] * 24 * 60 * 60 * 1000);
+
+    const grievance = {
+      ticketId,
+      department,
+      description: grievanceData.description.trim(),
+      priority,
+      status: 'registered',
+
+      // Location reused from the citizen's geocoded registration
+      village: grievanceData.village || citizenData.village || null,
+      taluka: citizenData.taluka || null,
+      coordinates: citizenData.coordinates || null,
+
+      citizenName: citizenData.userProvidedName || citizenData.whatsappDisplayName || null,
+      language: grievanceData.language || citizenData.preferredLanguage || 'en',
+      statusHistory: [{
+        status: 'registered',
+        note: null,
+        changedAt: new Date().toISOString()
+      }],
+      expectedResolutionDate: expectedResolutionDate.toISOString(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await citizensCollection
+      .doc(whatsappNumber)
+      .collection('grievances')
+      .doc(ticketId)
+      .set(grievance);
+
+    logger.info(`Registered grievance ${ticketId} for ${whatsappNumber} (${department})`);
+    return {
+      success: true,
+      ticketId,
+      department,
+      village: grievance.village,
+      status: grievance.status,
+      expectedResolutionDate: grievance.expectedResolutionDate
+    };
+  } catch (error) {
+    logger.error(`Error filing grievance for ${whatsappNumber}:`, error);
+    return { success: false, error: 'Failed to register grievance' };
+  }
+};
+
+// Get a citizen's grievance by ticket ID
+const getGrievance = async (whatsappNumber, ticketId) => {
+  try {
+    const grievanceDoc = await citizensCollection
+      .doc(whatsappNumber)
+      .collection('grievances')
+      .doc(normalizeTicketId(ticketId))
+      .get();
+
+    if (!grievanceDoc.exists) {
+      return null;
+    }
+
+    const data = grievanceDoc.data();
+    return {
+      ...data,
+      createdAt: data.createdAt?.toDate?.() || data.createdAt,
+      lastUpdated: data.lastUpdated?.toDate?.() || data.lastUpdated
+    };
+  } catch (error) {
+    logger.error(`Error getting grievance ${ticketId} for ${whatsappNumber}:`, error);
+    return null;
+  }
+};
+
+// Get a citizen's most recent grievances
+const getCitizenGrievances = async (whatsappNumber, limit = 5) => {
+  try {
+    const grievancesSnapshot = await citizensCollection
+      .doc(whatsappNumber)
+      .collection('grievances')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const grievances = [];
+    grievancesSnapshot.forEach(doc => {
+      const data = doc.data();
+      grievances.push({
+        ...data,
+        createdAt: data.createdAt?.toDate?.() || data.createdAt,
+        lastUpdated: data.lastUpdated?.toDate?.() || data.lastUpdated
+      });
+    });
+
+    return grievances;
+  } catch (error) {
+    logger.error(`Error getting grievances for ${whatsappNumber}:`, error);
+    return [];
+  }
+};
+
+// Update grievance status (used by ZP staff); null when the citizen has no such grievance
+const updateGrievanceStatus = async (whatsappNumber, ticketId, status, { note = null, operator = null } = {}) => {
+  if (!GRIEVANCE_STATUSES[status]) {
+    throw new Error(`Invalid grievance status: ${status}`);
+  }
+
+  try {
+    const grievanceRef = citizensCollection
+      .doc(whatsappNumber)
+      .collection('grievances')
+      .doc(normalizeTicketId(ticketId));
+
+    const grievanceDoc = await grievanceRef.get();
+    if (!grievanceDoc.exists) {
+      return null;
+    }
+
+    await grievanceRef.update({
+      status,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status,
+        note,
+        changedBy: operator,
+        changedAt: new Date().toISOString()
+      }),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Updated grievance ${ticketId} for ${whatsappNumber} to ${status}${operator ? ` (${operator})` : ''}`);
+    return getGrievance(whatsappNumber, ticketId);
+  } catch (error) {
+    logger.error(`Error updating grievance ${ticketId} for ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Extract a ticket ID such as "GRV-123" from free text
+const extractTicketId = (text) => {
+  const match = text && text.match(TICKET_PATTERN);
+  return match ? `GRV-${match[1]}` : null;
+};
+
+const normalizeTicketId = (ticketId) => extractTicketId(String(ticketId)) || String(ticketId).toUpperCase();
+
+// Format grievance status for the citizen
+const getGrievanceStatusMessage = (grievance, language, ticketId = null) => {
+  if (!grievance) {
+    return language === 'mr'
+      ? `क्षमस्व, ${ticketId || 'ही'} तक्रार आपल्या क्रमांकावर सापडली नाही. कृपया तक्रार क्रमांक तपासा.`
+      : `Sorry, complaint ${ticketId || ''} was not found for your number. Please check the ticket ID.`;
+  }
+
+  const department = GRIEVANCE_DEPARTMENTS[grievance.department] || GRIEVANCE_DEPARTMENTS.general_administration;
+  const status = GRIEVANCE_STATUSES[grievance.status] || GRIEVANCE_STATUSES.registered;
+  const lastNote = [...(grievance.statusHistory || [])].reverse().find(entry => entry.note)?.note;
+
+  return language === 'mr'
+    ? `📋 तक्रार ${grievance.ticketId}
+
+🏢 विभाग: ${department.mr}
+📌 स्थिती: ${status.mr}
+📅 अपेक्षित निवारण: ${grievance.expectedResolutionDate?.substring(0, 10) || 'N/A'}${lastNote ? `\n📝 टिप्पणी: ${lastNote}` : ''}`
+    : `📋 Complaint ${grievance.ticketId}
+
+🏢 Department: ${department.en}
+📌 Status: ${status.en}
+📅 Expected resolution: ${grievance.expectedResolutionDate?.substring(0, 10) || 'N/A'}${lastNote ? `\n📝 Note: ${lastNote}` : ''}`;
+};
+
+module.exports = {
+  GRIEVANCE_DEPARTMENTS,
+  GRIEVANCE_STATUSES,
+  fileGrievance,
+  getGrievance,
+  getCitizenGrievances,
+  updateGrievanceStatus,
+  extractTicketId,
+  getGrievanceStatusMessage
+};
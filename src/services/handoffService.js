@@ -0,0 +1,341 @@
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+const whatsappService = require('./whatsappService');
+const citizenService = require('./citizenService');
+
+// Collection references
+const citizensCollection = db.collection('citizens');
+const handoffsCollection = db.collection('handoffs');
+
+// Handoff lifecycle: waiting in the agent queue -> claimed by an officer -> closed (bot resumes)
+const HANDOFF_STATUSES = ['waiting', 'active', 'closed'];
+const OPEN_STATUSES = ['waiting', 'active'];
+
+// "Talk to an officer" requests
+const HANDOFF_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(an?\s+)?(officer|human|person|agent|staff|someone)\b/i,
+  /\b(human|real person|live agent|officer)\s+(please|help)\b/i,
+  /^(officer|human|agent)$/i,
+  /(अधिकाऱ्याशी|अधिकार्‍याशी|अधिकाऱ्यांशी|माणसाशी|कर्मचाऱ्याशी)\s*(बोलायचे|बोलायचं|बोलणे|बोलू|बोला|संपर्क)/,
+  /^अधिकारी$/
+];
+
+const isHandoffRequest = (text) => {
+  const message = (text || '').trim();
+  return HANDOFF_PATTERNS.some(pattern => pattern.test(message));
+};
+
+// Convert Firestore timestamps in a handoff record to Dates
+const serializeHandoff = (id, data) => {
+  const handoff = { id, ...data };
+
+  Object.keys(handoff).forEach(key => {
+    if (handoff[key]?.toDate) {
+      handoff[key] = handoff[key].toDate();
+    }
+  });
+
+  return handoff;
+};
+
+// Error carrying the HTTP status for a handoff action that conflicts with the current state
+const handoffConflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Flag a conversation as handed off to a human officer; reuses an open handoff if there is one.
+// Runs in a transaction so two quick requests (or a citizen and an officer) cannot open two handoffs.
+const requestHandoff = async (whatsappNumber, { reason = 'citizen_request', language = 'en', requestedBy = 'citizen' } = {}) => {
+  try {
+    const citizenRef = citizensCollection.doc(whatsappNumber);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const citizenDoc = await transaction.get(citizenRef);
+      const citizenData = citizenDoc.exists ? citizenDoc.data() : {};
+
+      const handoffFlag = citizenData.handoff;
+      if (handoffFlag?.active && handoffFlag.handoffId) {
+        const openHandoffDoc = await transaction.get(handoffsCollection.doc(handoffFlag.handoffId));
+        if (openHandoffDoc.exists && OPEN_STATUSES.includes(openHandoffDoc.data().status)) {
+          return { created: false, handoff: serializeHandoff(openHandoffDoc.id, openHandoffDoc.data()) };
+        }
+      }
+
+      const handoffData = {
+        whatsappNumber,
+        citizenName: citizenData.userProvidedName || citizenData.whatsappDisplayName || null,
+        village: citizenData.village || null,
+        taluka: citizenData.taluka || null,
+        language,
+        reason,
+        requestedBy,
+        status: 'waiting',
+        assignedTo: null,
+        unreadCount: 0,
+        requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+        closedAt: null,
+        closedBy: null
+      };
+
+      const handoffRef = handoffsCollection.doc();
+      transaction.set(handoffRef, handoffData);
+      transaction.update(citizenRef, {
+        handoff: { active: true, handoffId: handoffRef.id, status: 'waiting' },
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { created: true, handoff: { id: handoffRef.id, ...handoffData } };
+    });
+
+    if (result.created) {
+      logger.info(`Handoff ${result.handoff.id} opened for ${whatsappNumber} (${reason})`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Error requesting handoff for ${whatsappNumber}:`, error);
+    throw error;
+  }
+};
+
+// Open handoff of a citizen, if any (uses the flag on the citizen record)
+const getOpenHandoff = async (whatsappNumber, citizenData = null) => {
+  try {
+    let handoffFlag = citizenData?.handoff;
+
+    if (!citizenData) {
+      const citizenDoc = await citizensCollection.doc(whatsappNumber).get();
+      handoffFlag = citizenDoc.exists ? citizenDoc.data().handoff : null;
+    }
+
+    if (!handoffFlag?.active || !handoffFlag.handoffId) {
+      return null;
+    }
+
+    const handoff = await getHandoff(handoffFlag.handoffId);
+    return handoff && OPEN_STATUSES.includes(handoff.status) ? handoff : null;
+  } catch (error) {
+    logger.error(`Error getting open handoff for ${whatsappNumber}:`, error);
+    return null;
+  }
+};
+
+const getHandoff = async (handoffId) => {
+  const handoffDoc = await handoffsCollection.doc(handoffId).get();
+  return handoffDoc.exists ? serializeHandoff(handoffDoc.id, handoffDoc.data()) : null;
+};
+
+// Agent queue, oldest first
+const listHandoffs = async ({ status = 'waiting', assignedTo = null, limit = 50 } = {}) => {
+  try {
+    let query = handoffsCollection.where('status', '==', status);
+
+    if (assignedTo) {
+      query = query.where('assignedTo', '==', assignedTo);
+    }
+
+    const handoffsSnapshot = await query.orderBy('requestedAt', 'asc').limit(limit).get();
+
+    const handoffs = [];
+    handoffsSnapshot.forEach(doc => handoffs.push(serializeHandoff(doc.id, doc.data())));
+    return handoffs;
+  } catch (error) {
+    logger.error('Error listing handoffs:', error);
+    throw error;
+  }
+};
+
+// Add a message to the handoff thread
+const addHandoffMessage = async (handoffId, message) => {
+  await handoffsCollection.doc(handoffId).collection('messages').add({
+    ...message,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+// Forward an inbound citizen message to the agent queue
+const forwardInboundMessage = async (handoff, text, messageData = {}) => {
+  try {
+    await addHandoffMessage(handoff.id, {
+      direction: 'inbound',
+      text,
+      messageId: messageData.messageId || null,
+      messageType: messageData.messageType || 'text'
+    });
+
+    await handoffsCollection.doc(handoff.id).update({
+      unreadCount: admin.firestore.FieldValue.increment(1),
+      lastMessageAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Forwarded message from ${handoff.whatsappNumber} to handoff ${handoff.id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error forwarding message to handoff ${handoff.id}:`, error);
+    return false;
+  }
+};
+
+// Assign a waiting handoff to an officer. Only an unclaimed handoff, or one the same officer
+// already holds, can be claimed; another officer's handoff is a 409.
+const claimHandoff = async (handoffId, operator) => {
+  const handoffRef = handoffsCollection.doc(handoffId);
+
+  const handoff = await db.runTransaction(async (transaction) => {
+    const handoffDoc = await transaction.get(handoffRef);
+    if (!handoffDoc.exists || !OPEN_STATUSES.includes(handoffDoc.data().status)) {
+      return null;
+    }
+
+    const current = serializeHandoff(handoffDoc.id, handoffDoc.data());
+    if (current.assignedTo && current.assignedTo !== operator) {
+      throw handoffConflict(`Handoff is already claimed by ${current.assignedTo}`);
+    }
+    if (current.status === 'active') {
+      return current;
+    }
+
+    transaction.update(handoffRef, {
+      status: 'active',
+      assignedTo: operator,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(citizensCollection.doc(current.whatsappNumber), { 'handoff.status': 'active' });
+
+    return { ...current, status: 'active', assignedTo: operator };
+  });
+
+  if (handoff) {
+    logger.info(`Handoff ${handoffId} claimed by ${operator}`);
+  }
+  return handoff;
+};
+
+// Send an officer's reply to the citizen as a named operator. Replying claims the handoff,
+// so only its officer can reply; a citizen who opted out is a 409 and nothing is recorded.
+const sendAgentReply = async (handoffId, operator, text) => {
+  const handoff = await claimHandoff(handoffId, operator);
+  if (!handoff) {
+    return null;
+  }
+
+  const sendResult = await whatsappService.sendMessage(process.env.PHONE_NUMBER_ID, handoff.whatsappNumber, text);
+  if (sendResult?.suppressed) {
+    logger.warn(`Officer ${operator} reply on handoff ${handoffId} not sent: citizen opted out`);
+    throw handoffConflict('Citizen has opted out of messages; the reply was not sent');
+  }
+
+  await citizenService.saveChatMessage(handoff.whatsappNumber, 'assistant', text, handoff.language, {
+    operator,
+    handoffId,
+    receiverWhatsappId: handoff.whatsappNumber,
+    senderWhatsappId: process.env.PHONE_NUMBER_ID
+  });
+
+  await addHandoffMessage(handoffId, { direction: 'outbound', text, operator });
+  await handoffsCollection.doc(handoffId).update({
+    unreadCount: 0,
+    lastMessageAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Officer ${operator} replied on handoff ${handoffId}`);
+  return handoff;
+};
+
+// Close a handoff and hand the conversation back to the bot. The status check and both updates
+// run in one transaction, so of two simultaneous closes only one notifies the citizen.
+const closeHandoff = async (handoffId, operator, { notifyCitizen = true } = {}) => {
+  const handoffRef = handoffsCollection.doc(handoffId);
+
+  const handoff = await db.runTransaction(async (transaction) => {
+    const handoffDoc = await transaction.get(handoffRef);
+    if (!handoffDoc.exists || !OPEN_STATUSES.includes(handoffDoc.data().status)) {
+      return null;
+    }
+
+    const current = serializeHandoff(handoffDoc.id, handoffDoc.data());
+
+    transaction.update(handoffRef, {
+      status: 'closed',
+      closedBy: operator,
+      closedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(citizensCollection.doc(current.whatsappNumber), {
+      handoff: null,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return current;
+  });
+
+  if (!handoff) {
+    return null;
+  }
+
+  if (notifyCitizen) {
+    const closingMessage = getHandoffClosedMessage(handoff.language);
+    await whatsappService.sendMessage(process.env.PHONE_NUMBER_ID, handoff.whatsappNumber, closingMessage);
+    await citizenService.saveChatMessage(handoff.whatsappNumber, 'assistant', closingMessage, handoff.language, {
+      handoffId,
+      receiverWhatsappId: handoff.whatsappNumber,
+      senderWhatsappId: process.env.PHONE_NUMBER_ID
+    });
+  }
+
+  logger.info(`Handoff ${handoffId} closed by ${operator}; bot resumes for ${handoff.whatsappNumber}`);
+  return { ...handoff, status: 'closed', closedBy: operator };
+};
+
+// Messages of a handoff thread, oldest first
+const getHandoffMessages = async (handoffId, limit = 100) => {
+  try {
+    const messagesSnapshot = await handoffsCollection
+      .doc(handoffId)
+      .collection('messages')
+      .orderBy('timestamp', 'asc')
+      .limit(limit)
+      .get();
+
+    const messages = [];
+    messagesSnapshot.forEach(doc => messages.push(serializeHandoff(doc.id, doc.data())));
+    return messages;
+  } catch (error) {
+    logger.error(`Error getting messages of handoff ${handoffId}:`, error);
+    throw error;
+  }
+};
+
+const getHandoffRequestedMessage = (language, created) => {
+  if (!created) {
+    return language === 'mr'
+      ? '🙏 आपली विनंती आधीच अधिकाऱ्यांकडे पाठवली आहे. लवकरच एक अधिकारी आपल्याला उत्तर देतील. आपले संदेश त्यांच्यापर्यंत पोहोचवले जात आहेत.'
+      : '🙏 Your request is already with our officers. An officer will reply to you shortly; your messages are being passed on to them.';
+  }
+
+  return language === 'mr'
+    ? '🙏 आपली विनंती पुणे जिल्हा परिषदेच्या अधिकाऱ्यांकडे पाठवली आहे. कार्यालयीन वेळेत एक अधिकारी आपल्याला येथेच उत्तर देतील.\n\nतोपर्यंत आपले प्रश्न येथे लिहा, ते अधिकाऱ्यांपर्यंत पोहोचवले जातील.'
+    : '🙏 Your request has been passed to a Pune Zilla Parishad officer. An officer will reply to you here during office hours.\n\nMeanwhile, you can write your query here and it will be passed on to them.';
+};
+
+const getHandoffClosedMessage = (language) => {
+  return language === 'mr'
+    ? '✅ अधिकाऱ्यांसोबतचे संभाषण संपले आहे. आता मी (स्वयंचलित सहाय्यक) पुन्हा आपली मदत करेन. मुख्य मेनूसाठी "मेनू" लिहा.'
+    : '✅ Your conversation with the officer has ended. I (the automated assistant) will help you again from here. Type "menu" for the main menu.';
+};
+
+module.exports = {
+  HANDOFF_STATUSES,
+  isHandoffRequest,
+  requestHandoff,
+  getOpenHandoff,
+  getHandoff,
+  listHandoffs,
+  forwardInboundMessage,
+  claimHandoff,
+  sendAgentReply,
+  closeHandoff,
+  getHandoffMessages,
+  getHandoffRequestedMessage
+};
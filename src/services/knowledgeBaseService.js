@@ -1,14 +1,11 @@
 const logger = require('../utils/logger');
 const { db, admin } = require('../config/firebase');
-const { OpenAI } = require('openai');
+const llmService = require('./llmService');
+const { isThrottleError } = require('./llmRateLimitService');
+const inputGuard = require('../utils/inputGuard');
 const fs = require('fs');
 const path = require('path');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Collection for knowledge base analytics
 const knowledgeCollection = db.collection('knowledgeBase');
 
@@ -18,6 +15,9 @@ const ZP_PUNE_VECTOR_STORE_ID = process.env.ZP_PUNE_VECTOR_STORE_ID;
 // Path to the main knowledge base file
 const KNOWLEDGE_BASE_FILE_PATH = path.join(__dirname, '../../knowledgebase.txt');
 
+// Longest excerpt of a single section passed to the model
+const MAX_SECTION_LENGTH = 4000;
+
 // Load knowledge base content from file
 const loadKnowledgeBaseFromFile = async () => {
   try {
@@ -36,39 +36,40 @@ const loadKnowledgeBaseFromFile = async () => {
 };
 
 // Enhanced search using OpenAI File Search with knowledgebase.txt
+// options.usageContext: { stage, whatsappNumber } for LLM usage accounting
 const searchWithFileSearch = async (query, language = 'en', options = {}) => {
   try {
+    // Over the daily LLM budget: retrieval only, no generated answer
+    if (await llmService.isBudgetExceeded()) {
+      const knowledge = await retrieveKnowledge({ query, language, maxResults: options.maxResults || 3 });
+      return {
+        query,
+        language,
+        response: knowledge.text,
+        searchResults: knowledge.sources.map(source => ({ source })),
+        method: `budget_${knowledge.method}`,
+        confidence: knowledge.text ? 0.5 : 0.1
+      };
+    }
+
     if (!ZP_PUNE_VECTOR_STORE_ID) {
       logger.warn('ZP Pune vector store ID not configured, using file-based search');
-      return await searchInKnowledgeBaseFile(query, language);
+      return await searchInKnowledgeBaseFile(query, language, options.usageContext);
     }
 
     logger.info(`Searching knowledge base with file search: ${query}`);
 
-    // Use OpenAI Responses API with file search
-    const response = await openai.responses.create({
-      model: "gpt-4o-mini",
-      input: query,
-      tools: [{
-        type: "file_search",
-        vector_store_ids: [ZP_PUNE_VECTOR_STORE_ID],
-        max_num_results: options.maxResults || 5,
-        ...(options.filters && { filters: options.filters })
-      }],
-      include: ["file_search_call.results"]
+    // File search through the configured LLM provider
+    const response = await llmService.fileSearch({
+      query,
+      vectorStoreIds: [ZP_PUNE_VECTOR_STORE_ID],
+      maxResults: options.maxResults || 5,
+      filters: options.filters,
+      usageContext: options.usageContext
     });
 
-    // Process the response
-    let searchResults = null;
-    let aiResponse = null;
-
-    response.output.forEach(item => {
-      if (item.type === 'file_search_call') {
-        searchResults = item.search_results || [];
-      } else if (item.type === 'message') {
-        aiResponse = item.content[0]?.text || '';
-      }
-    });
+    const searchResults = response.results;
+    const aiResponse = response.text;
 
     // Log search for analytics
     await logKnowledgeSearch(query, language, searchResults?.length || 0, 'file_search');
@@ -83,15 +84,25 @@ const searchWithFileSearch = async (query, language = 'en', options = {}) => {
     };
 
   } catch (error) {
+    // A throttled citizen would be throttled again: keyword search needs no model call
+    if (isThrottleError(error)) {
+      return await fallbackSearch(query, language);
+    }
+
     logger.error('Error in file search:', error);
     // Fallback to knowledgebase.txt file search
-    return await searchInKnowledgeBaseFile(query, language);
+    return await searchInKnowledgeBaseFile(query, language, options.usageContext);
   }
 };
 
 // Search in the knowledgebase.txt file using AI
-const searchInKnowledgeBaseFile = async (query, language = 'en') => {
+const searchInKnowledgeBaseFile = async (query, language = 'en', usageContext = {}) => {
   try {
+    // The whole file goes into the prompt, so keyword search once the daily budget is spent
+    if (await llmService.isBudgetExceeded()) {
+      return await fallbackSearch(query, language);
+    }
+
     logger.info(`Searching in knowledgebase.txt file for: ${query}`);
 
     // Load knowledge base content
@@ -108,7 +119,8 @@ const searchInKnowledgeBaseFile = async (query, language = 'en') => {
 Knowledge Base Content:
 ${knowledgeBaseContent}
 
-User Query: "${query}"
+User Query:
+${inputGuard.wrapUntrusted(query)}
 
 कृपया query शी संबंधित माहिती शोधा आणि मराठी मध्ये उत्तर द्या. जर माहिती सापडली नाही तर ते स्पष्टपणे सांगा.`
 
@@ -117,27 +129,30 @@ User Query: "${query}"
 Knowledge Base Content:
 ${knowledgeBaseContent}
 
-User Query: "${query}"
+User Query:
+${inputGuard.wrapUntrusted(query)}
 
 Please find information related to the query and provide a helpful response in English. If no relevant information is found, clearly state that.`;
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const response = await llmService.chat('knowledgeSearch', {
       messages: [
         {
           role: 'system',
-          content: 'You are a helpful assistant for ZP Pune. Search the provided knowledge base and give accurate, relevant answers.'
+          content: `You are a helpful assistant for ZP Pune. Search the provided knowledge base and give accurate, relevant answers.
+
+${inputGuard.getUntrustedContentRules('en')}`
         },
         {
           role: 'user',
           content: searchPrompt
         }
       ],
-      max_tokens: 800,
-      temperature: 0.3
+      maxTokens: 800,
+      temperature: 0.3,
+      usageContext: { stage: 'knowledge_search', ...usageContext }
     });
 
-    const aiResponse = response.choices[0].message.content.trim();
+    const aiResponse = response.content || '';
 
     // Calculate confidence based on response content
     const confidence = calculateResponseConfidence(aiResponse, query);
@@ -335,7 +350,8 @@ const generateResponseFromResults = (results, query, language) => {
 const searchWithFilters = async (query, language = 'en', filters = {}) => {
   try {
     const options = {
-      maxResults: filters.maxResults || 5
+      maxResults: filters.maxResults || 5,
+      usageContext: filters.usageContext
     };
 
     // Convert filters to OpenAI format if vector store is available
@@ -350,15 +366,151 @@ const searchWithFilters = async (query, language = 'en', filters = {}) => {
     }
 
     // Otherwise, use file-based search with category filtering
-    return await searchInKnowledgeBaseFile(query, language);
+    return await searchInKnowledgeBaseFile(query, language, filters.usageContext);
   } catch (error) {
     logger.error('Error in filtered search:', error);
-    return await searchInKnowledgeBaseFile(query, language);
+    return await searchInKnowledgeBaseFile(query, language, filters.usageContext);
+  }
+};
+
+// Department categories mapped to their knowledgebase.txt section headers
+const DEPARTMENT_SECTIONS = {
+  education: {
+    en: 'Zilla Parishad Education Department - Primary Education',
+    mr: 'जिल्हा परिषद शिक्षण विभाग - प्राथमिक शिक्षण'
+  },
+  health: {
+    en: 'Zilla Parishad Health Department',
+    mr: 'जिल्हा परिषद आरोग्य विभाग'
+  },
+  women_child_welfare: {
+    en: 'Zilla Parishad Women and Child Welfare Department',
+    mr: 'जिल्हा परिषद महिला आणि बाल कल्याण विभाग'
+  },
+  agriculture: {
+    en: 'Zilla Parishad Agriculture Department',
+    mr: 'जिल्हा परिषद कृषी विभाग'
+  },
+  drda: {
+    en: 'District Rural Development Agency (DRDA)',
+    mr: 'जिल्हा ग्रामीण विकास यंत्रणा (DRDA)'
+  },
+  animal_husbandry: {
+    en: 'Zilla Parishad Animal Husbandry Department',
+    mr: 'जिल्हा परिषद पशुसंवर्धन विभाग'
+  },
+  water_supply: {
+    en: 'Zilla Parishad Rural Water Supply Department',
+    mr: 'जिल्हा परिषद ग्रामीण पाणी पुरवठा विभाग'
+  }
+};
+
+// Get the "=== Section ===" headers present in knowledgebase.txt
+const getSectionHeaders = async () => {
+  const content = await loadKnowledgeBaseFromFile();
+  if (!content) return [];
+
+  const headers = [];
+  const headerPattern = /^===\s*(.+?)\s*===\s*$/gm;
+  let match;
+
+  while ((match = headerPattern.exec(content)) !== null) {
+    headers.push(match[1]);
+  }
+
+  return headers;
+};
+
+// Split knowledgebase.txt into its "=== Section ===" blocks, in file order
+const getSections = async () => {
+  const content = await loadKnowledgeBaseFromFile();
+  if (!content) return [];
+
+  return content
+    .split(/^===\s*(.+?)\s*===\s*$/m)
+    .slice(1)
+    .reduce((sections, part, index, parts) => {
+      if (index % 2 === 0) {
+        sections.push({ header: part, content: (parts[index + 1] || '').trim() });
+      }
+      return sections;
+    }, []);
+};
+
+// English section headers, used by the turn planner to pick what to read
+const getKnowledgeSections = async () => {
+  const sections = await getSections();
+  return sections.map(section => section.header).filter(header => !/[ऀ-ॿ]/.test(header));
+};
+
+// Retrieve knowledge for a planned turn without generating an answer:
+// vector store chunks when configured, otherwise the planned sections of knowledgebase.txt
+const retrieveKnowledge = async ({ query = null, sections = [], language = 'en', maxResults = 3 } = {}) => {
+  try {
+    if (ZP_PUNE_VECTOR_STORE_ID && query) {
+      const chunks = await llmService.searchVectorStore({
+        query,
+        vectorStoreId: ZP_PUNE_VECTOR_STORE_ID,
+        maxResults
+      });
+
+      await logKnowledgeSearch(query, language, chunks.length, 'vector_store');
+      return {
+        text: chunks.map(chunk => chunk.text).join('\n\n'),
+        sources: chunks.map(chunk => chunk.filename),
+        method: 'vector_store'
+      };
+    }
+
+    const allSections = await getSections();
+    const selected = [];
+
+    sections.forEach(header => {
+      const index = allSections.findIndex(section => section.header === header);
+      if (index === -1) return;
+
+      // Marathi sections precede their English counterpart
+      const marathi = allSections[index - 1];
+      const section = language === 'mr' && marathi && /[ऀ-ॿ]/.test(marathi.header) ? marathi : allSections[index];
+      selected.push(section);
+    });
+
+    if (selected.length > 0) {
+      await logKnowledgeSearch(query || sections.join(', '), language, selected.length, 'sections');
+      return {
+        text: selected.map(section => `=== ${section.header} ===\n${section.content.substring(0, MAX_SECTION_LENGTH)}`).join('\n\n'),
+        sources: selected.map(section => section.header),
+        method: 'sections'
+      };
+    }
+
+    if (query) {
+      const fallbackResult = await fallbackSearch(query, language);
+      return {
+        text: fallbackResult.searchResults.length > 0 ? fallbackResult.response : '',
+        sources: [],
+        method: fallbackResult.method
+      };
+    }
+
+    return { text: '', sources: [], method: 'none' };
+  } catch (error) {
+    logger.error('Error retrieving knowledge:', error);
+    return { text: '', sources: [], method: 'error' };
   }
 };
 
-// Search by category using knowledgebase.txt
-const searchByCategory = async (category, language = 'en') => {
+// Get department categories whose sections exist in knowledgebase.txt
+const getDepartmentSections = async () => {
+  const headers = await getSectionHeaders();
+
+  return Object.keys(DEPARTMENT_SECTIONS)
+    .filter(department => headers.includes(DEPARTMENT_SECTIONS[department].en))
+    .map(department => ({ id: department, ...DEPARTMENT_SECTIONS[department] }));
+};
+
+// Search by category using knowledgebase.txt; usageContext attributes the model calls to the citizen
+const searchByCategory = async (category, language = 'en', usageContext = {}) => {
   try {
     const categoryQueries = {
       mr: {
@@ -377,12 +529,22 @@ const searchByCategory = async (category, language = 'en') => {
       }
     };
 
+    // Department categories search their knowledgebase.txt section (no vector store metadata to filter on)
+    if (DEPARTMENT_SECTIONS[category]) {
+      const section = DEPARTMENT_SECTIONS[category][language] || DEPARTMENT_SECTIONS[category].en;
+      const departmentQuery = language === 'mr'
+        ? `"${section}" विभागाच्या सेवा, योजना आणि संपर्क माहिती`
+        : `Services, schemes and contact details from the "${section}" section`;
+
+      return await searchWithFileSearch(departmentQuery, language, { maxResults: 10, usageContext });
+    }
+
     const query = categoryQueries[language]?.[category] || category;
     
-    return await searchWithFilters(query, language, { category, maxResults: 10 });
+    return await searchWithFilters(query, language, { category, maxResults: 10, usageContext });
   } catch (error) {
     logger.error('Error in category search:', error);
-    return await searchInKnowledgeBaseFile(category, language);
+    return await searchInKnowledgeBaseFile(category, language, usageContext);
   }
 };
 
@@ -563,6 +725,9 @@ module.exports = {
   searchInKnowledgeBaseFile,
   searchWithFilters,
   searchByCategory,
+  getDepartmentSections,
+  getKnowledgeSections,
+  retrieveKnowledge,
   fallbackSearch,
   initializeKnowledgeBaseFromFile,
   loadKnowledgeBaseFromFile
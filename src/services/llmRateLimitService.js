@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+
+// Per-citizen token bucket: each LLM call takes one token; the bucket holds a burst and refills steadily
+const CITIZEN_BURST = parseInt(process.env.LLM_CITIZEN_BURST, 10) || 12;
+const CITIZEN_CALLS_PER_MINUTE = parseFloat(process.env.LLM_CITIZEN_CALLS_PER_MINUTE) || 6;
+
+// Global cap on LLM calls in flight; further calls queue until a slot frees or the wait times out
+const MAX_CONCURRENT_CALLS = parseInt(process.env.LLM_MAX_CONCURRENT_CALLS, 10) || 8;
+const QUEUE_TIMEOUT_MS = parseInt(process.env.LLM_QUEUE_TIMEOUT_MS, 10) || 15000;
+
+// A throttled citizen gets at most one "please wait" reply per interval
+const NOTICE_INTERVAL_MS = parseInt(process.env.LLM_THROTTLE_NOTICE_INTERVAL_MS, 10) || 60000;
+
+const REFILL_PER_MS = CITIZEN_CALLS_PER_MINUTE / 60000;
+
+const buckets = new Map();
+const waiting = [];
+let activeCalls = 0;
+
+const stats = {
+  calls: 0,
+  throttled: { citizen: 0, global: 0 },
+  maxQueued: 0
+};
+
+const createThrottleError = (scope, retryAfterMs) => {
+  const error = new Error(scope === 'citizen'
+    ? 'LLM call limit reached for this citizen'
+    : 'Too many LLM calls in progress');
+  error.code = 'LLM_THROTTLED';
+  error.scope = scope;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+const isThrottleError = (error) => error?.code === 'LLM_THROTTLED';
+
+// Bucket of a number with the tokens earned since it was last used
+const getBucket = (whatsappNumber) => {
+  const now = Date.now();
+  const bucket = buckets.get(whatsappNumber) || { tokens: CITIZEN_BURST, updatedAt: now, notifiedAt: 0 };
+
+  bucket.tokens = Math.min(CITIZEN_BURST, bucket.tokens + (now - bucket.updatedAt) * REFILL_PER_MS);
+  bucket.updatedAt = now;
+  buckets.set(whatsappNumber, bucket);
+  return bucket;
+};
+
+// Take one token for the citizen; returns the wait in ms until one is available, 0 when taken
+const takeToken = (whatsappNumber) => {
+  const bucket = getBucket(whatsappNumber);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  return Math.ceil((1 - bucket.tokens) / REFILL_PER_MS);
+};
+
+// Wait for a global slot; resolves with a release function
+const acquireSlot = () => {
+  if (activeCalls < MAX_CONCURRENT_CALLS) {
+    activeCalls++;
+    return Promise.resolve(releaseSlot);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      reject(createThrottleError('global', QUEUE_TIMEOUT_MS));
+    }, QUEUE_TIMEOUT_MS);
+
+    waiting.push(waiter);
+    stats.maxQueued = Math.max(stats.maxQueued, waiting.length);
+  });
+};
+
+// Hand the slot to the next queued call, or free it
+const releaseSlot = () => {
+  const next = waiting.shift();
+
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve(releaseSlot);
+  } else {
+    activeCalls--;
+  }
+};
+
+const getCurrentDate = () => {
+  const date = new Date();
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Daily counters next to the message metrics, plus one event per throttled call
+// Not awaited by callers; Firebase is required lazily so the vector store script works without it
+const recordThrottle = async ({ scope, task, stage = null, whatsappNumber = null, retryAfterMs }) => {
+  try {
+    const { db, admin } = require('../config/firebase');
+    const metricsCollection = db.collection('messageMetrics');
+    const date = getCurrentDate();
+    const scopeField = `llmThrottled${scope.charAt(0).toUpperCase()}${scope.slice(1)}`;
+
+    await metricsCollection.doc(`daily_${date}`).set({
+      llmThrottled: admin.firestore.FieldValue.increment(1),
+      [scopeField]: admin.firestore.FieldValue.increment(1),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      date
+    }, { merge: true });
+
+    await metricsCollection.doc('llmThrottles').collection('events').add({
+      whatsappNumber,
+      scope,
+      task,
+      stage,
+      retryAfterMs,
+      date,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error('Error recording LLM throttle event:', error);
+  }
+};
+
+const throttle = (scope, task, usageContext, retryAfterMs) => {
+  stats.throttled[scope]++;
+  logger.warn(`LLM ${task} call throttled (${scope}) for ${usageContext.whatsappNumber || 'system'}, retry in ${retryAfterMs}ms`);
+  recordThrottle({ scope, task, stage: usageContext.stage, whatsappNumber: usageContext.whatsappNumber, retryAfterMs });
+  return createThrottleError(scope, retryAfterMs);
+};
+
+// Run one LLM call within the citizen's bucket and the global concurrency cap
+// Throws an LLM_THROTTLED error (scope citizen | global) instead of calling when a limit is hit
+const runLimited = async (task, usageContext = {}, call) => {
+  if (usageContext.whatsappNumber) {
+    const retryAfterMs = takeToken(usageContext.whatsappNumber);
+    if (retryAfterMs > 0) {
+      throw throttle('citizen', task, usageContext, retryAfterMs);
+    }
+  }
+
+  let release;
+  try {
+    release = await acquireSlot();
+  } catch (error) {
+    throw isThrottleError(error) ? throttle('global', task, usageContext, error.retryAfterMs) : error;
+  }
+
+  stats.calls++;
+  try {
+    return await call();
+  } finally {
+    release();
+  }
+};
+
+// Whether a throttled citizen should be told to wait (not again within the notice interval)
+const shouldNotifyThrottled = (whatsappNumber) => {
+  const bucket = getBucket(whatsappNumber);
+
+  if (Date.now() - bucket.notifiedAt < NOTICE_INTERVAL_MS) {
+    return false;
+  }
+
+  bucket.notifiedAt = Date.now();
+  return true;
+};
+
+// Current load and throttle counts since start
+const getLimiterStats = () => ({
+  activeCalls,
+  queuedCalls: waiting.length,
+  maxConcurrentCalls: MAX_CONCURRENT_CALLS,
+  trackedCitizens: buckets.size,
+  ...stats,
+  throttled: { ...stats.throttled }
+});
+
+// Forget buckets that have refilled and have not been notified recently
+const cleanupBuckets = () => {
+  const now = Date.now();
+
+  for (const [whatsappNumber, bucket] of buckets) {
+    const tokens = bucket.tokens + (now - bucket.updatedAt) * REFILL_PER_MS;
+    if (tokens >= CITIZEN_BURST && now - bucket.notifiedAt >= NOTICE_INTERVAL_MS) {
+      buckets.delete(whatsappNumber);
+    }
+  }
+};
+
+setInterval(cleanupBuckets, 10 * 60 * 1000).unref();
+
+module.exports = {
+  runLimited,
+  isThrottleError,
+  shouldNotifyThrottled,
+  getLimiterStats
+};
@@ -0,0 +1,515 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { runLimited } = require('./llmRateLimitService');
+
+// LLM provider (openai | mock), configurable via environment
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+// Model per task; LLM_MODEL is the default for every chat task
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+const MODELS = {
+  extraction: process.env.LLM_MODEL_EXTRACTION || DEFAULT_MODEL,
+  knowledgeSearch: process.env.LLM_MODEL_KNOWLEDGE_SEARCH || DEFAULT_MODEL,
+  planning: process.env.LLM_MODEL_PLANNING || DEFAULT_MODEL,
+  response: process.env.LLM_MODEL_RESPONSE || DEFAULT_MODEL,
+  fileSearch: process.env.LLM_MODEL_FILE_SEARCH || DEFAULT_MODEL,
+  embedding: process.env.LLM_MODEL_EMBEDDING || 'text-embedding-3-small',
+  transcription: process.env.LLM_MODEL_TRANSCRIPTION || process.env.TRANSCRIPTION_MODEL || 'whisper-1'
+};
+
+const getModel = (task) => MODELS[task] || DEFAULT_MODEL;
+
+// Cheaper model used for every task once the daily budget is spent
+const BUDGET_MODEL = process.env.LLM_BUDGET_MODEL || 'gpt-4o-mini';
+
+// Usage recorder (firestore | none), configurable via environment
+// Scripts without Firebase use 'none': calls are neither recorded nor checked against the daily budget
+const USAGE_RECORDER = process.env.LLM_USAGE_RECORDER || 'firestore';
+
+const usageRecorders = {
+  // Required lazily: loading Firebase without a service account ends the process
+  firestore: () => require('./usageService'),
+  none: () => ({
+    name: 'none',
+    calculateCost: () => 0,
+    recordUsage: async () => 0,
+    isOverBudget: async () => false
+  })
+};
+
+let usageRecorder = null;
+
+const getUsageRecorder = () => {
+  if (!usageRecorder) {
+    usageRecorder = (usageRecorders[USAGE_RECORDER] || usageRecorders.firestore)();
+  }
+  return usageRecorder;
+};
+
+// Replace the usage recorder (accepts a registered name or an object with
+// calculateCost(model, usage), recordUsage(entry) and isOverBudget())
+const setUsageRecorder = (recorder) => {
+  const resolved = typeof recorder === 'string' ? usageRecorders[recorder]?.() : recorder;
+
+  if (!resolved || ['calculateCost', 'recordUsage', 'isOverBudget'].some(method => typeof resolved[method] !== 'function')) {
+    throw new Error('Invalid usage recorder');
+  }
+
+  usageRecorder = resolved;
+  logger.info(`LLM usage recorder set to ${resolved.name || (typeof recorder === 'string' ? recorder : 'custom')}`);
+  return resolved;
+};
+
+/*
+ * Provider interface. Messages and tools use the OpenAI chat format
+ * ({ role, content, tool_calls, tool_call_id } and { type: 'function', function }).
+ *
+ *   chatCompletion({ task, model, messages, tools, toolChoice, maxTokens, temperature })
+ *     -> { content, toolCalls: [{ id, name, arguments }], message, usage, model }
+ *     toolChoice: 'auto' | 'none' | { name } to force one tool
+ *   fileSearch({ task, model, query, vectorStoreIds, maxResults, filters })
+ *     -> { text, results, usage, model }
+ *   searchVectorStore({ query, vectorStoreId, maxResults, filters })
+ *     -> [{ text, score, filename }] (retrieval only, no generation)
+ *   embed({ model, input }) -> { embeddings, usage, model }
+ *   transcribe({ model, audio, mimeType, prompt }) -> { text, language, usage, model }
+ *     audio is a Buffer; language is a code such as 'mr' or null; usage.audioSeconds is the billed length
+ *   createVectorStore({ name, expiresAfterDays }) -> { id }
+ *   addFileToVectorStore(vectorStoreId, filePath) -> { fileId }
+ *   listVectorStoreFiles(vectorStoreId) -> [{ id, status }]
+ *   removeVectorStoreFile(vectorStoreId, fileId)
+ *
+ * usage: { promptTokens, completionTokens, cachedTokens, totalTokens, audioSeconds }
+ */
+
+const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, cachedTokens: 0, totalTokens: 0 });
+
+// WhatsApp audio MIME types and the file extensions the transcription API accepts
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav'
+};
+
+// The API names the detected language ("marathi"); chat records use codes like the rest of the bot
+const LANGUAGE_CODES = {
+  english: 'en',
+  marathi: 'mr',
+  hindi: 'hi'
+};
+
+const toLanguageCode = (language) => {
+  if (!language) return null;
+  return LANGUAGE_CODES[language.toLowerCase()] || language.toLowerCase();
+};
+
+const parseToolArguments = (name, rawArguments) => {
+  try {
+    return rawArguments ? JSON.parse(rawArguments) : {};
+  } catch (error) {
+    throw new Error(`Invalid arguments from model for tool ${name}: ${error.message}`);
+  }
+};
+
+let openaiClient;
+
+// Initialize the OpenAI client lazily so the mock provider works without the SDK or an API key
+const getOpenAIClient = () => {
+  if (!openaiClient) {
+    const { OpenAI } = require('openai');
+    openaiClient = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openaiClient;
+};
+
+const toOpenAIUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens ?? usage?.input_tokens ?? 0,
+  completionTokens: usage?.completion_tokens ?? usage?.output_tokens ?? 0,
+  cachedTokens: usage?.prompt_tokens_details?.cached_tokens ?? usage?.input_tokens_details?.cached_tokens ?? 0,
+  totalTokens: usage?.total_tokens ?? 0
+});
+
+// OpenAI provider (Chat Completions, Responses API file search, embeddings, vector stores)
+const openaiProvider = {
+  name: 'openai',
+  chatCompletion: async ({ model, messages, tools, toolChoice, maxTokens, temperature }) => {
+    const request = { model, messages };
+
+    if (tools?.length) {
+      request.tools = tools;
+      if (toolChoice) {
+        request.tool_choice = typeof toolChoice === 'object'
+          ? { type: 'function', function: { name: toolChoice.name } }
+          : toolChoice;
+      }
+    }
+    if (maxTokens !== undefined) request.max_tokens = maxTokens;
+    if (temperature !== undefined) request.temperature = temperature;
+
+    const response = await getOpenAIClient().chat.completions.create(request);
+    const message = response.choices[0].message;
+
+    return {
+      content: message.content ? message.content.trim() : null,
+      toolCalls: (message.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: parseToolArguments(toolCall.function.name, toolCall.function.arguments)
+      })),
+      message,
+      usage: toOpenAIUsage(response.usage),
+      model: response.model || model
+    };
+  },
+  fileSearch: async ({ model, query, vectorStoreIds, maxResults = 5, filters }) => {
+    const response = await getOpenAIClient().responses.create({
+      model,
+      input: query,
+      tools: [{
+        type: 'file_search',
+        vector_store_ids: vectorStoreIds,
+        max_num_results: maxResults,
+        ...(filters && { filters })
+      }],
+      include: ['file_search_call.results']
+    });
+
+    let results = [];
+    let text = null;
+
+    response.output.forEach(item => {
+      if (item.type === 'file_search_call') {
+        results = item.search_results || item.results || [];
+      } else if (item.type === 'message') {
+        text = item.content[0]?.text || '';
+      }
+    });
+
+    return { text, results, usage: toOpenAIUsage(response.usage), model: response.model || model };
+  },
+  searchVectorStore: async ({ query, vectorStoreId, maxResults = 5, filters }) => {
+    const response = await getOpenAIClient().vectorStores.search(vectorStoreId, {
+      query,
+      max_num_results: maxResults,
+      ...(filters && { filters })
+    });
+
+    return response.data.map(result => ({
+      text: result.content.map(part => part.text).join('\n'),
+      score: result.score,
+      filename: result.filename
+    }));
+  },
+  embed: async ({ model, input }) => {
+    const response = await getOpenAIClient().embeddings.create({ model, input });
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      usage: toOpenAIUsage(response.usage),
+      model: response.model || model
+    };
+  },
+  transcribe: async ({ model, audio, mimeType, prompt }) => {
+    const { toFile } = require('openai');
+    const baseMimeType = (mimeType || 'audio/ogg').split(';')[0].trim();
+    const extension = AUDIO_EXTENSIONS[baseMimeType] || 'ogg';
+    const file = await toFile(audio, `voice-note.${extension}`, { type: baseMimeType });
+
+    const response = await getOpenAIClient().audio.transcriptions.create({
+      file,
+      model,
+      // Only the verbose format reports the detected language and the audio length
+      response_format: 'verbose_json',
+      ...(prompt && { prompt })
+    });
+
+    return {
+      text: (response.text || '').trim(),
+      language: toLanguageCode(response.language),
+      usage: { ...emptyUsage(), audioSeconds: response.duration || 0 },
+      model
+    };
+  },
+  createVectorStore: async ({ name, expiresAfterDays = 365 }) => {
+    const vectorStore = await getOpenAIClient().vectorStores.create({
+      name,
+      expires_after: { anchor: 'last_active_at', days: expiresAfterDays }
+    });
+    return { id: vectorStore.id };
+  },
+  addFileToVectorStore: async (vectorStoreId, filePath) => {
+    const file = await getOpenAIClient().files.create({
+      file: fs.createReadStream(filePath),
+      purpose: 'assistants'
+    });
+    await getOpenAIClient().vectorStores.files.create(vectorStoreId, { file_id: file.id });
+    return { fileId: file.id };
+  },
+  listVectorStoreFiles: async (vectorStoreId) => {
+    const files = await getOpenAIClient().vectorStores.files.list(vectorStoreId);
+    return files.data.map(file => ({ id: file.id, status: file.status }));
+  },
+  removeVectorStoreFile: async (vectorStoreId, fileId) => {
+    await getOpenAIClient().vectorStores.files.del(vectorStoreId, fileId);
+  }
+};
+
+const lastUserText = (messages = []) => {
+  const userMessage = [...messages].reverse().find(message => message.role === 'user');
+  return typeof userMessage?.content === 'string' ? userMessage.content : '';
+};
+
+// Placeholder arguments for a forced tool call that no scripted response covers
+const defaultToolArguments = (tool, text) => {
+  const { properties = {}, required = [] } = tool?.function?.parameters || {};
+
+  return required.reduce((args, key) => {
+    const schema = properties[key] || {};
+    // Language fields follow the script of the message
+    if (key === 'language' && schema.enum?.includes('mr')) args[key] = /[ऀ-ॿ]/.test(text) ? 'mr' : 'en';
+    else if (schema.enum) args[key] = schema.enum[0];
+    else if (schema.type === 'boolean') args[key] = false;
+    else if (schema.type === 'number' || schema.type === 'integer') args[key] = 0;
+    else if (schema.type === 'array') args[key] = [];
+    else args[key] = text;
+    return args;
+  }, {});
+};
+
+// Deterministic scripted provider for tests and offline development
+// responses: [{ task, match, reply, once }] checked in order; match is a RegExp on the last user
+// message or a function(request); reply is { content, toolCalls: [{ name, arguments }] } or a function(request)
+const createMockProvider = ({ responses = [] } = {}) => {
+  let rules = [...responses];
+  const calls = [];
+  const vectorStores = new Map();
+  let callCount = 0;
+
+  const findRule = (request) => {
+    const text = request.query ?? lastUserText(request.messages);
+    const index = rules.findIndex(rule => {
+      if (rule.task && rule.task !== request.task) return false;
+      if (rule.match instanceof RegExp) return rule.match.test(text);
+      if (typeof rule.match === 'function') return rule.match(request);
+      return true;
+    });
+
+    if (index === -1) return null;
+
+    const rule = rules[index];
+    if (rule.once) {
+      rules = rules.filter((_, i) => i !== index);
+    }
+    return typeof rule.reply === 'function' ? rule.reply(request) : rule.reply;
+  };
+
+  const defaultReply = (request) => {
+    const text = lastUserText(request.messages);
+
+    if (request.toolChoice && typeof request.toolChoice === 'object') {
+      const tool = (request.tools || []).find(entry => entry.function.name === request.toolChoice.name);
+      return { toolCalls: [{ name: request.toolChoice.name, arguments: defaultToolArguments(tool, text) }] };
+    }
+
+    return { content: `[mock ${request.task || 'chat'}] ${text}` };
+  };
+
+  return {
+    name: 'mock',
+    calls,
+    addResponse: (rule) => {
+      rules.push(rule);
+    },
+    reset: () => {
+      rules = [];
+      calls.length = 0;
+    },
+    chatCompletion: async (request) => {
+      calls.push({ type: 'chat', ...request });
+      const reply = findRule(request) || defaultReply(request);
+
+      const toolCalls = (reply.toolCalls || []).map(toolCall => ({
+        id: toolCall.id || `call_mock_${++callCount}`,
+        name: toolCall.name,
+        arguments: toolCall.arguments || {}
+      }));
+      const content = reply.content ?? null;
+
+      return {
+        content,
+        toolCalls,
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length && {
+            tool_calls: toolCalls.map(toolCall => ({
+              id: toolCall.id,
+              type: 'function',
+              function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) }
+            }))
+          })
+        },
+        usage: reply.usage || emptyUsage(),
+        model: request.model
+      };
+    },
+    fileSearch: async (request) => {
+      calls.push({ type: 'fileSearch', ...request });
+      const reply = findRule(request) || { text: null, results: [] };
+      return { text: reply.text ?? null, results: reply.results || [], usage: reply.usage || emptyUsage(), model: request.model };
+    },
+    searchVectorStore: async (request) => {
+      calls.push({ type: 'searchVectorStore', ...request });
+      const reply = findRule({ ...request, task: 'searchVectorStore' });
+      return reply?.results || [];
+    },
+    embed: async (request) => {
+      calls.push({ type: 'embed', ...request });
+      const inputs = Array.isArray(request.input) ? request.input : [request.input];
+
+      // Stable pseudo-embedding derived from the text
+      const embeddings = inputs.map(text => Array.from(crypto.createHash('sha256').update(String(text)).digest().subarray(0, 16))
+        .map(byte => (byte - 128) / 128));
+
+      return { embeddings, usage: emptyUsage(), model: request.model };
+    },
+    transcribe: async (request) => {
+      calls.push({ type: 'transcribe', task: 'transcription', ...request });
+      const reply = findRule({ ...request, task: 'transcription' }) || {};
+      return {
+        text: reply.text ?? `[mock transcription] ${request.audio.length} bytes`,
+        language: reply.language ?? null,
+        usage: { ...emptyUsage(), audioSeconds: reply.audioSeconds || 0 },
+        model: request.model
+      };
+    },
+    createVectorStore: async ({ name }) => {
+      const id = `vs_mock_${vectorStores.size + 1}`;
+      vectorStores.set(id, { name, files: [] });
+      return { id };
+    },
+    addFileToVectorStore: async (vectorStoreId, filePath) => {
+      const fileId = `file_mock_${crypto.createHash('sha256').update(filePath).digest('hex').slice(0, 8)}`;
+      vectorStores.get(vectorStoreId)?.files.push({ id: fileId, status: 'completed' });
+      return { fileId };
+    },
+    listVectorStoreFiles: async (vectorStoreId) => vectorStores.get(vectorStoreId)?.files || [],
+    removeVectorStoreFile: async (vectorStoreId, fileId) => {
+      const vectorStore = vectorStores.get(vectorStoreId);
+      if (vectorStore) {
+        vectorStore.files = vectorStore.files.filter(file => file.id !== fileId);
+      }
+    }
+  };
+};
+
+const providers = {
+  openai: () => openaiProvider,
+  mock: () => createMockProvider()
+};
+
+let activeProvider = (providers[LLM_PROVIDER] || providers.openai)();
+
+// Replace the LLM provider (accepts a registered name or a provider object)
+const setLLMProvider = (provider) => {
+  const resolved = typeof provider === 'string' ? providers[provider]?.() : provider;
+
+  if (!resolved || typeof resolved.chatCompletion !== 'function') {
+    throw new Error('Invalid LLM provider');
+  }
+
+  activeProvider = resolved;
+  logger.info(`LLM provider set to ${resolved.name || 'custom'}`);
+  return resolved;
+};
+
+const getLLMProvider = () => activeProvider;
+
+// Whether callers should take their cheaper path (daily budget spent)
+const isBudgetExceeded = async () => getUsageRecorder().isOverBudget();
+
+// Model for a task: the budget model once the daily budget is spent, unless the caller picked one
+const resolveModel = async (task, model) => {
+  if (model) {
+    return { model, degraded: false };
+  }
+
+  const degraded = await getUsageRecorder().isOverBudget();
+  return { model: degraded ? BUDGET_MODEL : getModel(task), degraded };
+};
+
+// Attach the call's cost to the result and record its usage
+// usageContext: { stage, whatsappNumber } for the per-stage and per-citizen totals
+const recordCall = (task, result, usageContext = {}, degraded = false) => {
+  const usage = getUsageRecorder();
+  result.costUsd = usage.calculateCost(result.model, result.usage);
+
+  // Not awaited: accounting must not add latency to the reply
+  usage.recordUsage({
+    task,
+    stage: usageContext.stage,
+    model: result.model,
+    usage: result.usage,
+    whatsappNumber: usageContext.whatsappNumber || null,
+    degraded
+  });
+
+  return result;
+};
+
+// Chat completion for a task; the task picks the model unless one is given
+// Every call goes through the per-citizen and global limits of llmRateLimitService
+const chat = async (task, { usageContext, ...params }) => {
+  const { model, degraded } = await resolveModel(task, params.model);
+  const result = await runLimited(task, usageContext, () => activeProvider.chatCompletion({ ...params, task, model }));
+  return recordCall(task, result, usageContext, degraded);
+};
+
+// Arguments of the first call to the named tool, or null
+const getToolArguments = (result, toolName) => {
+  return result.toolCalls.find(toolCall => toolCall.name === toolName)?.arguments || null;
+};
+
+const fileSearch = async ({ usageContext, ...params }) => {
+  const { model, degraded } = await resolveModel('fileSearch', params.model);
+  const result = await runLimited('fileSearch', usageContext, () => activeProvider.fileSearch({ ...params, task: 'fileSearch', model }));
+  return recordCall('fileSearch', result, usageContext, degraded);
+};
+
+// Chunks of a vector store matching the query, without generating an answer
+const searchVectorStore = async (params) => {
+  return runLimited('vectorSearch', {}, () => activeProvider.searchVectorStore(params));
+};
+
+const embed = async (input, model = null, usageContext = {}) => {
+  const result = await runLimited('embedding', usageContext, () => activeProvider.embed({ input, model: model || getModel('embedding') }));
+  return recordCall('embedding', result, usageContext);
+};
+
+// Speech to text; there is no cheaper transcription model, so the budget does not change it
+// Voice notes count against the same per-citizen and global limits as chat calls
+const transcribe = async (audio, mimeType, { prompt = null, model = null, usageContext = {} } = {}) => {
+  const result = await runLimited('transcription', usageContext, () => activeProvider.transcribe({ audio, mimeType, prompt, model: model || getModel('transcription') }));
+  return recordCall('transcription', result, usageContext);
+};
+
+module.exports = {
+  MODELS,
+  getModel,
+  chat,
+  getToolArguments,
+  fileSearch,
+  searchVectorStore,
+  embed,
+  transcribe,
+  setLLMProvider,
+  getLLMProvider,
+  setUsageRecorder,
+  isBudgetExceeded,
+  createMockProvider
+};
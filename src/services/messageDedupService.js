@@ -0,0 +1,157 @@
+const logger = require('../utils/logger');
+
+// How long a processed WhatsApp message ID is remembered (Meta retries within hours)
+const DEDUP_TTL_MS = parseInt(process.env.MESSAGE_DEDUP_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+
+// Dedup store backend (firestore | memory), configurable via environment
+const DEDUP_STORE = process.env.MESSAGE_DEDUP_STORE || 'firestore';
+
+// Firestore ALREADY_EXISTS gRPC status code
+const ALREADY_EXISTS = 6;
+
+// Firestore-backed store shared across instances
+const createFirestoreStore = () => {
+  // Required lazily so the in-memory store works without Firebase credentials
+  const { db, admin } = require('../config/firebase');
+  const processedCollection = db.collection('processedMessages');
+
+  return {
+    name: 'firestore',
+    claim: async (messageId, ttlMs) => {
+      const docRef = processedCollection.doc(messageId);
+      const now = Date.now();
+
+      try {
+        // create() fails atomically if the ID was already claimed
+        await docRef.create({
+          messageId,
+          processedAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: now + ttlMs
+        });
+        return true;
+      } catch (error) {
+        if (error.code !== ALREADY_EXISTS) {
+          throw error;
+        }
+      }
+
+      // Re-claim an expired entry
+      return db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(docRef);
+
+        if (existing.exists && existing.data().expiresAt > now) {
+          return false;
+        }
+
+        transaction.set(docRef, {
+          messageId,
+          processedAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: now + ttlMs
+        });
+        return true;
+      });
+    },
+    cleanup: async () => {
+      const expiredSnapshot = await processedCollection
+        .where('expiresAt', '<', Date.now())
+        .limit(450)
+        .get();
+
+      if (expiredSnapshot.empty) return 0;
+
+      const batch = db.batch();
+      expiredSnapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return expiredSnapshot.size;
+    }
+  };
+};
+
+// In-memory store for development and tests
+const createMemoryStore = () => {
+  const seen = new Map();
+
+  return {
+    name: 'memory',
+    claim: async (messageId, ttlMs) => {
+      const now = Date.now();
+      const expiresAt = seen.get(messageId);
+
+      if (expiresAt && expiresAt > now) {
+        return false;
+      }
+
+      seen.set(messageId, now + ttlMs);
+      return true;
+    },
+    cleanup: async () => {
+      const now = Date.now();
+      let removed = 0;
+
+      for (const [messageId, expiresAt] of seen.entries()) {
+        if (expiresAt <= now) {
+          seen.delete(messageId);
+          removed++;
+        }
+      }
+
+      return removed;
+    }
+  };
+};
+
+let activeStore = DEDUP_STORE === 'memory' ? createMemoryStore() : createFirestoreStore();
+
+// Replace the dedup store (accepts 'memory', 'firestore' or a store object)
+const setDedupStore = (store) => {
+  if (store === 'memory') {
+    activeStore = createMemoryStore();
+  } else if (store === 'firestore') {
+    activeStore = createFirestoreStore();
+  } else if (store && typeof store.claim === 'function') {
+    activeStore = store;
+  } else {
+    throw new Error('Invalid dedup store');
+  }
+
+  logger.info(`Message dedup store set to ${activeStore.name || 'custom'}`);
+};
+
+// Claim a WhatsApp message ID; returns false if it was already processed within the TTL
+const claimMessage = async (messageId, ttlMs = DEDUP_TTL_MS) => {
+  if (!messageId) {
+    return true;
+  }
+
+  try {
+    return await activeStore.claim(messageId, ttlMs);
+  } catch (error) {
+    // Prefer a possible duplicate reply over dropping a citizen's message
+    logger.error(`Error checking message dedup for ${messageId}:`, error);
+    return true;
+  }
+};
+
+// Remove expired entries
+const cleanupExpired = async () => {
+  try {
+    if (!activeStore.cleanup) return;
+
+    const removed = await activeStore.cleanup();
+    if (removed > 0) {
+      logger.info(`Cleaned up ${removed} expired message dedup entries`);
+    }
+  } catch (error) {
+    logger.error('Error cleaning up message dedup entries:', error);
+  }
+};
+
+// Run dedup cleanup every hour
+setInterval(cleanupExpired, 3600000).unref();
+
+module.exports = {
+  claimMessage,
+  setDedupStore,
+  cleanupExpired
+};
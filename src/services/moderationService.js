@@ -0,0 +1,237 @@
+const logger = require('../utils/logger');
+
+// Moderation provider (local | none), configurable via environment
+const MODERATION_PROVIDER = process.env.MODERATION_PROVIDER || 'local';
+
+// Categories in order of precedence when a message matches several
+const MODERATION_CATEGORIES = ['threat', 'abuse', 'prompt_injection'];
+
+/*
+ * Provider interface:
+ *
+ *   classify(text, { language }) -> { flagged, categories: [category], matches: [string] }
+ *     categories: threat | abuse | prompt_injection
+ */
+
+// Attempts to override the assistant's instructions, switch its role or read its prompt
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|override|bypass)\b.{0,40}\b(instructions?|rules|prompts?|guidelines|directions|restrictions)\b/,
+  // "forget it, what are the rules" and "skip the rules for the permit" are ordinary questions
+  /\b(forget|skip)\s+(about\s+)?(your|the previous|previous|prior|all|all the|all your|the above|above|earlier)\s+(\w+\s+)?(instructions?|rules|prompts?|guidelines|directions|restrictions)\b/,
+  /\b(system|developer|hidden)\s+(prompt|instructions?)\b/,
+  /\b(developer|hidden)\s+message\b/,
+  /\b(reveal|show|print|repeat|display|leak|tell me|give me|what (is|are))\b.{0,30}\b(your\s+(instructions|prompt|rules|guidelines)|the\s+prompt)\b/,
+  /\byou are (now|no longer)\b/,
+  /\b(pretend|roleplay|role-play)\b.{0,20}\b(to be|as|you)\b/,
+  /\bact as (an? )?(unrestricted|jailbroken|admin|administrator|developer|system|different)\b/,
+  /\b(jailbreak|dan mode|developer mode|god mode|sudo mode)\b/,
+  /\b(new|updated|real) instructions?\s*:/,
+  /(^|\n)\s*(system|assistant|developer)\s*:/,
+  /<\s*\/?\s*(system|assistant|instructions?|citizen_message|citizen_profile|registration_context|knowledge)\s*>/,
+  /(सूचना|नियम|आदेश|प्रॉम्प्ट).{0,30}(दुर्लक्ष|विसर|मोड|बाजूला|रद्द)/,
+  /(दुर्लक्ष|विसर).{0,30}(सूचना|नियम|आदेश)/,
+  /(सिस्टम|system)\s*(प्रॉम्प्ट|प्रॉम्ट|prompt|सूचना)/,
+  /(तुझ्या|तुमच्या|तुझे|तुमचे|तुझी|तुमची).{0,20}(सूचना|प्रॉम्प्ट|प्रॉम्ट|नियम).{0,30}(दाखव|सांग|लिह|उघड)/,
+  /(असल्याचे|असल्यासारखे) (नाटक|सोंग)/
+];
+
+// Insults and slurs (English, Marathi and common romanised forms)
+const ABUSE_WORDS = [
+  'fuck', 'fucking', 'motherfucker', 'bitch', 'bastard', 'asshole',
+  'chutiya', 'chutya', 'madarchod', 'bhenchod', 'behenchod', 'gandu', 'harami', 'haramkhor', 'bhadwa', 'zavadya',
+  'चुतिया', 'चुत्या', 'मादरचोद', 'भेनचोद', 'बहेनचोद', 'गांडू', 'गांडु', 'हरामखोर', 'हरामी', 'भडवा', 'भडव्या', 'झवाड्या', 'रांडेच्या'
+];
+
+// Milder insults only count when aimed at the assistant or staff ("my son is an idiot" is not abuse)
+const DIRECTED_INSULT_PATTERNS = [
+  /\b(you|you're|u r|ur)(\s+are)?\s+(an?\s+)?(stupid\s+|useless\s+)?(idiot|moron|stupid|useless)s?\b/,
+  /\b(idiot|moron|stupid|useless)s?\s+(bot|officers?|staff|sarpanch|gramsevak|government|zp|people)\b/
+];
+
+// Threats of violence against staff or the service; the target must be what the verb acts on
+// ("which spray will kill weeds? thank you" is not a threat)
+const THREAT_PATTERNS = [
+  /\b(kill|shoot|stab|beat|bomb|burn)\s+(up\s+|down\s+)?(you|all of you|him|her|them|everyone|((the|your|this|that|our)\s+(\w+\s+){0,2})?(officers?|staff|sarpanch|gramsevak|office|panchayat))\b/,
+  /(जीवे मार|मारून टाक|ठार मार|जाळून टाक|बॉम्ब)/
+];
+
+// Common character swaps used to slip past keyword lists ("1gn0re", "$ystem")
+const LEET_CHARACTERS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Lower-case text without hidden characters or repeated spacing, plus a variant with swaps undone
+const normalizeForMatch = (text) => {
+  const normalized = String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g, '')
+    .replace(/[ \t]+/g, ' ');
+
+  return [normalized, normalized.replace(/[013457@$]/g, character => LEET_CHARACTERS[character] || character)];
+};
+
+const containsWord = (text, word) => {
+  // \b does not apply to Devanagari, which is matched as a substring
+  return /[\u0900-\u097F]/.test(word)
+    ? text.includes(word)
+    : new RegExp(`\\b${word}\\b`).test(text);
+};
+
+// Keyword and pattern classifier that runs without any external call
+const localProvider = {
+  name: 'local',
+  classify: async (text) => {
+    const variants = normalizeForMatch(text);
+    const matches = {};
+
+    const addMatch = (category, match) => {
+      matches[category] = [...(matches[category] || []), match];
+    };
+
+    variants.forEach(variant => {
+      THREAT_PATTERNS.forEach(pattern => {
+        const match = variant.match(pattern);
+        if (match) addMatch('threat', match[0]);
+      });
+      ABUSE_WORDS.forEach(word => {
+        if (containsWord(variant, word)) addMatch('abuse', word);
+      });
+      DIRECTED_INSULT_PATTERNS.forEach(pattern => {
+        const match = variant.match(pattern);
+        if (match) addMatch('abuse', match[0]);
+      });
+      INJECTION_PATTERNS.forEach(pattern => {
+        const match = variant.match(pattern);
+        if (match) addMatch('prompt_injection', match[0].trim());
+      });
+    });
+
+    const categories = MODERATION_CATEGORIES.filter(category => matches[category]);
+
+    return {
+      flagged: categories.length > 0,
+      categories,
+      matches: [...new Set(categories.flatMap(category => matches[category]))].slice(0, 5)
+    };
+  }
+};
+
+const providers = {
+  local: () => localProvider,
+  none: () => ({
+    name: 'none',
+    classify: async () => ({ flagged: false, categories: [], matches: [] })
+  })
+};
+
+let activeProvider = (providers[MODERATION_PROVIDER] || providers.local)();
+
+// Replace the moderation provider (accepts a registered name or a provider object)
+const setModerationProvider = (provider) => {
+  const resolved = typeof provider === 'string' ? providers[provider]?.() : provider;
+
+  if (!resolved || typeof resolved.classify !== 'function') {
+    throw new Error('Invalid moderation provider');
+  }
+
+  activeProvider = resolved;
+  logger.info(`Moderation provider set to ${resolved.name || 'custom'}`);
+  return resolved;
+};
+
+const getModerationProvider = () => activeProvider;
+
+const getCurrentDate = () => {
+  const date = new Date();
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Daily counters next to the message metrics, plus one event per flagged message (without its text)
+// Firebase is required lazily so the guardrail validation script works without it
+const recordModerationEvent = async (result, { whatsappNumber = null, messageId = null, language = null }) => {
+  try {
+    const { db, admin } = require('../config/firebase');
+    const metricsCollection = db.collection('messageMetrics');
+    const date = getCurrentDate();
+
+    const counters = { moderationFlagged: admin.firestore.FieldValue.increment(1) };
+    result.categories.forEach(category => {
+      const field = category.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+      counters[`moderation${field.charAt(0).toUpperCase()}${field.slice(1)}`] = admin.firestore.FieldValue.increment(1);
+    });
+
+    await metricsCollection.doc(`daily_${date}`).set({
+      ...counters,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      date
+    }, { merge: true });
+
+    await metricsCollection.doc('moderation').collection('events').add({
+      whatsappNumber,
+      messageId,
+      language,
+      provider: result.provider,
+      category: result.category,
+      categories: result.categories,
+      matches: result.matches,
+      date,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error('Error recording moderation event:', error);
+  }
+};
+
+// Classify a citizen message before any model sees it
+// Returns { flagged, category, categories, matches, provider }; fails open so an outage does not silence the bot
+const moderateMessage = async (text, { language = 'en', whatsappNumber = null, messageId = null } = {}) => {
+  try {
+    const result = await activeProvider.classify(text, { language });
+    const categories = MODERATION_CATEGORIES.filter(category => (result.categories || []).includes(category));
+    const moderation = {
+      flagged: !!result.flagged && categories.length > 0,
+      category: categories[0] || null,
+      categories,
+      matches: result.matches || [],
+      provider: activeProvider.name || 'custom'
+    };
+
+    if (moderation.flagged) {
+      logger.warn(`Message ${messageId || ''} from ${whatsappNumber || 'unknown'} flagged as ${categories.join(', ')}: ${moderation.matches.join(' | ')}`);
+      recordModerationEvent(moderation, { whatsappNumber, messageId, language });
+    }
+
+    return moderation;
+  } catch (error) {
+    logger.error('Error moderating message:', error);
+    return { flagged: false, category: null, categories: [], matches: [], provider: activeProvider.name || 'custom', error: error.message };
+  }
+};
+
+const REFUSAL_MESSAGES = {
+  prompt_injection: {
+    en: '🙏 I can only help with Zilla Parishad Pune services, and I cannot change how I work or share my internal instructions. Please ask your question about ZP services, or type "menu" to see the departments.',
+    mr: '🙏 मी फक्त पुणे जिल्हा परिषदेच्या सेवांबद्दल मदत करू शकतो. माझी कार्यपद्धती बदलता येत नाही आणि अंतर्गत सूचना सांगता येत नाहीत. कृपया ZP सेवांबद्दल आपला प्रश्न विचारा, किंवा विभाग पाहण्यासाठी "मेनू" लिहा.'
+  },
+  abuse: {
+    en: '🙏 I understand you may be upset. Please keep our conversation respectful so that I can help you. Tell me your problem, or type "officer" to talk to a ZP officer.',
+    mr: '🙏 आपण नाराज असाल हे मी समजू शकतो. कृपया संवाद सभ्य ठेवा, म्हणजे मी आपली मदत करू शकेन. आपली समस्या सांगा, किंवा जि.प. अधिकाऱ्याशी बोलण्यासाठी "अधिकारी" लिहा.'
+  },
+  threat: {
+    en: '⚠️ Threats of violence are not acceptable and may be reported. If you are in danger, please call 112. For a complaint about ZP services, describe the problem and I will help you register it.',
+    mr: '⚠️ हिंसेच्या धमक्या स्वीकारार्ह नाहीत आणि त्यांची तक्रार केली जाऊ शकते. आपण धोक्यात असाल तर कृपया 112 वर कॉल करा. ZP सेवांबद्दल तक्रार असल्यास समस्या सांगा, मी ती नोंदवण्यास मदत करेन.'
+  }
+};
+
+// Reply sent instead of an AI answer when a message is flagged
+const getRefusalMessage = (category, language) => {
+  const messages = REFUSAL_MESSAGES[category] || REFUSAL_MESSAGES.prompt_injection;
+  return messages[language] || messages.en;
+};
+
+module.exports = {
+  MODERATION_CATEGORIES,
+  moderateMessage,
+  getRefusalMessage,
+  setModerationProvider,
+  getModerationProvider
+};
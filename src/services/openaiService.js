@@ -1,12 +1,35 @@
-const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
 const { db, admin } = require('../config/firebase');
 const geocodingService = require('./geocodingService');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { normalizeVillageKey } = require('../utils/villageNameNormalizer');
+const grievanceService = require('./grievanceService');
+const llmService = require('./llmService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const { isThrottleError } = require('./llmRateLimitService');
+const inputGuard = require('../utils/inputGuard');
+const moderationService = require('./moderationService');
+
+// Model/tool round trips allowed per message before the model must answer
+const MAX_TOOL_ITERATIONS = parseInt(process.env.AI_MAX_TOOL_ITERATIONS, 10) || 4;
+
+// A planned turn already retrieved its knowledge: one tool round (e.g. filing a grievance) at most,
+// so the answer takes one call, or two when the model used a tool
+const PLANNED_TURN_TOOL_ROUNDS = 1;
+
+// Longest tool result passed back to the model
+const MAX_TOOL_RESULT_LENGTH = 3000;
+
+// Longest retrieved knowledge passed to the answer call (planned sections in both languages)
+const MAX_KNOWLEDGE_LENGTH = 16000;
+
+// Intents the turn planner classifies a message into
+const TURN_INTENTS = ['question', 'grievance', 'grievance_status', 'providing_info', 'greeting', 'confused', 'other'];
+
+// Registration step that follows a successfully answered one
+const NEXT_REGISTRATION_STATE = {
+  awaiting_name: 'awaiting_village',
+  awaiting_village: 'completed'
+};
 
 // UPDATED: Simplified function tools for Name and Village only
 const getRegistrationFunctions = () => {
@@ -44,7 +67,7 @@ const getRegistrationFunctions = () => {
           properties: {
             village_name: {
               type: "string",
-              description: "Name of the village or taluka mentioned by user"
+              description: "Name of the village exactly as the user wrote it (keep Devanagari as is, do not translate), followed by \", <taluka>\" if the user mentioned one"
             },
             confidence: {
               type: "number",
@@ -60,48 +83,6 @@ const getRegistrationFunctions = () => {
         },
         strict: true
       }
-    },
-    {
-      type: "function",
-      function: {
-        name: "analyze_registration_state",
-        description: "Analyze current state and determine next action in simplified registration process",
-        parameters: {
-          type: "object",
-          properties: {
-            current_state: {
-              type: "string",
-              enum: ["initial", "awaiting_name", "awaiting_village", "completed"],
-              description: "Current registration state"
-            },
-            user_intent: {
-              type: "string",
-              enum: ["providing_info", "asking_question", "greeting", "confused", "other"],
-              description: "User's apparent intent"
-            },
-            has_required_data: {
-              type: "boolean",
-              description: "Whether user provided the required information for current state"
-            },
-            next_state: {
-              type: "string",
-              enum: ["awaiting_name", "awaiting_village", "completed"],
-              description: "Recommended next state"
-            },
-            confidence: {
-              type: "number",
-              description: "Confidence in the analysis (0.0 to 1.0)"
-            },
-            reason: {
-              type: "string",
-              description: "Brief explanation of the analysis"
-            }
-          },
-          required: ["current_state", "user_intent", "has_required_data", "next_state", "confidence", "reason"],
-          additionalProperties: false
-        },
-        strict: true
-      }
     }
   ];
 };
@@ -141,32 +122,89 @@ const getKnowledgeBaseFunctions = () => {
     {
       type: "function",
       function: {
-        name: "generate_contextual_response",
-        description: "Generate appropriate response based on context and intent",
+        name: "file_grievance",
+        description: "Register a grievance/complaint from the citizen with ZP Pune. Only call once the citizen has described the problem and the department is clear.",
         parameters: {
           type: "object",
           properties: {
-            response_type: {
+            department: {
               type: "string",
-              enum: ["informative", "helpful", "clarifying", "encouraging", "procedural"],
-              description: "Type of response to generate"
+              enum: Object.keys(grievanceService.GRIEVANCE_DEPARTMENTS),
+              description: "ZP department responsible for the complaint"
             },
-            language: {
+            description: {
               type: "string",
-              enum: ["mr", "en"],
-              description: "Language for the response"
+              description: "Description of the problem in the citizen's own words"
             },
-            include_examples: {
-              type: "boolean",
-              description: "Whether to include examples in the response"
+            village: {
+              type: ["string", "null"],
+              description: "Village the complaint relates to, null to use the citizen's registered village"
             },
-            tone: {
+            priority: {
+              type: "string",
+              enum: ["emergency", "simple", "moderate", "complex"],
+              description: "Urgency/complexity of the complaint"
+            }
+          },
+          required: ["department", "description", "village", "priority"],
+          additionalProperties: false
+        },
+        strict: true
+      }
+    }
+  ];
+};
+
+// Lookups about villages and the citizen who is messaging
+const getCitizenFunctions = () => {
+  return [
+    {
+      type: "function",
+      function: {
+        name: "lookup_village",
+        description: "Look up a village in Pune district to find its taluka and whether it is within ZP Pune",
+        parameters: {
+          type: "object",
+          properties: {
+            village_name: {
               type: "string",
-              enum: ["formal", "friendly", "helpful", "professional"],
-              description: "Tone of the response"
+              description: "Name of the village exactly as the user wrote it"
+            }
+          },
+          required: ["village_name"],
+          additionalProperties: false
+        },
+        strict: true
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "get_citizen_profile",
+        description: "Get the registered profile (name, village, taluka, language) of the citizen who is messaging",
+        parameters: {
+          type: "object",
+          properties: {},
+          required: [],
+          additionalProperties: false
+        },
+        strict: true
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "get_grievance_status",
+        description: "Get the status of the citizen's grievances, either one ticket or the most recent ones",
+        parameters: {
+          type: "object",
+          properties: {
+            ticket_id: {
+              type: ["string", "null"],
+              description: "Ticket ID such as GRV-123, null for the most recent grievances"
             }
           },
-          required: ["response_type", "language", "include_examples", "tone"],
+          required: ["ticket_id"],
           additionalProperties: false
         },
         strict: true
@@ -175,6 +213,56 @@ const getKnowledgeBaseFunctions = () => {
   ];
 };
 
+// Structured plan of a turn: language, intent, knowledge to read and registration details, in one call
+const getPlanFunction = (knowledgeSections = []) => {
+  return {
+    type: "function",
+    function: {
+      name: "plan_turn",
+      description: "Plan the reply to the citizen's latest message without answering it",
+      parameters: {
+        type: "object",
+        properties: {
+          language: {
+            type: "string",
+            enum: ["mr", "en"],
+            description: "Language of the latest message (Marathi or Hindi is mr, otherwise en)"
+          },
+          intent: {
+            type: "string",
+            enum: TURN_INTENTS,
+            description: "What the citizen wants with the latest message"
+          },
+          knowledge_query: {
+            type: ["string", "null"],
+            description: "Search query for the ZP Pune knowledge base, null if no information is needed"
+          },
+          knowledge_sections: {
+            type: "array",
+            items: knowledgeSections.length > 0 ? { type: "string", enum: knowledgeSections } : { type: "string" },
+            description: "At most 2 knowledge base sections needed to answer, empty if none"
+          },
+          full_name: {
+            type: ["string", "null"],
+            description: "The citizen's complete name if the message gives it, otherwise null"
+          },
+          village_name: {
+            type: ["string", "null"],
+            description: "Village exactly as the user wrote it (keep Devanagari as is), followed by \", <taluka>\" if mentioned, otherwise null"
+          },
+          confidence: {
+            type: "number",
+            description: "Confidence in the extracted name or village (0.0 to 1.0)"
+          }
+        },
+        required: ["language", "intent", "knowledge_query", "knowledge_sections", "full_name", "village_name", "confidence"],
+        additionalProperties: false
+      },
+      strict: true
+    }
+  };
+};
+
 // UPDATED: Enhanced system prompts for simplified registration
 const systemPrompts = {
   en: `You are a helpful assistant for Zilla Panchayat (ZP) Pune, Maharashtra, India.
@@ -192,16 +280,12 @@ REGISTRATION PROCESS (SIMPLIFIED):
 - No age or gender collection required
 
 CAPABILITIES:
-- Use function calls to extract precise information from user messages
-- Analyze registration states and determine appropriate next steps
+- Use function calls to look up information and act for the citizen
 - Search knowledge base for ZP Pune information
-- Generate contextual responses based on user intent
 
 FUNCTION CALLING GUIDELINES:
-- Always use functions to extract structured data during registration
-- Call analyze_registration_state for every user message during registration
-- Use search_zp_knowledge when users ask about ZP services
-- Generate responses using generate_contextual_response for consistency
+- Use search_zp_knowledge when users ask about ZP services and no knowledge base information is given
+- Use file_grievance when a citizen wants to register a complaint, and share the returned ticket ID
 
 RESPONSE REQUIREMENTS:
 - Respond ONLY in English
@@ -224,16 +308,12 @@ RESPONSE REQUIREMENTS:
 - वय किंवा लिंग माहिती आवश्यक नाही
 
 क्षमता:
-- वापरकर्त्याच्या संदेशांमधून अचूक माहिती काढण्यासाठी function calls वापरा
-- नोंदणी स्थिती विश्लेषण करा आणि योग्य पुढील पावले ठरवा
+- माहिती शोधण्यासाठी आणि नागरिकासाठी कृती करण्यासाठी function calls वापरा
 - ZP पुणे माहितीसाठी knowledge base शोधा
-- वापरकर्त्याच्या हेतूनुसार संदर्भित प्रतिसाद तयार करा
 
 FUNCTION CALLING मार्गदर्शक तत्त्वे:
-- नोंदणी दरम्यान structured data काढण्यासाठी नेहमी functions वापरा
-- नोंदणी दरम्यान प्रत्येक user message साठी analyze_registration_state कॉल करा
-- ZP सेवांबद्दल प्रश्न असताना search_zp_knowledge वापरा
-- consistency साठी generate_contextual_response वापरून प्रतिसाद तयार करा
+- ZP सेवांबद्दल प्रश्न असताना आणि knowledge base माहिती दिलेली नसताना search_zp_knowledge वापरा
+- नागरिकाला तक्रार नोंदवायची असल्यास file_grievance वापरा आणि मिळालेला तक्रार क्रमांक सांगा
 
 प्रतिसाद आवश्यकता:
 - ONLY मराठी मध्येच उत्तर द्या
@@ -242,78 +322,188 @@ FUNCTION CALLING मार्गदर्शक तत्त्वे:
 - उत्तर दिल्यानंतर नेहमी अतिरिक्त मदत ऑफर करा`
 };
 
-// UPDATED: Process registration with simplified function calling
-const processRegistrationWithFunctions = async (message, currentState, language, citizenData) => {
+// System prompt with the rules for the untrusted content that follows it
+const getSystemPrompt = (language) => {
+  const prompt = systemPrompts[language] ? language : 'en';
+  return `${systemPrompts[prompt]}\n\n${inputGuard.getUntrustedContentRules(prompt)}`;
+};
+
+// Whether a reply repeats the system prompt; such replies are replaced before they are sent
+const leaksSystemPrompt = (reply) => {
+  return inputGuard.leaksPrompt(reply, [
+    ...Object.values(systemPrompts),
+    ...Object.values(inputGuard.UNTRUSTED_CONTENT_RULES)
+  ]);
+};
+
+// Stage of a turn with its latency and the token usage and cost of its model calls
+const buildStage = (stage, durationMs, results = [], extra = {}) => {
+  const entry = { stage, durationMs, model: results[0]?.model || null, promptTokens: 0, completionTokens: 0, cachedTokens: 0, costUsd: 0 };
+
+  results.forEach(result => {
+    entry.promptTokens += result.usage?.promptTokens || 0;
+    entry.completionTokens += result.usage?.completionTokens || 0;
+    entry.cachedTokens += result.usage?.cachedTokens || 0;
+    entry.costUsd += result.costUsd || 0;
+  });
+
+  return { ...entry, ...extra };
+};
+
+// Plan a turn with one structured call: language, intent, knowledge to read and name/village extraction
+// registrationState is the registration step when the citizen is not registered yet
+const planTurn = async (message, { history = [], citizenData = null, registrationState = null, language = 'en' } = {}) => {
+  const startTime = Date.now();
+
   try {
-    const registrationFunctions = getRegistrationFunctions();
-    
-    // First, analyze the registration state
-    const stateAnalysisMessages = [
-      {
-        role: 'system',
-        content: `Analyze the simplified registration state and user message. Current state: ${currentState}. User message: "${message}". Citizen data: ${JSON.stringify(citizenData)}`
-      },
-      {
-        role: 'user',
-        content: message
-      }
-    ];
+    const knowledgeSections = await knowledgeBaseService.getKnowledgeSections();
+
+    const situation = registrationState
+      ? `The citizen is registering; we asked for ${registrationState === 'awaiting_village' ? 'their village in Pune district' : 'their full name'}.`
+      : `The citizen is registered; their profile:\n${inputGuard.describeCitizen(citizenData)}\n`;
 
-    const stateAnalysisResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: stateAnalysisMessages,
-      tools: [registrationFunctions.find(f => f.function.name === 'analyze_registration_state')],
-      tool_choice: { type: "function", function: { name: "analyze_registration_state" } },
-      temperature: 0.1
+    // History already ends with the current message when it was saved before planning
+    const lastMessage = history[history.length - 1];
+    const conversation = lastMessage?.role === 'user' && lastMessage.content === message
+      ? history.slice(-4)
+      : [...history.slice(-3), { role: 'user', content: message }];
+
+    const planResponse = await llmService.chat('planning', {
+      messages: [
+        {
+          role: 'system',
+          content: `You plan replies of the ZP Pune WhatsApp assistant. ${situation} For the latest message, detect its language, classify the intent, choose the knowledge base sections needed to answer it and extract the name or village if the citizen gave one. Do not answer the message.
+
+${inputGuard.getUntrustedContentRules('en')}`
+        },
+        ...inputGuard.wrapHistory(conversation)
+      ],
+      tools: [getPlanFunction(knowledgeSections)],
+      toolChoice: { name: 'plan_turn' },
+      temperature: 0.1,
+      usageContext: { stage: 'plan', whatsappNumber: citizenData?.whatsappNumber || null }
     });
 
-    let stateAnalysis = null;
-    if (stateAnalysisResponse.choices[0].message.tool_calls) {
-      const toolCall = stateAnalysisResponse.choices[0].message.tool_calls[0];
-      stateAnalysis = JSON.parse(toolCall.function.arguments);
-    }
+    const plan = llmService.getToolArguments(planResponse, 'plan_turn') || {};
+
+    return {
+      language: ['mr', 'en'].includes(plan.language) ? plan.language : language,
+      intent: TURN_INTENTS.includes(plan.intent) ? plan.intent : 'other',
+      knowledgeQuery: plan.knowledge_query || null,
+      knowledgeSections: (plan.knowledge_sections || []).filter(section => knowledgeSections.includes(section)).slice(0, 2),
+      fullName: plan.full_name || null,
+      villageName: plan.village_name || null,
+      confidence: plan.confidence || 0.0,
+      stage: buildStage('plan', Date.now() - startTime, [planResponse])
+    };
+  } catch (error) {
+    // Throttled turns are answered with a "please wait" reply by the webhook
+    if (isThrottleError(error)) throw error;
 
-    logger.info(`State analysis: ${JSON.stringify(stateAnalysis)}`);
+    logger.error('Error planning turn:', error);
+
+    // Keyword retrieval on the raw message still lets the answer call help
+    return {
+      language,
+      intent: 'other',
+      knowledgeQuery: registrationState ? null : message,
+      knowledgeSections: [],
+      fullName: null,
+      villageName: null,
+      confidence: 0.0,
+      stage: buildStage('plan', Date.now() - startTime, [], { failed: true })
+    };
+  }
+};
+
+// Registration step from the turn plan, geocoding the village without further model calls
+const processRegistrationWithFunctions = async (message, currentState, language, citizenData) => {
+  const stages = [];
+
+  try {
+    const plan = await planTurn(message, { citizenData, registrationState: currentState, language });
+    stages.push(plan.stage);
 
-    // If user provided required data, extract it
     let extractedData = null;
-    if (stateAnalysis && stateAnalysis.has_required_data) {
-      extractedData = await extractRegistrationData(message, currentState, language);
-
-      // SPECIAL: If extracting village, validate with geocoding
-      if (currentState === 'awaiting_village' && extractedData && extractedData.village_name) {
-        const geocodeResult = await geocodingService.geocodeVillage(extractedData.village_name, language);
-        
-        if (geocodeResult.success) {
-          extractedData.geocoding = geocodeResult;
-          extractedData.coordinates = geocodeResult.coordinates;
-          extractedData.validated_village = geocodeResult.administrative.village || extractedData.village_name;
-          extractedData.taluka = geocodeResult.administrative.taluka;
-          extractedData.confidence = Math.min(extractedData.confidence, geocodeResult.confidence / 100);
-        } else {
-          // Village not found or not in Pune ZP
-          return {
-            stateAnalysis,
-            extractedData: null,
-            shouldTransition: false,
-            nextState: currentState,
-            confidence: 0.0,
-            geocodingError: geocodeResult.message
-          };
-        }
+    if (currentState === 'awaiting_name' && plan.fullName) {
+      extractedData = { full_name: plan.fullName, confidence: plan.confidence };
+    } else if (currentState === 'awaiting_village' && plan.villageName) {
+      extractedData = {
+        village_name: plan.villageName,
+        confidence: plan.confidence,
+        needs_geocoding: true,
+        // Script-independent key so "पिरंगुट", "Pirangut" and "Pirangoot" resolve the same way
+        village_key: normalizeVillageKey(plan.villageName)
+      };
+    }
+
+    const stateAnalysis = {
+      current_state: currentState,
+      user_intent: plan.intent,
+      has_required_data: !!extractedData,
+      next_state: extractedData ? NEXT_REGISTRATION_STATE[currentState] || currentState : currentState,
+      confidence: plan.confidence,
+      language: plan.language
+    };
+
+    logger.info(`Turn plan: ${JSON.stringify(stateAnalysis)}`);
+
+    // SPECIAL: If extracting village, validate with geocoding
+    if (currentState === 'awaiting_village' && extractedData) {
+      const geocodingStart = Date.now();
+      const geocodeResult = await geocodingService.geocodeVillage(extractedData.village_name, plan.language);
+      stages.push({ stage: 'geocoding', durationMs: Date.now() - geocodingStart });
+
+      // Same name in several talukas: let the citizen choose instead of guessing
+      if (geocodeResult.success && geocodeResult.gazetteer?.ambiguous) {
+        return {
+          stateAnalysis,
+          extractedData,
+          shouldTransition: false,
+          nextState: currentState,
+          confidence: extractedData.confidence,
+          geocodingError: null,
+          villageChoice: {
+            query: extractedData.village_name,
+            candidates: geocodeResult.gazetteer.alternatives
+          },
+          stages
+        };
+      }
+
+      if (geocodeResult.success) {
+        extractedData.geocoding = geocodeResult;
+        extractedData.coordinates = geocodeResult.coordinates;
+        extractedData.validated_village = geocodeResult.administrative.village || extractedData.village_name;
+        extractedData.taluka = geocodeResult.administrative.taluka;
+        extractedData.confidence = Math.min(extractedData.confidence, geocodeResult.confidence / 100);
+      } else {
+        // Village not found or not in Pune ZP
+        return {
+          stateAnalysis,
+          extractedData: null,
+          shouldTransition: false,
+          nextState: currentState,
+          confidence: 0.0,
+          geocodingError: geocodeResult.message,
+          stages
+        };
       }
     }
 
     return {
       stateAnalysis,
       extractedData,
-      shouldTransition: stateAnalysis?.has_required_data || false,
-      nextState: stateAnalysis?.next_state || currentState,
-      confidence: stateAnalysis?.confidence || 0.0,
-      geocodingError: null
+      shouldTransition: stateAnalysis.has_required_data,
+      nextState: stateAnalysis.next_state,
+      confidence: plan.confidence,
+      geocodingError: null,
+      stages
     };
 
   } catch (error) {
+    if (isThrottleError(error)) throw error;
+
     logger.error('Error processing registration with functions:', error);
     return {
       stateAnalysis: null,
@@ -321,13 +511,14 @@ const processRegistrationWithFunctions = async (message, currentState, language,
       shouldTransition: false,
       nextState: currentState,
       confidence: 0.0,
-      geocodingError: null
+      geocodingError: null,
+      stages
     };
   }
 };
 
 // UPDATED: Extract specific registration data based on simplified states
-const extractRegistrationData = async (message, currentState, language) => {
+const extractRegistrationData = async (message, currentState, language, whatsappNumber = null) => {
   try {
     const registrationFunctions = getRegistrationFunctions();
     let functionToCall = null;
@@ -348,25 +539,31 @@ const extractRegistrationData = async (message, currentState, language) => {
     const extractionMessages = [
       {
         role: 'system',
-        content: `Extract information from the user message: "${message}"`
+        content: `Extract the requested information from the citizen message in <citizen_message> tags.
+
+${inputGuard.getUntrustedContentRules('en')}`
       },
       {
         role: 'user',
-        content: message
+        content: inputGuard.wrapUntrusted(message)
       }
     ];
 
-    const extractionResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const extractionResponse = await llmService.chat('extraction', {
       messages: extractionMessages,
       tools: [functionToCall],
-      tool_choice: { type: "function", function: { name: functionToCall.function.name } },
-      temperature: 0.1
+      toolChoice: { name: functionToCall.function.name },
+      temperature: 0.1,
+      usageContext: { stage: 'extraction', whatsappNumber }
     });
 
-    if (extractionResponse.choices[0].message.tool_calls) {
-      const toolCall = extractionResponse.choices[0].message.tool_calls[0];
-      const extractedData = JSON.parse(toolCall.function.arguments);
+    const extractedData = llmService.getToolArguments(extractionResponse, functionToCall.function.name);
+    if (extractedData) {
+
+      // Script-independent key so "पिरंगुट", "Pirangut" and "Pirangoot" resolve the same way
+      if (currentState === 'awaiting_village' && extractedData.village_name) {
+        extractedData.village_key = normalizeVillageKey(extractedData.village_name);
+      }
       
       logger.info(`Extracted data: ${JSON.stringify(extractedData)}`);
       return extractedData;
@@ -374,84 +571,30 @@ const extractRegistrationData = async (message, currentState, language) => {
 
     return null;
   } catch (error) {
-    logger.error('Error extracting registration data:', error);
-    return null;
-  }
-};
+    if (isThrottleError(error)) throw error;
 
-// Keep other existing functions (searchKnowledgeWithFunctions, generateContextualResponseWithFunctions, etc.)
-const searchKnowledgeWithFunctions = async (query, language) => {
-  try {
-    const knowledgeFunctions = getKnowledgeBaseFunctions();
-    
-    const searchMessages = [
-      {
-        role: 'system',
-        content: `Analyze this query and search the ZP Pune knowledge base: "${query}"`
-      },
-      {
-        role: 'user',
-        content: query
-      }
-    ];
-
-    const searchResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: searchMessages,
-      tools: [knowledgeFunctions.find(f => f.function.name === 'search_zp_knowledge')],
-      tool_choice: { type: "function", function: { name: "search_zp_knowledge" } },
-      temperature: 0.1
-    });
-
-    if (searchResponse.choices[0].message.tool_calls) {
-      const toolCall = searchResponse.choices[0].message.tool_calls[0];
-      const searchParams = JSON.parse(toolCall.function.arguments);
-      
-      logger.info(`Knowledge search params: ${JSON.stringify(searchParams)}`);
-      return searchParams;
-    }
-
-    return null;
-  } catch (error) {
-    logger.error('Error searching knowledge with functions:', error);
+    logger.error('Error extracting registration data:', error);
     return null;
   }
 };
 
+// Single reply call during registration (tone and type follow the context)
 const generateContextualResponseWithFunctions = async (context, language, citizenData) => {
   try {
-    const knowledgeFunctions = getKnowledgeBaseFunctions();
-    
-    const responseMessages = [
-      {
-        role: 'system',
-        content: systemPrompts[language] || systemPrompts.en
-      },
-      {
-        role: 'user',
-        content: `Generate appropriate response for context: ${JSON.stringify(context)}. Citizen: ${JSON.stringify(citizenData)}`
-      }
-    ];
-
-    const responseGeneration = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: responseMessages,
-      tools: [knowledgeFunctions.find(f => f.function.name === 'generate_contextual_response')],
-      tool_choice: { type: "function", function: { name: "generate_contextual_response" } },
-      temperature: 0.7
-    });
-
-    if (responseGeneration.choices[0].message.tool_calls) {
-      const toolCall = responseGeneration.choices[0].message.tool_calls[0];
-      const responseParams = JSON.parse(toolCall.function.arguments);
-      
-      const finalResponse = await generateFinalResponse(responseParams, context, citizenData);
-      
-      logger.info(`Generated contextual response: ${finalResponse}`);
-      return finalResponse;
+    // Over the daily budget the caller's template prompts are used instead
+    if (await llmService.isBudgetExceeded()) {
+      return null;
     }
 
-    return null;
+    const finalResponse = await generateFinalResponse({
+      response_type: context.needsClarification ? 'clarifying' : 'helpful',
+      language: language === 'mr' ? 'mr' : 'en',
+      include_examples: !!context.needsClarification,
+      tone: 'friendly'
+    }, context, citizenData);
+
+    logger.info(`Generated contextual response: ${finalResponse}`);
+    return finalResponse;
   } catch (error) {
     logger.error('Error generating contextual response:', error);
     return null;
@@ -463,13 +606,16 @@ const generateFinalResponse = async (responseParams, context, citizenData) => {
     const finalMessages = [
       {
         role: 'system',
-        content: `${systemPrompts[responseParams.language]} 
+        content: `${getSystemPrompt(responseParams.language)}
 
 Generate a ${responseParams.response_type} response in ${responseParams.language === 'mr' ? 'Marathi' : 'English'} with ${responseParams.tone} tone.
 ${responseParams.include_examples ? 'Include helpful examples.' : 'Keep it concise without examples.'}
 
-Context: ${JSON.stringify(context)}
-Citizen: ${citizenData?.userProvidedName || citizenData?.whatsappDisplayName || 'Friend'}`
+Registration context:
+${inputGuard.wrapUntrusted(JSON.stringify(context), 'registration_context', 3000)}
+
+Citizen:
+${inputGuard.describeCitizen(citizenData)}`
       },
       {
         role: 'user',
@@ -477,15 +623,24 @@ Citizen: ${citizenData?.userProvidedName || citizenData?.whatsappDisplayName ||
       }
     ];
 
-    const finalResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const finalResponse = await llmService.chat('response', {
       messages: finalMessages,
       temperature: 0.7,
-      max_tokens: 500
+      maxTokens: 500,
+      usageContext: { stage: 'reply', whatsappNumber: citizenData?.whatsappNumber || null }
     });
 
-    return finalResponse.choices[0].message.content.trim();
+    // The caller's template prompts replace a reply that repeats the instructions
+    if (leaksSystemPrompt(finalResponse.content)) {
+      logger.warn(`Reply for ${citizenData?.whatsappNumber || 'unknown'} repeated the system prompt, using the template instead`);
+      return null;
+    }
+
+    return finalResponse.content;
   } catch (error) {
+    // Let the contextual reply fall back to the template prompts
+    if (isThrottleError(error)) throw error;
+
     logger.error('Error generating final response:', error);
     return responseParams.language === 'mr' 
       ? 'क्षमस्व, तांत्रिक समस्या आहे.'
@@ -493,12 +648,15 @@ Citizen: ${citizenData?.userProvidedName || citizenData?.whatsappDisplayName ||
   }
 };
 
-const generateResponseWithFunctions = async (message, history, messageLanguage, knowledgeBaseInfo, citizenData, context = {}) => {
+// options.excludeTools: tools not offered (e.g. search_zp_knowledge once knowledge was retrieved)
+// options.stages: earlier stages of the turn, recorded with the completion
+// options.degraded: daily budget spent, answer without tools and with a shorter reply
+// options.maxToolRounds: tool rounds allowed before the model must answer
+// Each call is its own stage: 'answer' for the first, 'tool_answer' for each call after tool results
+const generateResponseWithFunctions = async (message, history, messageLanguage, knowledgeBaseInfo, citizenData, context = {}, options = {}) => {
   try {
-    const allFunctions = [...getRegistrationFunctions(), ...getKnowledgeBaseFunctions()];
-    
     let messages = [
-      { role: 'system', content: systemPrompts[messageLanguage] || systemPrompts.en }
+      { role: 'system', content: getSystemPrompt(messageLanguage) }
     ];
 
     if (context && Object.keys(context).length > 0) {
@@ -510,8 +668,8 @@ const generateResponseWithFunctions = async (message, history, messageLanguage,
 
     if (citizenData) {
       const citizenInfo = messageLanguage === 'mr'
-        ? `नागरिक माहिती: ${citizenData.userProvidedName || citizenData.whatsappDisplayName}, गाव: ${citizenData.village || 'N/A'}`
-        : `Citizen: ${citizenData.userProvidedName || citizenData.whatsappDisplayName}, Village: ${citizenData.village || 'N/A'}`;
+        ? `नागरिक माहिती:\n${inputGuard.describeCitizen(citizenData)}`
+        : `Citizen:\n${inputGuard.describeCitizen(citizenData)}`;
       
       messages.push({
         role: 'system',
@@ -521,8 +679,8 @@ const generateResponseWithFunctions = async (message, history, messageLanguage,
 
     if (knowledgeBaseInfo) {
       const kbPrompt = messageLanguage === 'mr'
-        ? `ZP पुणे knowledge base मधील संबंधित माहिती:\n\n${knowledgeBaseInfo}`
-        : `Relevant ZP Pune knowledge base information:\n\n${knowledgeBaseInfo}`;
+        ? `ZP पुणे knowledge base मधील संबंधित माहिती:\n\n${inputGuard.wrapUntrusted(knowledgeBaseInfo, 'knowledge', MAX_KNOWLEDGE_LENGTH)}`
+        : `Relevant ZP Pune knowledge base information:\n\n${inputGuard.wrapUntrusted(knowledgeBaseInfo, 'knowledge', MAX_KNOWLEDGE_LENGTH)}`;
       
       messages.push({
         role: 'system',
@@ -531,157 +689,310 @@ const generateResponseWithFunctions = async (message, history, messageLanguage,
     }
 
     const limitedHistory = history.slice(-4);
-    messages = messages.concat(limitedHistory);
+    messages = messages.concat(inputGuard.wrapHistory(limitedHistory));
 
+    const { excludeTools = [], stages = [], degraded = false, maxToolRounds = MAX_TOOL_ITERATIONS } = options;
+    const tools = degraded ? [] : getConversationTools().filter(tool => !excludeTools.includes(tool.function.name));
+    const toolContext = { citizenData, language: messageLanguage, state: {} };
+    const toolLog = [];
     const startTime = Date.now();
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      tools: allFunctions,
-      tool_choice: "auto",
-      max_tokens: 600,
-      temperature: 0.7
-    });
+    let iterations = 0;
+    let response;
 
-    const endTime = Date.now();
+    // Keep answering tool calls until the model replies with text
+    while (true) {
+      const toolsAllowed = iterations < maxToolRounds;
+      const stage = iterations === 0 ? 'answer' : 'tool_answer';
+      const callStart = Date.now();
+
+      response = await llmService.chat('response', {
+        messages: messages,
+        tools: tools,
+        toolChoice: toolsAllowed ? 'auto' : 'none',
+        maxTokens: degraded ? 300 : 600,
+        temperature: 0.7,
+        usageContext: { stage, whatsappNumber: citizenData?.whatsappNumber || null }
+      });
+
+      if (response.toolCalls.length === 0 || !toolsAllowed) {
+        stages.push(buildStage(stage, Date.now() - callStart, [response], { toolIterations: iterations }));
+        break;
+      }
+
+      iterations++;
+      const functionResults = await processFunctionCalls(response.toolCalls, toolContext);
+
+      messages.push(response.message);
 
-    if (response.choices[0].message.tool_calls) {
-      const functionResults = await processFunctionCalls(response.choices[0].message.tool_calls);
-      
-      messages.push(response.choices[0].message);
-      
       for (const result of functionResults) {
         messages.push({
           role: 'tool',
           tool_call_id: result.tool_call_id,
-          content: JSON.stringify(result.content)
+          content: truncateToolResult(result.content)
+        });
+
+        toolLog.push({
+          iteration: iterations,
+          name: result.name,
+          arguments: result.arguments,
+          durationMs: result.durationMs,
+          success: !result.error,
+          error: result.error
         });
       }
 
-      const finalResponse = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: messages,
-        tools: allFunctions,
-        max_tokens: 600,
-        temperature: 0.7
-      });
+      // The call that chose the tools, with the time the tools took
+      stages.push(buildStage(stage, Date.now() - callStart, [response], {
+        tools: functionResults.map(result => result.name)
+      }));
+    }
 
-      const responseContent = finalResponse.choices[0].message.content.trim();
-      
-      await logCompletion(message, responseContent, messageLanguage, !!knowledgeBaseInfo, endTime - startTime, { functionCalls: true });
-      
-      return responseContent;
-    } else {
-      const responseContent = response.choices[0].message.content.trim();
-      
-      await logCompletion(message, responseContent, messageLanguage, !!knowledgeBaseInfo, endTime - startTime, { functionCalls: false });
-      
-      return responseContent;
+    const maxIterationsReached = iterations >= maxToolRounds;
+    if (maxIterationsReached) {
+      logger.info(`Tool rounds capped at ${iterations} for ${citizenData?.whatsappNumber || 'unknown citizen'}, the model had to answer`);
     }
 
+    let responseContent = response.content || (messageLanguage === 'mr'
+      ? 'क्षमस्व, आत्ता उत्तर देता आले नाही. कृपया पुन्हा प्रयत्न करा.'
+      : 'Sorry, I could not answer right now. Please try again.');
+
+    if (leaksSystemPrompt(responseContent)) {
+      logger.warn(`Reply for ${citizenData?.whatsappNumber || 'unknown citizen'} repeated the system prompt, sending a refusal instead`);
+      responseContent = moderationService.getRefusalMessage('prompt_injection', messageLanguage);
+    }
+
+    const answerDuration = Date.now() - startTime;
+
+    await logCompletion(message, responseContent, messageLanguage, !!knowledgeBaseInfo, answerDuration, {
+      functionCalls: toolLog.length > 0,
+      whatsappNumber: citizenData?.whatsappNumber || null,
+      intent: context.intent || null,
+      degraded,
+      stages,
+      toolCalls: toolLog,
+      toolIterations: iterations,
+      maxIterationsReached,
+      grievanceTicketId: toolContext.state.grievance?.ticketId || null
+    });
+
+    return responseContent;
+
   } catch (error) {
+    if (isThrottleError(error)) throw error;
+
     logger.error('Error generating response with functions:', error);
     throw new Error('Failed to generate AI response with functions');
   }
 };
 
-const processFunctionCalls = async (toolCalls) => {
-  const results = [];
+// Answer a registered citizen: one planning call, retrieval without generation, then one answer call
+// Over the daily budget the planning call is skipped and knowledge is found by keywords
+const generatePlannedResponse = async (message, history, language, citizenData, context = {}) => {
+  const degraded = await llmService.isBudgetExceeded();
+  const plan = degraded
+    ? { language, intent: 'other', knowledgeQuery: message, knowledgeSections: [], stage: null }
+    : await planTurn(message, { history, citizenData, language });
+  const stages = plan.stage ? [plan.stage] : [];
+
+  let knowledge = null;
+  if (plan.knowledgeQuery || plan.knowledgeSections.length > 0) {
+    const retrievalStart = Date.now();
+    knowledge = await knowledgeBaseService.retrieveKnowledge({
+      query: plan.knowledgeQuery,
+      sections: plan.knowledgeSections,
+      language: plan.language
+    });
+    stages.push({ stage: 'retrieval', durationMs: Date.now() - retrievalStart, method: knowledge.method });
+  }
 
-  for (const toolCall of toolCalls) {
-    try {
-      const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments);
-
-      let result = null;
-
-      switch (functionName) {
-        case 'extract_user_name':
-        case 'extract_village_info':
-        case 'analyze_registration_state':
-          result = { extracted: true, data: functionArgs };
-          break;
-        case 'search_zp_knowledge':
-          result = { searched: true, query: functionArgs.query, category: functionArgs.category };
-          break;
-        case 'generate_contextual_response':
-          result = { responseGenerated: true, parameters: functionArgs };
-          break;
-        default:
-          result = { error: `Unknown function: ${functionName}` };
-      }
+  const response = await generateResponseWithFunctions(
+    message,
+    history,
+    plan.language,
+    knowledge?.text || '',
+    citizenData,
+    { ...context, intent: plan.intent },
+    { excludeTools: knowledge?.text ? ['search_zp_knowledge'] : [], stages, degraded, maxToolRounds: PLANNED_TURN_TOOL_ROUNDS }
+  );
+
+  logger.info(`Turn stages for ${citizenData?.whatsappNumber || 'unknown'}: ${stages.map(stage => `${stage.stage} ${stage.durationMs}ms`).join(', ')}`);
+  return { response, language: plan.language, plan, knowledge, stages, degraded };
+};
 
-      results.push({
-        tool_call_id: toolCall.id,
-        content: result
-      });
+// Handlers of the tools the model may call while answering a citizen
+// Each receives the parsed arguments and { citizenData, language, state } and returns a JSON-serializable result
+const toolHandlers = {
+  search_zp_knowledge: async (args, { citizenData, language }) => {
+    const searchResult = await knowledgeBaseService.searchWithFileSearch(args.query, language, {
+      category: args.category,
+      maxResults: 3,
+      usageContext: { stage: 'knowledge_search', whatsappNumber: citizenData?.whatsappNumber || null }
+    });
 
-    } catch (error) {
-      logger.error(`Error processing function call ${toolCall.function.name}:`, error);
-      results.push({
-        tool_call_id: toolCall.id,
-        content: { error: error.message }
-      });
+    return {
+      found: !!searchResult.response,
+      information: searchResult.response || null,
+      method: searchResult.method,
+      confidence: searchResult.confidence
+    };
+  },
+
+  lookup_village: async (args, { language }) => {
+    const geocodeResult = await geocodingService.geocodeVillage(args.village_name, language);
+
+    if (!geocodeResult.success) {
+      return {
+        found: false,
+        error: geocodeResult.error,
+        suggestions: geocodeResult.suggestions || []
+      };
     }
+
+    return {
+      found: true,
+      village: geocodeResult.administrative?.village || geocodeResult.villageName,
+      taluka: geocodeResult.administrative?.taluka || null,
+      district: geocodeResult.administrative?.district || null,
+      withinPuneZP: true,
+      alternatives: geocodeResult.gazetteer?.alternatives || []
+    };
+  },
+
+  get_citizen_profile: async (args, { citizenData }) => {
+    if (!citizenData?.whatsappNumber) {
+      return { error: 'Citizen not identified' };
+    }
+
+    return {
+      name: citizenData.userProvidedName || citizenData.whatsappDisplayName || null,
+      village: citizenData.village || null,
+      taluka: citizenData.taluka || null,
+      preferredLanguage: citizenData.preferredLanguage || null,
+      isRegistered: !!citizenData.isRegistered
+    };
+  },
+
+  get_grievance_status: async (args, { citizenData }) => {
+    if (!citizenData?.whatsappNumber) {
+      return { error: 'Citizen not identified' };
+    }
+
+    const summarize = grievance => ({
+      ticketId: grievance.ticketId,
+      department: grievance.department,
+      status: grievance.status,
+      description: grievance.description,
+      expectedResolutionDate: grievance.expectedResolutionDate
+    });
+
+    if (args.ticket_id) {
+      const ticketId = grievanceService.extractTicketId(args.ticket_id) || args.ticket_id;
+      const grievance = await grievanceService.getGrievance(citizenData.whatsappNumber, ticketId);
+      return grievance ? summarize(grievance) : { found: false, ticketId };
+    }
+
+    const grievances = await grievanceService.getCitizenGrievances(citizenData.whatsappNumber, 3);
+    return { grievances: grievances.map(summarize) };
+  },
+
+  file_grievance: async (args, toolContext) => {
+    const { citizenData, language } = toolContext;
+    if (!citizenData?.whatsappNumber) {
+      return { success: false, error: 'Citizen not identified' };
+    }
+
+    // A single message registers at most one grievance
+    if (toolContext.state.grievance) {
+      return { ...toolContext.state.grievance, alreadyRegistered: true };
+    }
+
+    const grievance = await grievanceService.fileGrievance(citizenData.whatsappNumber, { ...args, language }, citizenData);
+    if (grievance.success) {
+      toolContext.state.grievance = grievance;
+    }
+    return grievance;
   }
+};
 
-  return results;
+// Tool definitions offered to the model when answering (only tools with a handler)
+const getConversationTools = () => {
+  return [...getKnowledgeBaseFunctions(), ...getCitizenFunctions()]
+    .filter(tool => toolHandlers[tool.function.name]);
 };
 
-const detectMessageLanguage = async (message) => {
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `Detect language: respond "mr" for Marathi, "en" for English`
-        },
-        {
-          role: 'user',
-          content: message
-        }
-      ],
-      max_tokens: 5,
-      temperature: 0.1
+const truncateToolResult = (content) => {
+  const serialized = JSON.stringify(content);
+  return serialized.length > MAX_TOOL_RESULT_LENGTH
+    ? `${serialized.slice(0, MAX_TOOL_RESULT_LENGTH)}...(truncated)`
+    : serialized;
+};
+
+// Run the tool calls requested by the model; errors are returned to the model instead of thrown
+const processFunctionCalls = async (toolCalls, toolContext) => {
+  const results = [];
+
+  for (const toolCall of toolCalls) {
+    const startTime = Date.now();
+    const handler = toolHandlers[toolCall.name];
+    let content;
+    let error = null;
+
+    try {
+      content = handler
+        ? await handler(toolCall.arguments || {}, toolContext)
+        : { error: `Unknown function: ${toolCall.name}` };
+
+      if (!handler) {
+        error = content.error;
+      }
+    } catch (toolError) {
+      logger.error(`Error processing function call ${toolCall.name}:`, toolError);
+      error = toolError.message;
+      content = { error: toolError.message };
+    }
+
+    results.push({
+      tool_call_id: toolCall.id,
+      name: toolCall.name,
+      arguments: toolCall.arguments || {},
+      content,
+      durationMs: Date.now() - startTime,
+      error
     });
-    
-    const detectedLanguage = response.choices[0].message.content.trim().toLowerCase();
-    return detectedLanguage.includes('mr') ? 'mr' : 'en';
-  } catch (error) {
-    logger.error('Error detecting language:', error);
-    return 'en';
   }
+
+  return results;
 };
 
 const logCompletion = async (query, response, language, usedKnowledgeBase, responseTime, metadata = {}) => {
   try {
+    const { toolCalls = [], stages = [], ...otherMetadata } = metadata;
+
     await db.collection('aiCompletions').add({
+      whatsappNumber: metadata.whatsappNumber || null,
       query: query,
       response: response,
       language: language,
       usedKnowledgeBase: usedKnowledgeBase,
       responseTime: responseTime,
       functionCalling: metadata.functionCalls || false,
-      metadata: metadata,
+      toolCalls: toolCalls,
+      stages: stages,
+      metadata: otherMetadata,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      cost: calculateTokenCost(query.length + response.length)
+      // USD of the model calls of this turn's stages (usage per call is in llmUsage)
+      cost: stages.reduce((total, stage) => total + (stage.costUsd || 0), 0)
     });
   } catch (error) {
     logger.error('Error logging completion:', error);
   }
 };
 
-const calculateTokenCost = (charCount) => {
-  const estimatedTokens = Math.ceil(charCount / 4);
-  return (estimatedTokens / 1000) * 0.15;
-};
-
 module.exports = {
   generateResponseWithFunctions,
   processRegistrationWithFunctions,
-  searchKnowledgeWithFunctions,
   generateContextualResponseWithFunctions,
-  detectMessageLanguage,
+  generatePlannedResponse,
+  planTurn,
   extractRegistrationData
 };
\ No newline at end of file
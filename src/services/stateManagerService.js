@@ -27,8 +27,21 @@ const REGISTRATION_STATES = {
   COMPLETED: {
     id: 'completed',
     name: 'Registration Complete',
-    nextStates: [],
+    nextStates: ['editing_name', 'editing_village'],
     requiredData: []
+  },
+  // Profile correction after registration (one field at a time)
+  EDITING_NAME: {
+    id: 'editing_name',
+    name: 'Editing Name',
+    nextStates: ['completed'],
+    requiredData: ['userProvidedName']
+  },
+  EDITING_VILLAGE: {
+    id: 'editing_village',
+    name: 'Editing Village',
+    nextStates: ['completed'],
+    requiredData: ['village', 'coordinates']
   }
 };
 
@@ -166,6 +179,31 @@ const storeFunctionCallResultInSubcollection = async (whatsappNumber, stateId, f
   }
 };
 
+// Merge values into the context of the current state (e.g. data awaiting confirmation)
+const updateStateContext = async (whatsappNumber, currentState, contextUpdates) => {
+  try {
+    const updateData = {
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    Object.keys(contextUpdates).forEach(key => {
+      updateData[`context.${key}`] = contextUpdates[key];
+    });
+
+    await citizensCollection
+      .doc(whatsappNumber)
+      .collection('states')
+      .doc(currentState.id)
+      .update(updateData);
+
+    logger.info(`Updated context of state ${currentState.stateId} for ${whatsappNumber}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error updating state context for ${whatsappNumber}:`, error);
+    return false;
+  }
+};
+
 // Complete state transition
 const completeStateTransition = async (whatsappNumber, currentState, extractedData, nextStateId) => {
   try {
@@ -261,6 +299,7 @@ module.exports = {
   getCurrentState,
   updateStateWithFunctionResults,
   storeFunctionCallResultInSubcollection,
+  updateStateContext,
   completeStateTransition,
   getStateHistory
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const logger = require('../utils/logger');
+const llmService = require('./llmService');
+const { isThrottleError } = require('./llmRateLimitService');
+
+// Transcription adapter (llm | stub), configurable via environment
+// 'llm' goes through the LLM provider, so voice notes are costed and limited like every other model call
+const TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'llm';
+
+// Marathi and English are both expected; the prompt primes local place and office names
+const TRANSCRIPTION_PROMPT = 'Pune Zilla Parishad, ग्रामपंचायत, तालुका, गाव';
+
+// Speech-to-text through the active LLM provider (OpenAI Whisper, or the mock provider in tests)
+const llmAdapter = {
+  name: 'llm',
+  transcribe: async (audioBuffer, mimeType, usageContext) => {
+    return llmService.transcribe(audioBuffer, mimeType, { prompt: TRANSCRIPTION_PROMPT, usageContext });
+  }
+};
+
+// Local stub adapter for development and tests (no network access)
+const stubAdapter = {
+  name: 'stub',
+  transcribe: async (audioBuffer) => {
+    return {
+      text: process.env.TRANSCRIPTION_STUB_TEXT || `[voice note: ${audioBuffer.length} bytes]`,
+      language: null
+    };
+  }
+};
+
+const adapters = {
+  llm: llmAdapter,
+  // Former name of the llm adapter, kept so existing TRANSCRIPTION_PROVIDER settings work
+  openai: llmAdapter,
+  stub: stubAdapter
+};
+
+let activeAdapter = adapters[TRANSCRIPTION_PROVIDER] || llmAdapter;
+
+// Replace the transcription adapter (accepts a registered name or an adapter object)
+const setTranscriptionAdapter = (adapter) => {
+  const resolved = typeof adapter === 'string' ? adapters[adapter] : adapter;
+
+  if (!resolved || typeof resolved.transcribe !== 'function') {
+    throw new Error('Invalid transcription adapter');
+  }
+
+  activeAdapter = resolved;
+  logger.info(`Transcription adapter set to ${resolved.name || 'custom'}`);
+};
+
+// Transcribe an audio buffer into text
+// usageContext: { stage, whatsappNumber } for the usage records, as for chat calls
+const transcribeAudio = async (audioBuffer, mimeType, usageContext = {}) => {
+  const startTime = Date.now();
+
+  try {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      throw new Error('Empty audio buffer');
+    }
+
+    const result = await activeAdapter.transcribe(audioBuffer, mimeType, { stage: 'transcription', ...usageContext });
+
+    logger.info(`Transcribed voice note with ${activeAdapter.name} in ${Date.now() - startTime}ms`);
+    return {
+      success: !!result.text,
+      text: result.text,
+      language: result.language,
+      provider: activeAdapter.name,
+      processingTime: Date.now() - startTime
+    };
+  } catch (error) {
+    // The caller asks a throttled citizen to wait instead of saying the voice note was not understood
+    if (isThrottleError(error)) {
+      throw error;
+    }
+
+    logger.error('Error transcribing audio:', error);
+    return {
+      success: false,
+      text: '',
+      language: null,
+      provider: activeAdapter.name,
+      processingTime: Date.now() - startTime,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  transcribeAudio,
+  setTranscriptionAdapter
+};
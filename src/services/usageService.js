@@ -0,0 +1,289 @@
+const logger = require('../utils/logger');
+const { db, admin } = require('../config/firebase');
+
+// Collection references
+const usageCollection = db.collection('llmUsage');
+const usageDailyCollection = db.collection('usageDaily');
+
+// USD per 1M tokens; model names returned by the API carry a date suffix and match by prefix
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 },
+  'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+  'text-embedding-3-small': { input: 0.02, cachedInput: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, cachedInput: 0.13, output: 0 },
+  // Speech-to-text is billed per minute of audio
+  'whisper-1': { input: 0, cachedInput: 0, output: 0, audioMinute: 0.006 },
+  mock: { input: 0, cachedInput: 0, output: 0 }
+};
+
+// Extra or corrected prices as JSON, e.g. {"gpt-4o-mini": {"input": 0.15, "cachedInput": 0.075, "output": 0.6}}
+const parsePricingOverrides = () => {
+  try {
+    return process.env.LLM_PRICING ? JSON.parse(process.env.LLM_PRICING) : {};
+  } catch (error) {
+    logger.error('Invalid LLM_PRICING, using default prices:', error);
+    return {};
+  }
+};
+
+const PRICING = { ...DEFAULT_PRICING, ...parsePricingOverrides() };
+
+// Models without a price are charged at this rate so the budget is not underestimated
+const UNKNOWN_MODEL_PRICING = PRICING['gpt-4o'];
+
+// Daily spend limit in USD (0 disables the budget); spend is re-read at most once a minute
+const DAILY_BUDGET_USD = parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0;
+const BUDGET_REFRESH_MS = 60 * 1000;
+
+const warnedModels = new Set();
+let todaySpend = { date: null, costUsd: 0, fetchedAt: 0 };
+
+// Usage day (server local time), same format as the knowledge base analytics
+const getUsageDate = (date = new Date()) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const getPricing = (model) => {
+  const name = (model || '').toLowerCase();
+  const key = Object.keys(PRICING)
+    .filter(prefix => name === prefix || name.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (key) return PRICING[key];
+
+  if (!warnedModels.has(name)) {
+    warnedModels.add(name);
+    logger.warn(`No price configured for model "${model}", charging ${JSON.stringify(UNKNOWN_MODEL_PRICING)} per 1M tokens`);
+  }
+  return UNKNOWN_MODEL_PRICING;
+};
+
+// Cost in USD of one call; cached prompt tokens are billed at the cached input rate, audio per minute
+const calculateCost = (model, usage = {}) => {
+  const pricing = getPricing(model);
+  const promptTokens = usage.promptTokens || 0;
+  const cachedTokens = Math.min(usage.cachedTokens || 0, promptTokens);
+  const completionTokens = usage.completionTokens || 0;
+
+  const cost = ((promptTokens - cachedTokens) * pricing.input
+    + cachedTokens * pricing.cachedInput
+    + completionTokens * pricing.output) / 1000000
+    + ((usage.audioSeconds || 0) / 60) * (pricing.audioMinute || 0);
+
+  return Math.round(cost * 1e8) / 1e8;
+};
+
+// Firestore map keys may not contain dots ("gpt-4.1-mini")
+const toMapKey = (value) => String(value || 'unknown').replace(/[.\/]/g, '_');
+
+// Increments for one call, shared by the day, stage, model and citizen aggregates
+const buildIncrements = (usage, costUsd) => {
+  const increment = admin.firestore.FieldValue.increment;
+
+  return {
+    calls: increment(1),
+    promptTokens: increment(usage.promptTokens || 0),
+    completionTokens: increment(usage.completionTokens || 0),
+    cachedTokens: increment(usage.cachedTokens || 0),
+    totalTokens: increment(usage.totalTokens || 0),
+    audioSeconds: increment(usage.audioSeconds || 0),
+    costUsd: increment(costUsd)
+  };
+};
+
+// Record one model call: a ledger entry plus daily, per-stage, per-model and per-citizen totals
+// stage defaults to the task (plan, answer, reply, knowledge_search, ...)
+const recordUsage = async ({ task, stage = null, model, usage = {}, whatsappNumber = null, degraded = false }) => {
+  const costUsd = calculateCost(model, usage);
+  const date = getUsageDate();
+  const stageKey = toMapKey(stage || task);
+  const modelKey = toMapKey(model);
+
+  if (todaySpend.date === date) {
+    todaySpend.costUsd += costUsd;
+  }
+
+  try {
+    await usageCollection.add({
+      whatsappNumber,
+      task,
+      stage: stage || task,
+      model,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      cachedTokens: usage.cachedTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      audioSeconds: usage.audioSeconds || 0,
+      costUsd,
+      degraded,
+      date,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const dayRef = usageDailyCollection.doc(date);
+    await dayRef.set({
+      date,
+      ...buildIncrements(usage, costUsd),
+      stages: { [stageKey]: buildIncrements(usage, costUsd) },
+      models: { [modelKey]: buildIncrements(usage, costUsd) },
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    if (whatsappNumber) {
+      await dayRef.collection('citizenUsage').doc(whatsappNumber).set({
+        whatsappNumber,
+        date,
+        ...buildIncrements(usage, costUsd),
+        stages: { [stageKey]: buildIncrements(usage, costUsd) },
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+  } catch (error) {
+    logger.error('Error recording LLM usage:', error);
+  }
+
+  return costUsd;
+};
+
+// Today's spend in USD, cached between refreshes and kept current by recordUsage
+const getTodaySpend = async () => {
+  const date = getUsageDate();
+
+  if (todaySpend.date !== date || Date.now() - todaySpend.fetchedAt > BUDGET_REFRESH_MS) {
+    const dayDoc = await usageDailyCollection.doc(date).get();
+    todaySpend = {
+      date,
+      costUsd: dayDoc.exists ? dayDoc.data().costUsd || 0 : 0,
+      fetchedAt: Date.now()
+    };
+  }
+
+  return todaySpend.costUsd;
+};
+
+// Whether today's spend reached the daily budget; callers switch to cheaper paths when it has
+const isOverBudget = async () => {
+  if (!DAILY_BUDGET_USD) return false;
+
+  try {
+    return await getTodaySpend() >= DAILY_BUDGET_USD;
+  } catch (error) {
+    // A failed spend lookup should not take the assistant down
+    logger.error('Error checking LLM budget:', error);
+    return false;
+  }
+};
+
+const getBudgetStatus = async () => {
+  const spentUsd = await getTodaySpend();
+
+  return {
+    date: getUsageDate(),
+    dailyBudgetUsd: DAILY_BUDGET_USD || null,
+    spentUsd,
+    remainingUsd: DAILY_BUDGET_USD ? Math.max(DAILY_BUDGET_USD - spentUsd, 0) : null,
+    overBudget: DAILY_BUDGET_USD ? spentUsd >= DAILY_BUDGET_USD : false
+  };
+};
+
+const TOTAL_FIELDS = ['calls', 'promptTokens', 'completionTokens', 'cachedTokens', 'totalTokens', 'audioSeconds', 'costUsd'];
+
+// Add the totals of an aggregate (and of its breakdown maps) into a running sum
+const addTotals = (sum, data) => {
+  TOTAL_FIELDS.forEach(field => {
+    sum[field] = (sum[field] || 0) + (data[field] || 0);
+  });
+  return sum;
+};
+
+const mergeBreakdown = (target, breakdown = {}) => {
+  Object.keys(breakdown).forEach(key => {
+    target[key] = addTotals(target[key] || {}, breakdown[key]);
+  });
+  return target;
+};
+
+const serializeAggregate = (data) => {
+  const { lastUpdated, ...aggregate } = data;
+  return aggregate;
+};
+
+// Spend between two usage days (inclusive), overall or for one citizen
+// since/until: 'YYYY-MM-DD'
+const getCostReport = async ({ since, until, whatsappNumber = null, topCitizens = 10, maxCitizenRecords = 5000 }) => {
+  try {
+    const totals = addTotals({}, {});
+    const stages = {};
+    const models = {};
+    let days = [];
+    let citizens = null;
+
+    if (whatsappNumber) {
+      const citizenSnapshot = await db.collectionGroup('citizenUsage')
+        .where('whatsappNumber', '==', whatsappNumber)
+        .where('date', '>=', since)
+        .where('date', '<=', until)
+        .get();
+
+      citizenSnapshot.forEach(doc => days.push(serializeAggregate(doc.data())));
+    } else {
+      const daysSnapshot = await usageDailyCollection
+        .where('date', '>=', since)
+        .where('date', '<=', until)
+        .get();
+
+      daysSnapshot.forEach(doc => days.push(serializeAggregate(doc.data())));
+
+      // Biggest spenders over the period
+      const citizenSnapshot = await db.collectionGroup('citizenUsage')
+        .where('date', '>=', since)
+        .where('date', '<=', until)
+        .limit(maxCitizenRecords)
+        .get();
+
+      const perCitizen = {};
+      citizenSnapshot.forEach(doc => {
+        const data = doc.data();
+        perCitizen[data.whatsappNumber] = addTotals(perCitizen[data.whatsappNumber] || { whatsappNumber: data.whatsappNumber }, data);
+      });
+
+      citizens = Object.values(perCitizen)
+        .sort((a, b) => b.costUsd - a.costUsd)
+        .slice(0, topCitizens);
+    }
+
+    days = days.sort((a, b) => a.date.localeCompare(b.date));
+    days.forEach(day => {
+      addTotals(totals, day);
+      mergeBreakdown(stages, day.stages);
+      mergeBreakdown(models, day.models);
+    });
+
+    return {
+      since,
+      until,
+      whatsappNumber,
+      totals,
+      stages,
+      models: whatsappNumber ? null : models,
+      days,
+      topCitizens: citizens
+    };
+  } catch (error) {
+    logger.error('Error building cost report:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  PRICING,
+  getUsageDate,
+  calculateCost,
+  recordUsage,
+  isOverBudget,
+  getBudgetStatus,
+  getCostReport
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { db, admin } = require('../config/firebase');
+const consentService = require('./consentService');
 
 // Configure WhatsApp API client with enhanced configuration
 const whatsappClient = axios.create({
@@ -61,6 +62,24 @@ const metricsCollection = db.collection('messageMetrics');
 // Rate limiting variables
 const MESSAGE_LIMIT = 1000; // Messages per hour (WhatsApp Business API limit)
 const INTERACTIVE_MESSAGE_LIMIT = 100; // Interactive messages per hour
+const TEMPLATE_MESSAGE_LIMIT = parseInt(process.env.TEMPLATE_MESSAGE_LIMIT, 10) || 1000; // Template messages per hour
+
+// Failed delivery handling (retry or template fallback)
+const DELIVERY_FAILURE_CONFIG = {
+  maxRetries: parseInt(process.env.WHATSAPP_DELIVERY_MAX_RETRIES || '1', 10),
+  retryableErrorCodes: [130429, 131000, 131016, 131026, 131048, 131056],
+  templateFallbackErrorCodes: [131047], // Re-engagement: more than 24 hours since the citizen's last message
+  fallbackTemplateName: process.env.WHATSAPP_FALLBACK_TEMPLATE || null,
+  fallbackTemplateLanguage: process.env.WHATSAPP_FALLBACK_TEMPLATE_LANGUAGE || 'en'
+};
+
+// Order of delivery statuses (status callbacks can arrive out of order)
+const DELIVERY_STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
 
 // Fetch WhatsApp profile information with enhanced error handling
 const getWhatsAppProfile = async (phoneNumber) => {
@@ -129,10 +148,25 @@ const getBusinessPhoneInfo = async () => {
   }
 };
 
+// Opted-out citizens get nothing except the confirmation of their own STOP request (options.consentNotice)
+const isSuppressed = async (recipientNumber, messageType, options = {}) => {
+  if (options.consentNotice || !recipientNumber) return false;
+
+  if (await consentService.isOptedOut(cleanPhoneNumber(recipientNumber))) {
+    logger.info(`Suppressed ${messageType} message to opted-out citizen ${recipientNumber}`);
+    return true;
+  }
+  return false;
+};
+
 // Send text message through WhatsApp API with enhanced features
 const sendMessage = async (phoneNumberId, recipientNumber, message, options = {}) => {
   try {
     const startTime = Date.now();
+
+    if (await isSuppressed(recipientNumber, 'text', options)) {
+      return { success: false, suppressed: true };
+    }
     
     // Check rate limit
     if (!await checkRateLimit('text')) {
@@ -182,6 +216,16 @@ const sendMessage = async (phoneNumberId, recipientNumber, message, options = {}
         part: i + 1,
         totalParts: messages.length
       });
+
+      await trackOutgoingMessage(response.data.messages?.[0]?.id, {
+        phoneNumberId,
+        recipient: cleanRecipient,
+        type: 'text',
+        content: { text: messagePart },
+        language: options.language || null,
+        retryOf: options.retryOf || null,
+        attempt: options.attempt || 0
+      });
       
       // Small delay between parts to maintain order
       if (messages.length > 1 && i < messages.length - 1) {
@@ -224,6 +268,10 @@ const sendMessage = async (phoneNumberId, recipientNumber, message, options = {}
 const sendInteractiveMessage = async (phoneNumberId, recipientNumber, interactiveData, options = {}) => {
   try {
     const startTime = Date.now();
+
+    if (await isSuppressed(recipientNumber, 'interactive', options)) {
+      return { success: false, suppressed: true };
+    }
     
     // Check rate limit for interactive messages
     if (!await checkRateLimit('interactive')) {
@@ -266,6 +314,16 @@ const sendInteractiveMessage = async (phoneNumberId, recipientNumber, interactiv
       type: 'interactive',
       interactiveType: interactiveData.type
     };
+
+    await trackOutgoingMessage(messageResult.messageId, {
+      phoneNumberId,
+      recipient: cleanRecipient,
+      type: 'interactive',
+      content: { interactive: interactiveData },
+      language: options.language || null,
+      retryOf: options.retryOf || null,
+      attempt: options.attempt || 0
+    });
     
     // Log interactive message
     await logMessageSent(recipientNumber, JSON.stringify(interactiveData).length, 'outgoing', {
@@ -295,8 +353,20 @@ const sendInteractiveMessage = async (phoneNumberId, recipientNumber, interactiv
 };
 
 // Send template message (for notifications)
-const sendTemplateMessage = async (phoneNumberId, recipientNumber, templateData) => {
+const sendTemplateMessage = async (phoneNumberId, recipientNumber, templateData, options = {}) => {
   try {
+    if (await isSuppressed(recipientNumber, 'template', options)) {
+      return { success: false, suppressed: true };
+    }
+
+    // Check rate limit for template messages
+    if (!await checkRateLimit('template')) {
+      logger.warn(`Template message rate limit exceeded for ${recipientNumber}`);
+      const rateLimitError = new Error('Template message rate limit exceeded');
+      rateLimitError.code = 'RATE_LIMITED';
+      throw rateLimitError;
+    }
+
     const cleanRecipient = cleanPhoneNumber(recipientNumber);
     
     const messagePayload = {
@@ -308,6 +378,17 @@ const sendTemplateMessage = async (phoneNumberId, recipientNumber, templateData)
     };
     
     const response = await whatsappClient.post(`/${phoneNumberId}/messages`, messagePayload);
+
+    await trackOutgoingMessage(response.data.messages?.[0]?.id, {
+      phoneNumberId,
+      recipient: cleanRecipient,
+      type: 'template',
+      content: { template: templateData },
+      language: templateData.language?.code || null,
+      campaignId: options.campaignId || null,
+      retryOf: options.retryOf || null,
+      attempt: options.attempt || 0
+    });
     
     logger.info(`Template message sent to ${recipientNumber}`);
     return {
@@ -317,7 +398,9 @@ const sendTemplateMessage = async (phoneNumberId, recipientNumber, templateData)
     
   } catch (error) {
     logger.error('Error sending template message:', error.response?.data || error.message);
-    throw new Error(`Failed to send template message: ${error.message}`);
+    const sendError = new Error(`Failed to send template message: ${error.message}`);
+    sendError.code = error.code || error.response?.data?.error?.code || null;
+    throw sendError;
   }
 };
 
@@ -368,8 +451,12 @@ const cleanPhoneNumber = (phoneNumber) => {
 // Check and enforce rate limits using Firestore with separate limits
 const checkRateLimit = async (messageType = 'text') => {
   try {
-    const limitKey = messageType === 'interactive' ? 'interactiveRateLimit' : 'textRateLimit';
-    const limit = messageType === 'interactive' ? INTERACTIVE_MESSAGE_LIMIT : MESSAGE_LIMIT;
+    const limits = {
+      text: { key: 'textRateLimit', limit: MESSAGE_LIMIT },
+      interactive: { key: 'interactiveRateLimit', limit: INTERACTIVE_MESSAGE_LIMIT },
+      template: { key: 'templateRateLimit', limit: TEMPLATE_MESSAGE_LIMIT }
+    };
+    const { key: limitKey, limit } = limits[messageType] || limits.text;
     
     const rateLimitRef = metricsCollection.doc(limitKey);
     const rateLimitDoc = await rateLimitRef.get();
@@ -412,6 +499,222 @@ const checkRateLimit = async (messageType = 'text') => {
   }
 };
 
+// Record an outgoing message so delivery status callbacks can be matched to it
+const trackOutgoingMessage = async (messageId, details) => {
+  if (!messageId) return;
+
+  try {
+    await metricsCollection.doc('messages').collection('lifecycle').doc(messageId).set({
+      messageId,
+      ...details,
+      status: 'accepted',
+      statusHistory: [],
+      retryCount: 0,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      date: getCurrentDate()
+    }, { merge: true });
+  } catch (error) {
+    logger.error(`Error tracking outgoing message ${messageId}:`, error);
+  }
+};
+
+// Process delivery status callbacks (value.statuses) from the webhook
+const processStatusUpdates = async (statuses = []) => {
+  for (const statusUpdate of statuses) {
+    await processStatusUpdate(statusUpdate);
+  }
+};
+
+// Persist a single sent/delivered/read/failed status against the outgoing message
+const processStatusUpdate = async (statusUpdate) => {
+  try {
+    const { id: messageId, status, recipient_id: recipientId } = statusUpdate;
+
+    if (!messageId || !DELIVERY_STATUS_RANK[status]) {
+      logger.warn(`Ignoring unknown status update: ${JSON.stringify(statusUpdate)}`);
+      return;
+    }
+
+    const lifecycleRef = metricsCollection.doc('messages').collection('lifecycle').doc(messageId);
+    const statusTimestamp = statusUpdate.timestamp
+      ? new Date(parseInt(statusUpdate.timestamp, 10) * 1000).toISOString()
+      : new Date().toISOString();
+    const error = statusUpdate.errors?.[0] || null;
+
+    // Read, duplicate check and update in one transaction: Meta may deliver the same callback twice at once
+    const { lifecycle, recorded } = await db.runTransaction(async (transaction) => {
+      const lifecycleDoc = await transaction.get(lifecycleRef);
+      const lifecycle = lifecycleDoc.exists ? lifecycleDoc.data() : null;
+
+      if (!lifecycle) {
+        return { lifecycle: null, recorded: false };
+      }
+
+      // Ignore duplicate callbacks for a status already recorded
+      if (lifecycle.statusHistory?.some(entry => entry.status === status)) {
+        return { lifecycle, recorded: false };
+      }
+
+      const currentRank = DELIVERY_STATUS_RANK[lifecycle.status] || 0;
+      const updateData = {
+        messageId,
+        recipient: lifecycle.recipient || recipientId,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          status,
+          timestamp: statusTimestamp,
+          errorCode: error?.code || null
+        }),
+        [`${status}At`]: statusTimestamp,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (DELIVERY_STATUS_RANK[status] > currentRank) {
+        updateData.status = status;
+      }
+
+      if (error) {
+        updateData.error = {
+          code: error.code,
+          title: error.title || null,
+          message: error.message || error.error_data?.details || null
+        };
+      }
+
+      if (statusUpdate.conversation) {
+        updateData.conversation = {
+          id: statusUpdate.conversation.id,
+          category: statusUpdate.conversation.origin?.type || null
+        };
+      }
+
+      transaction.set(lifecycleRef, updateData, { merge: true });
+      return { lifecycle, recorded: true };
+    });
+
+    // Untracked message (e.g. its citizen's data was erased): count the status but keep no record
+    if (!lifecycle) {
+      await logDeliveryStatus(status);
+      logger.debug(`Status ${status} for untracked message ${messageId}`);
+      return;
+    }
+
+    if (!recorded) {
+      logger.debug(`Duplicate ${status} status for message ${messageId}`);
+      return;
+    }
+
+    await logDeliveryStatus(status, lifecycle.date);
+
+    logger.info(`Message ${messageId} to ${recipientId}: ${status}${error ? ` (error ${error.code})` : ''}`);
+
+    // Only the call that recorded the failure retries it
+    if (status === 'failed') {
+      await handleFailedDelivery(messageId, lifecycle, error);
+    }
+  } catch (error) {
+    logger.error('Error processing status update:', error);
+  }
+};
+
+// Retry a failed delivery or fall back to a template message
+const handleFailedDelivery = async (messageId, lifecycle, deliveryError) => {
+  try {
+    const errorCode = deliveryError?.code;
+    const attempt = (lifecycle.attempt || 0) + 1;
+    const lifecycleRef = metricsCollection.doc('messages').collection('lifecycle').doc(messageId);
+
+    if (DELIVERY_FAILURE_CONFIG.templateFallbackErrorCodes.includes(errorCode)) {
+      if (!DELIVERY_FAILURE_CONFIG.fallbackTemplateName || lifecycle.type === 'template') {
+        logger.warn(`No template fallback available for failed message ${messageId} (error ${errorCode})`);
+        return;
+      }
+
+      const result = await sendTemplateMessage(lifecycle.phoneNumberId, lifecycle.recipient, {
+        name: DELIVERY_FAILURE_CONFIG.fallbackTemplateName,
+        language: { code: lifecycle.language || DELIVERY_FAILURE_CONFIG.fallbackTemplateLanguage }
+      }, { retryOf: messageId, attempt });
+
+      await lifecycleRef.set({
+        recovery: { action: 'template_fallback', messageId: result.messageId, at: new Date().toISOString() }
+      }, { merge: true });
+
+      logger.info(`Sent template fallback ${result.messageId} for failed message ${messageId}`);
+      return;
+    }
+
+    if (!DELIVERY_FAILURE_CONFIG.retryableErrorCodes.includes(errorCode) || attempt > DELIVERY_FAILURE_CONFIG.maxRetries) {
+      logger.warn(`Not retrying failed message ${messageId} (error ${errorCode}, attempt ${attempt})`);
+      return;
+    }
+
+    let result;
+    switch (lifecycle.type) {
+      case 'text':
+        result = await sendMessage(lifecycle.phoneNumberId, lifecycle.recipient, lifecycle.content.text, {
+          retryOf: messageId,
+          attempt,
+          language: lifecycle.language
+        });
+        break;
+      case 'interactive':
+        result = await sendInteractiveMessage(lifecycle.phoneNumberId, lifecycle.recipient, lifecycle.content.interactive, {
+          retryOf: messageId,
+          attempt,
+          language: lifecycle.language
+        });
+        break;
+      case 'template':
+        result = await sendTemplateMessage(lifecycle.phoneNumberId, lifecycle.recipient, lifecycle.content.template, {
+          retryOf: messageId,
+          attempt,
+          campaignId: lifecycle.campaignId || null
+        });
+        break;
+      default:
+        return;
+    }
+
+    await lifecycleRef.set({
+      retryCount: admin.firestore.FieldValue.increment(1),
+      recovery: { action: 'retry', attempt, at: new Date().toISOString(), result: !!result?.success }
+    }, { merge: true });
+
+    logger.info(`Retried failed message ${messageId} (attempt ${attempt})`);
+  } catch (error) {
+    logger.error(`Error handling failed delivery for ${messageId}:`, error);
+  }
+};
+
+// Update daily delivery counters and delivery rate
+// Status callbacks have their own counters (statusSent, statusDelivered, ...): messagesSent is
+// already counted by logMessageSent when the API accepts a message, and stays the rate base
+const logDeliveryStatus = async (status, sentDate = null) => {
+  try {
+    const currentDate = sentDate || getCurrentDate();
+    const dailyStatsRef = metricsCollection.doc(`daily_${currentDate}`);
+
+    await dailyStatsRef.set({
+      [`status${status.charAt(0).toUpperCase()}${status.slice(1)}`]: admin.firestore.FieldValue.increment(1),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      date: currentDate
+    }, { merge: true });
+
+    const dailyStats = (await dailyStatsRef.get()).data() || {};
+    const sentCount = dailyStats.messagesSent || 0;
+
+    if (sentCount > 0) {
+      await dailyStatsRef.set({
+        deliveryRate: Math.min(1, (dailyStats.statusDelivered || 0) / sentCount),
+        readRate: Math.min(1, (dailyStats.statusRead || 0) / sentCount),
+        failureRate: Math.min(1, (dailyStats.statusFailed || 0) / sentCount)
+      }, { merge: true });
+    }
+  } catch (error) {
+    logger.error('Error logging delivery status metrics:', error);
+  }
+};
+
 // Log successful message delivery
 const logMessageSent = async (recipientNumber, messageLength, direction = 'outgoing', metadata = {}) => {
   try {
@@ -601,17 +904,49 @@ const splitLongMessage = (message) => {
   return parts;
 };
 
-// Get message delivery status
+// Get message delivery status (recorded from status webhooks)
 const getMessageStatus = async (messageId) => {
   try {
-    const response = await whatsappClient.get(`/${messageId}`);
-    return response.data;
+    const lifecycleDoc = await metricsCollection.doc('messages').collection('lifecycle').doc(messageId).get();
+    return lifecycleDoc.exists ? lifecycleDoc.data() : null;
   } catch (error) {
-    logger.error('Error getting message status:', error.response?.data || error.message);
+    logger.error('Error getting message status:', error);
     return null;
   }
 };
 
+// Download media (e.g. voice notes) sent by a citizen
+const downloadMedia = async (mediaId) => {
+  try {
+    // Resolve the short-lived media URL first
+    const mediaInfo = await whatsappClient.get(`/${mediaId}`);
+    const { url, mime_type: mimeType, file_size: fileSize } = mediaInfo.data;
+
+    if (!url) {
+      throw new Error(`No download URL for media ${mediaId}`);
+    }
+
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        'User-Agent': 'ZP-Pune-Bot/2.0'
+      },
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+
+    logger.info(`Downloaded media ${mediaId} (${mimeType}, ${fileSize || response.data.byteLength} bytes)`);
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: mimeType || response.headers['content-type'],
+      fileSize: fileSize || response.data.byteLength
+    };
+  } catch (error) {
+    logger.error(`Error downloading media ${mediaId}:`, error.response?.data || error.message);
+    throw new Error(`Failed to download media: ${error.message}`);
+  }
+};
+
 // Cleanup old cache entries
 const cleanupCache = async () => {
   try {
@@ -636,7 +971,7 @@ const cleanupCache = async () => {
 };
 
 // Run cache cleanup every hour
-setInterval(cleanupCache, 3600000);
+setInterval(cleanupCache, 3600000).unref();
 
 // Export all functions
 module.exports = {
@@ -647,6 +982,8 @@ module.exports = {
   getWhatsAppProfile,
   getBusinessPhoneInfo,
   getMessageStatus,
+  processStatusUpdates,
+  downloadMedia,
   cleanPhoneNumber,
   splitLongMessage
 };
\ No newline at end of file
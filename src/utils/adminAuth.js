@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Parse ADMIN_API_KEYS ("name:key,name:key") into staff identities
+const parseAdminKeys = (value) => {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return separator > 0
+        ? { name: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() }
+        : null;
+    })
+    .filter(entry => entry && entry.name && entry.key);
+};
+
+// Constant-time key comparison
+const keysMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Read the API key from "Authorization: Bearer <key>" or "X-Admin-Key"
+const getRequestKey = (req) => {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return (req.get('x-admin-key') || '').trim();
+};
+
+// Express middleware allowing only ZP staff with a configured API key
+const requireAdminAuth = (options = {}) => {
+  const adminKeys = options.keys || parseAdminKeys(process.env.ADMIN_API_KEYS);
+
+  if (adminKeys.length === 0) {
+    logger.error('ADMIN_API_KEYS is not set; all admin API requests will be rejected');
+  }
+
+  return (req, res, next) => {
+    const requestKey = getRequestKey(req);
+    const admin = requestKey ? adminKeys.find(entry => keysMatch(entry.key, requestKey)) : null;
+
+    if (!admin) {
+      logger.warn(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+    }
+
+    req.adminUser = { name: admin.name };
+    logger.info(`Admin ${admin.name}: ${req.method} ${req.originalUrl}`);
+    return next();
+  };
+};
+
+module.exports = {
+  requireAdminAuth,
+  parseAdminKeys
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Bundled approximate boundaries of Pune district and its 13 talukas (GeoJSON, [lng, lat]).
+// An official Survey of India or OpenStreetMap export can be used instead via PUNE_BOUNDARY_GEOJSON_PATH.
+const DEFAULT_BOUNDARY_PATH = path.join(__dirname, '../../data/puneBoundaries.geojson');
+
+// OpenStreetMap admin levels in India: 5 = district, 6 = taluka (sub-district)
+const OSM_ADMIN_LEVELS = { 5: 'district', 6: 'taluka' };
+
+// Our feature properties ({ level, name, nameMr }) from bundled or OSM-style properties
+const normalizeFeature = (feature) => {
+  const properties = feature.properties || {};
+
+  return {
+    ...feature,
+    properties: {
+      level: properties.level || OSM_ADMIN_LEVELS[properties.admin_level] || null,
+      name: properties['name:en'] || properties.name,
+      nameMr: properties.nameMr || properties['name:mr'] || null
+    }
+  };
+};
+
+const loadBoundaries = () => {
+  const boundaryPath = process.env.PUNE_BOUNDARY_GEOJSON_PATH || DEFAULT_BOUNDARY_PATH;
+  const geojson = JSON.parse(fs.readFileSync(boundaryPath, 'utf8'));
+  const features = geojson.features.map(normalizeFeature);
+
+  const district = features.find(feature => feature.properties.level === 'district');
+  const talukas = features.filter(feature => feature.properties.level === 'taluka');
+
+  if (!district || talukas.length === 0) {
+    throw new Error(`Boundary file ${boundaryPath} needs a district feature and taluka features`);
+  }
+
+  // Where the polygons come from, recorded in the file's "source" member
+  const source = {
+    name: geojson.source?.name || 'unknown',
+    official: geojson.source?.official === true,
+    path: boundaryPath
+  };
+
+  logger.info(`Loaded Pune boundaries: district + ${talukas.length} talukas (source: ${source.name})`);
+  if (!source.official) {
+    logger.warn('Pune boundaries are not from an official survey; taluka assignment near borders may be wrong');
+  }
+
+  return { district, talukas, source };
+};
+
+const { district, talukas, source } = loadBoundaries();
+
+// Ray casting test for a point against one linear ring
+const isPointInRing = (lng, lat, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Polygon / MultiPolygon containment (outer ring minus holes)
+const isPointInGeometry = (lng, lat, geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons.some(([outerRing, ...holes]) =>
+    isPointInRing(lng, lat, outerRing) && !holes.some(hole => isPointInRing(lng, lat, hole))
+  );
+};
+
+const isValidPoint = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng);
+
+// Whether a point lies inside Pune district
+const isInPuneDistrict = (lat, lng) => {
+  return isValidPoint(lat, lng) && isPointInGeometry(lng, lat, district.geometry);
+};
+
+// Taluka containing a point, or null when outside every taluka
+const findTaluka = (lat, lng) => {
+  if (!isValidPoint(lat, lng)) {
+    return null;
+  }
+
+  const taluka = talukas.find(feature => isPointInGeometry(lng, lat, feature.geometry));
+  return taluka ? { name: taluka.properties.name, nameMr: taluka.properties.nameMr } : null;
+};
+
+// Provenance of the loaded boundaries: { name, official, path }
+const getBoundarySource = () => ({ ...source });
+
+module.exports = {
+  isInPuneDistrict,
+  findTaluka,
+  isPointInGeometry,
+  getBoundarySource
+};
@@ -1,14 +1,5 @@
 const langdetect = require('langdetect');
 const logger = require('./logger');
-let openaiService;
-
-// Import openaiService lazily to avoid circular dependencies
-const getOpenAIService = () => {
-  if (!openaiService) {
-    openaiService = require('../services/openaiService');
-  }
-  return openaiService;
-};
 
 // Map language codes to our supported languages
 const mapLanguageCode = (code) => {
@@ -32,19 +23,17 @@ const detectWithLibrary = (text) => {
   return null;
 };
 
-// Detect language from text using multiple methods
+// Detect language from text without an AI call (the turn planner refines it for AI replies)
 const detectLanguage = async (text) => {
   try {
-    // First try with the library (faster)
+    // First try with the library
     const libraryDetection = detectWithLibrary(text);
     if (libraryDetection) {
       return libraryDetection;
     }
     
-    // If library fails, use OpenAI (more accurate but slower)
-    const openAIService = getOpenAIService();
-    const openaiDetection = await openAIService.detectMessageLanguage(text);
-    return openaiDetection;
+    // Short or mixed messages: Devanagari script means Marathi
+    return /[\u0900-\u097F]/.test(text) ? 'mr' : 'en';
   } catch (error) {
     logger.error('Error detecting language:', error);
     return 'en';  // Default to English in case of errors
@@ -0,0 +1,143 @@
+// Script-independent village name keys: "पिरंगुट", "Pirangut" and "Pirangoot" all become "pirangut"
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u',
+  'ऋ': 'ru', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ru',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+
+const containsDevanagari = (text) => DEVANAGARI_PATTERN.test(text || '');
+
+// Split Devanagari text into syllables: { consonant, vowel, inherent, suffix } or raw text
+const toSyllables = (text) => {
+  const chars = Array.from((text || '').normalize('NFC'));
+  const syllables = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const previous = syllables[syllables.length - 1];
+
+    if (CONSONANTS[char]) {
+      const syllable = { consonant: CONSONANTS[char], vowel: 'a', inherent: true, suffix: '' };
+
+      let next = chars[i + 1];
+      if (next === NUKTA) {
+        i++;
+        next = chars[i + 1];
+      }
+
+      if (VOWEL_SIGNS[next]) {
+        syllable.vowel = VOWEL_SIGNS[next];
+        syllable.inherent = false;
+        i++;
+      } else if (next === VIRAMA) {
+        syllable.vowel = '';
+        syllable.inherent = false;
+        i++;
+      }
+
+      syllables.push(syllable);
+    } else if (VOWELS[char]) {
+      syllables.push({ consonant: '', vowel: VOWELS[char], inherent: false, suffix: '' });
+    } else if ((NASALS.includes(char) || char === VISARGA) && previous?.consonant !== undefined) {
+      // A nasal or visarga keeps the syllable's vowel
+      previous.suffix += char === VISARGA ? 'h' : 'n';
+      previous.inherent = false;
+    } else if (!VOWEL_SIGNS[char] && char !== VIRAMA && char !== NUKTA) {
+      syllables.push({ raw: char });
+    }
+  }
+
+  return syllables;
+};
+
+const hasVowel = (syllable) => syllable && syllable.raw === undefined && syllable.vowel !== '';
+
+// Transliterate Devanagari to lowercase Latin (phonetic, not a formal scheme)
+// Inherent vowels are dropped at word ends and in the usual Marathi medial position
+// (vowel + consonant + [a] + consonant + vowel): पिरंगुट -> pirangut, किरकटवाडी -> kirkatvadi
+const devanagariToLatin = (text) => {
+  const syllables = toSyllables(text);
+
+  for (let i = syllables.length - 1; i >= 0; i--) {
+    const syllable = syllables[i];
+    if (!syllable.inherent) continue;
+
+    const previous = syllables[i - 1];
+    const next = syllables[i + 1];
+    const afterNext = syllables[i + 2];
+    const isWordEnd = !next || next.raw !== undefined;
+    const nextIsWordEnd = !afterNext || afterNext.raw !== undefined;
+
+    if (isWordEnd && previous && previous.raw === undefined) {
+      syllable.vowel = '';
+    } else if (hasVowel(previous) && hasVowel(next) && (!nextIsWordEnd || !next.inherent)) {
+      syllable.vowel = '';
+    }
+  }
+
+  return syllables
+    .map(syllable => syllable.raw !== undefined ? syllable.raw : syllable.consonant + syllable.vowel + syllable.suffix)
+    .join('')
+    .toLowerCase();
+};
+
+// Fold common Latin spelling variants of Marathi names onto one form
+const foldLatinSpelling = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/w/g, 'v')
+    .replace(/aa+/g, 'a')
+    .replace(/(ee|ii)+/g, 'i')
+    .replace(/(oo|uu)+/g, 'u')
+    .replace(/z|jh/g, 'j')
+    .replace(/x/g, 'ksh')
+    .replace(/f/g, 'ph')
+    .replace(/m(?=[bp])/g, 'n')
+    .replace(/gaon\b/g, 'gav')
+    .replace(/(.)\1+/g, '$1');
+};
+
+// Normalized comparison key for a village name in either script
+const normalizeVillageKey = (name) => {
+  const text = (name || '').normalize('NFC').trim();
+  const latin = containsDevanagari(text) ? devanagariToLatin(text) : text.toLowerCase();
+
+  return foldLatinSpelling(latin.replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim())
+    .replace(/\s+/g, '');
+};
+
+// Key without non-initial "a" vowels, so schwa spellings match: खडकवासला / Khadakwasla -> khdkvsl
+const villageSkeletonKey = (name) => {
+  const key = normalizeVillageKey(name);
+  return key.charAt(0) + key.slice(1).replace(/a/g, '');
+};
+
+module.exports = {
+  devanagariToLatin,
+  foldLatinSpelling,
+  normalizeVillageKey,
+  villageSkeletonKey,
+  containsDevanagari
+};
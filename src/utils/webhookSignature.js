@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+// At most one rejection event document per reason in this interval; the daily counter still counts every request
+const REJECTION_EVENT_INTERVAL_MS = parseInt(process.env.WEBHOOK_REJECTION_EVENT_INTERVAL_MS || '60000', 10);
+
+let metricsCollection;
+let admin;
+
+// Load Firestore lazily so signature checks can run without Firebase (e.g. in tests)
+const getMetrics = () => {
+  if (!metricsCollection) {
+    const firebase = require('../config/firebase');
+    admin = firebase.admin;
+    metricsCollection = firebase.db.collection('messageMetrics');
+  }
+  return { metricsCollection, admin };
+};
+
+// body-parser `verify` hook that keeps the exact bytes Meta signed
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Compute the expected X-Hub-Signature-256 header value for a payload
+const computeSignature = (rawBody, appSecret) => {
+  return SIGNATURE_PREFIX + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+};
+
+// Constant-time comparison of a received signature header with the payload HMAC
+const isValidSignature = (rawBody, signatureHeader, appSecret) => {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, appSecret));
+  const received = Buffer.from(String(signatureHeader));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Per reason: when the last event document was written and how many rejections it has not recorded since
+const rejectionEvents = new Map();
+
+// Count rejected webhook requests in the daily metrics, with a sampled event document per reason
+const logRejectedWebhook = async (req, reason) => {
+  try {
+    const { metricsCollection, admin } = getMetrics();
+    const date = new Date();
+    const currentDate = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+    const writes = [metricsCollection.doc(`daily_${currentDate}`).set({
+      webhookRejections: admin.firestore.FieldValue.increment(1),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      date: currentDate
+    }, { merge: true })];
+
+    const now = Date.now();
+    const lastEvent = rejectionEvents.get(reason);
+
+    if (lastEvent && now - lastEvent.loggedAt < REJECTION_EVENT_INTERVAL_MS) {
+      lastEvent.skipped++;
+    } else {
+      rejectionEvents.set(reason, { loggedAt: now, skipped: 0 });
+
+      writes.push(metricsCollection.doc('security').collection('webhookRejections').add({
+        reason,
+        ip: req.ip || null,
+        userAgent: req.get('user-agent') || null,
+        // Rejections with this reason since the previous event document that got none of their own
+        skippedSinceLast: lastEvent?.skipped || 0,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        date: currentDate
+      }));
+    }
+
+    await Promise.all(writes);
+  } catch (error) {
+    logger.error('Error logging rejected webhook:', error);
+  }
+};
+
+// Express middleware rejecting webhook POSTs not signed with the app secret
+const verifyWebhookSignature = (options = {}) => {
+  const appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+  const skipVerification = options.skip ?? process.env.SKIP_WEBHOOK_SIGNATURE_VERIFICATION === 'true';
+  const onRejected = options.onRejected || logRejectedWebhook;
+
+  if (skipVerification) {
+    logger.warn('Webhook signature verification is DISABLED');
+  } else if (!appSecret) {
+    logger.error('WHATSAPP_APP_SECRET is not set; all webhook POSTs will be rejected');
+  }
+
+  return (req, res, next) => {
+    if (skipVerification) {
+      return next();
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    let reason = null;
+
+    if (!appSecret) {
+      reason = 'app_secret_not_configured';
+    } else if (!signature) {
+      reason = 'missing_signature';
+    } else if (!req.rawBody) {
+      reason = 'missing_raw_body';
+    } else if (!isValidSignature(req.rawBody, signature, appSecret)) {
+      reason = 'invalid_signature';
+    }
+
+    if (reason) {
+      logger.warn(`Rejected webhook request from ${req.ip}: ${reason}`);
+      res.sendStatus(401);
+
+      // Recorded after answering, so unsigned traffic does not wait on Firestore
+      Promise.resolve()
+        .then(() => onRejected(req, reason))
+        .catch(error => logger.error('Error recording rejected webhook:', error));
+      return;
+    }
+
+    return next();
+  };
+};
+
+module.exports = {
+  captureRawBody,
+  computeSignature,
+  isValidSignature,
+  logRejectedWebhook,
+  verifyWebhookSignature
+};
@@ -0,0 +1,146 @@
+// Every instance loaded below shares this fake Firestore, like several servers sharing one project
+const mockFirestore = require('./helpers/firestore');
+
+jest.mock('../src/config/firebase', () => mockFirestore.firebase);
+
+const firestore = mockFirestore;
+const CITIZENS = ['919800000061', '919800000062', '919800000063', '919800000064', '919800000065'];
+const CAMPAIGN_ID = 'camp_water_tax';
+
+// A separate copy of the services, as a second server would have
+const loadInstance = (instanceId) => {
+  let instance;
+  process.env.INSTANCE_ID = instanceId;
+
+  jest.isolateModules(() => {
+    const whatsappService = require('../src/services/whatsappService');
+    jest.spyOn(whatsappService, 'sendTemplateMessage').mockImplementation(async (phoneNumberId, recipientNumber) => (
+      { success: true, messageId: `wamid.${instanceId}.${recipientNumber}` }
+    ));
+
+    instance = { whatsappService, campaignService: require('../src/services/campaignService') };
+  });
+
+  return instance;
+};
+
+const sentNumbers = (...instances) => instances
+  .flatMap(instance => instance.whatsappService.sendTemplateMessage.mock.calls.map(call => call[1]))
+  .sort();
+
+const recipient = (whatsappNumber) => firestore.getDoc(`campaigns/${CAMPAIGN_ID}/recipients/${whatsappNumber}`);
+
+const previousEnv = { ...process.env };
+
+beforeAll(() => {
+  process.env.CAMPAIGN_SEND_INTERVAL_MS = '1';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  process.env = previousEnv;
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  firestore.reset();
+
+  CITIZENS.forEach(whatsappNumber => {
+    firestore.setDoc(`citizens/${whatsappNumber}`, {
+      whatsappNumber,
+      userProvidedName: 'Citizen',
+      taluka: 'Purandar',
+      village: 'Jejuri',
+      isRegistered: true
+    });
+  });
+});
+
+describe('campaigns on several instances', () => {
+  test('two instances running at once message each citizen once', async () => {
+    firestore.setDoc(`campaigns/${CAMPAIGN_ID}`, {
+      name: 'Water tax reminder',
+      template: { name: 'water_tax_reminder', language: { code: 'mr' }, components: [] },
+      audience: { taluka: 'Purandar', village: null, language: null },
+      status: 'scheduled',
+      scheduledAt: firestore.Timestamp.fromMillis(Date.now() - 1000),
+      stats: { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 }
+    });
+
+    const first = loadInstance('server-a');
+    const second = loadInstance('server-b');
+
+    await Promise.all([first.campaignService.processDueCampaigns(), second.campaignService.processDueCampaigns()]);
+    await Promise.all([first.campaignService.processDueCampaigns(), second.campaignService.processDueCampaigns()]);
+
+    expect(sentNumbers(first, second)).toEqual(CITIZENS);
+    expect(firestore.getDoc(`campaigns/${CAMPAIGN_ID}`)).toMatchObject({
+      status: 'completed',
+      stats: { total: 5, pending: 0, sent: 5, failed: 0, skipped: 0 }
+    });
+    CITIZENS.forEach(whatsappNumber => {
+      expect(recipient(whatsappNumber)).toMatchObject({ status: 'sent', leaseOwner: null });
+    });
+  });
+
+  test('recipients held by a stopped instance are sent once their lease expires', async () => {
+    firestore.setDoc(`campaigns/${CAMPAIGN_ID}`, {
+      name: 'Water tax reminder',
+      template: { name: 'water_tax_reminder', language: { code: 'mr' }, components: [] },
+      audience: { taluka: 'Purandar', village: null, language: null },
+      status: 'sending',
+      scheduledAt: firestore.Timestamp.fromMillis(Date.now() - 60000),
+      stats: { total: 2, pending: 2, sent: 0, failed: 0, skipped: 0 }
+    });
+    firestore.setDoc(`campaigns/${CAMPAIGN_ID}/recipients/${CITIZENS[0]}`, {
+      whatsappNumber: CITIZENS[0],
+      status: 'sending',
+      leaseOwner: 'server-gone',
+      leaseExpiresAt: firestore.Timestamp.fromMillis(Date.now() - 1000)
+    });
+    firestore.setDoc(`campaigns/${CAMPAIGN_ID}/recipients/${CITIZENS[1]}`, {
+      whatsappNumber: CITIZENS[1],
+      status: 'sending',
+      leaseOwner: 'server-busy',
+      leaseExpiresAt: firestore.Timestamp.fromMillis(Date.now() + 60000)
+    });
+
+    const instance = loadInstance('server-a');
+    await instance.campaignService.processDueCampaigns();
+    await instance.campaignService.processDueCampaigns();
+
+    expect(sentNumbers(instance)).toEqual([CITIZENS[0]]);
+    expect(recipient(CITIZENS[0]).status).toBe('sent');
+    expect(recipient(CITIZENS[1])).toMatchObject({ status: 'sending', leaseOwner: 'server-busy' });
+
+    // Still waiting on the recipient the other instance holds
+    expect(firestore.getDoc(`campaigns/${CAMPAIGN_ID}`).status).toBe('sending');
+  });
+
+  test('a campaign another instance is preparing is left to it, and a cancelled one is not started', async () => {
+    firestore.setDoc(`campaigns/${CAMPAIGN_ID}`, {
+      name: 'Water tax reminder',
+      template: { name: 'water_tax_reminder', language: { code: 'mr' }, components: [] },
+      audience: { taluka: 'Purandar', village: null, language: null },
+      status: 'preparing',
+      leaseOwner: 'server-b',
+      leaseExpiresAt: firestore.Timestamp.fromMillis(Date.now() + 60000),
+      scheduledAt: firestore.Timestamp.fromMillis(Date.now() - 1000),
+      stats: { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 }
+    });
+
+    const instance = loadInstance('server-a');
+    await instance.campaignService.processDueCampaigns();
+
+    expect(sentNumbers(instance)).toEqual([]);
+    expect(firestore.getDoc(`campaigns/${CAMPAIGN_ID}`).status).toBe('preparing');
+
+    await instance.campaignService.cancelCampaign(CAMPAIGN_ID, 'Officer Patil');
+    await instance.campaignService.processDueCampaigns();
+
+    expect(sentNumbers(instance)).toEqual([]);
+    expect(firestore.getDoc(`campaigns/${CAMPAIGN_ID}`).status).toBe('cancelled');
+  });
+});
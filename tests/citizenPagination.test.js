@@ -0,0 +1,61 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const express = require('express');
+const request = require('supertest');
+const firestore = require('./helpers/firestore');
+const adminController = require('../src/controllers/adminController');
+
+const CITIZENS = ['919800000081', '919800000082', '919800000083'];
+
+const createApp = () => {
+  const app = express();
+  app.get('/admin/citizens', adminController.listCitizens);
+  return app;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  firestore.reset();
+
+  // Most recently active first: 81, 82, 83
+  CITIZENS.forEach((whatsappNumber, index) => {
+    firestore.setDoc(`citizens/${whatsappNumber}`, {
+      whatsappNumber,
+      taluka: 'Purandar',
+      isRegistered: true,
+      lastActive: firestore.Timestamp.fromMillis(Date.now() - index * 60000)
+    });
+  });
+});
+
+describe('GET /admin/citizens pagination', () => {
+  test('the cursor continues after the last citizen of the previous page', async () => {
+    const firstPage = await request(createApp()).get('/admin/citizens?limit=2');
+
+    expect(firstPage.body.data.map(citizen => citizen.whatsappNumber)).toEqual(CITIZENS.slice(0, 2));
+    expect(firstPage.body.pagination.nextCursor).toBe(CITIZENS[1]);
+
+    const secondPage = await request(createApp()).get(`/admin/citizens?limit=2&cursor=${CITIZENS[1]}`);
+
+    expect(secondPage.status).toBe(200);
+    expect(secondPage.body.data.map(citizen => citizen.whatsappNumber)).toEqual([CITIZENS[2]]);
+    expect(secondPage.body.pagination.nextCursor).toBeNull();
+  });
+
+  test('a cursor whose citizen was deleted is rejected instead of restarting at page one', async () => {
+    firestore.store.delete(`citizens/${CITIZENS[1]}`);
+
+    const response = await request(createApp()).get(`/admin/citizens?limit=2&cursor=${CITIZENS[1]}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/cursor/);
+  });
+});
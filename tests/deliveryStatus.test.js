@@ -0,0 +1,123 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+// Graph API client used for retries of failed messages
+jest.mock('axios', () => {
+  const client = {
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() }, response: { use: jest.fn() } }
+  };
+  return { create: () => client };
+});
+
+const firestore = require('./helpers/firestore');
+const axios = require('axios');
+const whatsappService = require('../src/services/whatsappService');
+
+const DATE = '2026-03-02';
+const RECIPIENT = '919800000031';
+
+const statusCallback = (messageId, status, errors) => ({
+  id: messageId,
+  status,
+  recipient_id: RECIPIENT,
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  ...(errors && { errors })
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  firestore.reset();
+  axios.create().post.mockReset().mockResolvedValue({ data: { messages: [{ id: 'wamid.retry' }] } });
+
+  // Two messages accepted by the API that day (counted by logMessageSent)
+  firestore.setDoc(`messageMetrics/daily_${DATE}`, { date: DATE, messagesSent: 2 });
+  ['wamid.one', 'wamid.two'].forEach(messageId => {
+    firestore.setDoc(`messageMetrics/messages/lifecycle/${messageId}`, {
+      messageId,
+      recipient: RECIPIENT,
+      status: 'accepted',
+      statusHistory: [],
+      date: DATE,
+      type: 'text'
+    });
+  });
+});
+
+describe('delivery status counters', () => {
+  test('"sent" callbacks do not count the message as sent a second time', async () => {
+    await whatsappService.processStatusUpdates([
+      statusCallback('wamid.one', 'sent'),
+      statusCallback('wamid.two', 'sent'),
+      statusCallback('wamid.one', 'delivered'),
+      statusCallback('wamid.one', 'read')
+    ]);
+
+    expect(firestore.getDoc(`messageMetrics/daily_${DATE}`)).toMatchObject({
+      messagesSent: 2,
+      statusSent: 2,
+      statusDelivered: 1,
+      statusRead: 1,
+      deliveryRate: 0.5,
+      readRate: 0.5
+    });
+  });
+
+  test('duplicate callbacks are counted once', async () => {
+    await whatsappService.processStatusUpdates([
+      statusCallback('wamid.one', 'delivered'),
+      statusCallback('wamid.one', 'delivered')
+    ]);
+
+    const daily = firestore.getDoc(`messageMetrics/daily_${DATE}`);
+    expect(daily.statusDelivered).toBe(1);
+    expect(daily.messagesDelivered).toBeUndefined();
+  });
+
+  test('simultaneous duplicate callbacks are recorded once', async () => {
+    await Promise.all([
+      whatsappService.processStatusUpdates([statusCallback('wamid.one', 'delivered')]),
+      whatsappService.processStatusUpdates([statusCallback('wamid.one', 'delivered')])
+    ]);
+
+    expect(firestore.getDoc(`messageMetrics/daily_${DATE}`).statusDelivered).toBe(1);
+    expect(firestore.getDoc('messageMetrics/messages/lifecycle/wamid.one').statusHistory).toHaveLength(1);
+  });
+});
+
+describe('failed deliveries', () => {
+  test('a failure reported twice at once is retried once', async () => {
+    firestore.setDoc('messageMetrics/messages/lifecycle/wamid.one', {
+      messageId: 'wamid.one',
+      recipient: RECIPIENT,
+      phoneNumberId: '106540352242922',
+      status: 'sent',
+      statusHistory: [],
+      date: DATE,
+      type: 'text',
+      content: { text: 'Your certificate is ready.' }
+    });
+    const failed = statusCallback('wamid.one', 'failed', [{ code: 131000, title: 'Something went wrong' }]);
+
+    await Promise.all([
+      whatsappService.processStatusUpdates([failed]),
+      whatsappService.processStatusUpdates([failed])
+    ]);
+
+    expect(axios.create().post).toHaveBeenCalledTimes(1);
+    expect(firestore.getDoc('messageMetrics/messages/lifecycle/wamid.one')).toMatchObject({
+      status: 'failed',
+      retryCount: 1,
+      recovery: { action: 'retry', attempt: 1, result: true }
+    });
+    expect(firestore.getDoc('messageMetrics/messages/lifecycle/wamid.retry')).toMatchObject({ retryOf: 'wamid.one', attempt: 1 });
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TALUKA_COORDINATES } = require('../data/puneZpVillages');
+
+// Known places with the taluka they belong to (null = outside Pune district)
+const CHECKPOINTS = [
+  { place: 'Pune', lat: 18.5204, lng: 73.8567, taluka: 'Haveli' },
+  { place: 'Wagholi', lat: 18.5793, lng: 73.9787, taluka: 'Haveli' },
+  { place: 'Lonavala', lat: 18.7537, lng: 73.4068, taluka: 'Maval' },
+  { place: 'Talegaon Dabhade', lat: 18.7350, lng: 73.6756, taluka: 'Maval' },
+  { place: 'Paud', lat: 18.5236, lng: 73.6136, taluka: 'Mulshi' },
+  { place: 'Tamhini', lat: 18.4500, lng: 73.4300, taluka: 'Mulshi' },
+  { place: 'Baramati', lat: 18.1514, lng: 74.5815, taluka: 'Baramati' },
+  { place: 'Morgaon', lat: 18.2770, lng: 74.3200, taluka: 'Baramati' },
+  { place: 'Saswad', lat: 18.3436, lng: 74.0306, taluka: 'Purandar' },
+  { place: 'Jejuri', lat: 18.2766, lng: 74.1607, taluka: 'Purandar' },
+  { place: 'Daund', lat: 18.4648, lng: 74.5815, taluka: 'Daund' },
+  { place: 'Yavat', lat: 18.4580, lng: 74.2770, taluka: 'Daund' },
+  { place: 'Indapur', lat: 18.1167, lng: 75.0167, taluka: 'Indapur' },
+  { place: 'Walchandnagar', lat: 18.0700, lng: 74.9000, taluka: 'Indapur' },
+  { place: 'Junnar', lat: 19.2000, lng: 73.8800, taluka: 'Junnar' },
+  { place: 'Narayangaon', lat: 19.1100, lng: 74.0000, taluka: 'Junnar' },
+  { place: 'Manchar', lat: 19.0000, lng: 73.9400, taluka: 'Ambegaon' },
+  { place: 'Bhimashankar', lat: 19.0720, lng: 73.5360, taluka: 'Ambegaon' },
+  { place: 'Rajgurunagar', lat: 18.8600, lng: 73.8800, taluka: 'Khed' },
+  { place: 'Chakan', lat: 18.7600, lng: 73.8600, taluka: 'Khed' },
+  { place: 'Shirur', lat: 18.8300, lng: 74.3700, taluka: 'Shirur' },
+  { place: 'Shikrapur', lat: 18.6900, lng: 74.1300, taluka: 'Shirur' },
+  { place: 'Bhor', lat: 18.1500, lng: 73.8400, taluka: 'Bhor' },
+  { place: 'Nasarapur', lat: 18.2500, lng: 73.8800, taluka: 'Bhor' },
+  { place: 'Velhe', lat: 18.2900, lng: 73.6400, taluka: 'Velhe' },
+
+  // Inside the old lat/lng rectangle but outside Pune district
+  { place: 'Ahmednagar', lat: 19.0948, lng: 74.7480, taluka: null },
+  { place: 'Parner (Ahmednagar)', lat: 19.0000, lng: 74.4400, taluka: null },
+  { place: 'Shrigonda (Ahmednagar)', lat: 18.6200, lng: 74.7000, taluka: null },
+  { place: 'Wai (Satara)', lat: 17.9500, lng: 73.8900, taluka: null },
+  { place: 'Phaltan (Satara)', lat: 17.9900, lng: 74.4300, taluka: null },
+  { place: 'Khopoli (Raigad)', lat: 18.7890, lng: 73.3450, taluka: null },
+
+  // Outside the rectangle
+  { place: 'Mahad (Raigad)', lat: 18.0800, lng: 73.4200, taluka: null },
+  { place: 'Tembhurni (Solapur)', lat: 18.0200, lng: 75.1900, taluka: null },
+  { place: 'Satara', lat: 17.6805, lng: 74.0183, taluka: null },
+  { place: 'Murbad (Thane)', lat: 19.2500, lng: 73.3900, taluka: null }
+];
+
+// Fresh module so PUNE_BOUNDARY_GEOJSON_PATH is read again
+const loadBoundaries = (boundaryPath) => {
+  jest.resetModules();
+  if (boundaryPath) {
+    process.env.PUNE_BOUNDARY_GEOJSON_PATH = boundaryPath;
+  } else {
+    delete process.env.PUNE_BOUNDARY_GEOJSON_PATH;
+  }
+  return require('../src/utils/geoBoundaries');
+};
+
+const square = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+const previousPath = process.env.PUNE_BOUNDARY_GEOJSON_PATH;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  if (previousPath) {
+    process.env.PUNE_BOUNDARY_GEOJSON_PATH = previousPath;
+  } else {
+    delete process.env.PUNE_BOUNDARY_GEOJSON_PATH;
+  }
+  jest.restoreAllMocks();
+});
+
+describe('bundled Pune boundaries', () => {
+  let geoBoundaries;
+
+  beforeAll(() => {
+    geoBoundaries = loadBoundaries(null);
+  });
+
+  test.each(CHECKPOINTS)('$place is in $taluka', ({ lat, lng, taluka }) => {
+    expect(geoBoundaries.isInPuneDistrict(lat, lng)).toBe(taluka !== null);
+    expect(geoBoundaries.findTaluka(lat, lng)?.name || null).toBe(taluka);
+  });
+
+  // Taluka centres used by the village gazetteer must fall in their own taluka
+  test.each(Object.keys(TALUKA_COORDINATES))('%s taluka centre is inside %s', (taluka) => {
+    const { lat, lng } = TALUKA_COORDINATES[taluka];
+    expect(geoBoundaries.findTaluka(lat, lng)?.name).toBe(taluka);
+  });
+
+  test('records that the bundled outlines are not official', () => {
+    expect(geoBoundaries.getBoundarySource()).toMatchObject({ official: false });
+    expect(geoBoundaries.getBoundarySource().name).not.toBe('unknown');
+  });
+});
+
+describe('official boundary exports', () => {
+  let exportPath;
+
+  beforeAll(() => {
+    // OpenStreetMap-style properties: admin_level 5 = district, 6 = taluka
+    const geojson = {
+      type: 'FeatureCollection',
+      source: { name: 'OpenStreetMap export', official: true },
+      features: [
+        { type: 'Feature', properties: { admin_level: '5', name: 'Pune District', 'name:mr': 'पुणे जिल्हा' }, geometry: square(73, 18, 75, 19) },
+        { type: 'Feature', properties: { admin_level: '6', name: 'हवेली', 'name:en': 'Haveli', 'name:mr': 'हवेली' }, geometry: square(73, 18, 74, 19) },
+        { type: 'Feature', properties: { admin_level: '6', name: 'Daund', 'name:mr': 'दौंड' }, geometry: square(74, 18, 75, 19) }
+      ]
+    };
+    exportPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'boundaries-')), 'pune.geojson');
+    fs.writeFileSync(exportPath, JSON.stringify(geojson));
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(exportPath), { recursive: true, force: true });
+  });
+
+  test('reads OSM admin levels and English names from PUNE_BOUNDARY_GEOJSON_PATH', () => {
+    const geoBoundaries = loadBoundaries(exportPath);
+
+    expect(geoBoundaries.getBoundarySource()).toEqual({ name: 'OpenStreetMap export', official: true, path: exportPath });
+    expect(geoBoundaries.findTaluka(18.5, 73.5)).toEqual({ name: 'Haveli', nameMr: 'हवेली' });
+    expect(geoBoundaries.findTaluka(18.5, 74.5)).toEqual({ name: 'Daund', nameMr: 'दौंड' });
+    expect(geoBoundaries.isInPuneDistrict(19.5, 74.5)).toBe(false);
+  });
+
+  test('rejects a file without district and taluka features', () => {
+    fs.writeFileSync(exportPath, JSON.stringify({ type: 'FeatureCollection', features: [] }));
+
+    expect(() => loadBoundaries(exportPath)).toThrow('needs a district feature and taluka features');
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+jest.mock('axios');
+
+// Google response for one place
+const googleResult = (lat, lng, locationType = 'APPROXIMATE') => ({
+  data: {
+    status: 'OK',
+    results: [{
+      formatted_address: 'Jejuri, Maharashtra 412303, India',
+      place_id: 'place_jejuri',
+      address_components: [{ long_name: 'Jejuri', short_name: 'Jejuri', types: ['locality'] }],
+      geometry: { location: { lat, lng }, location_type: locationType }
+    }]
+  }
+});
+
+// Fresh modules (and an empty Firestore) so GOOGLE_MAPS_API_KEY is read again
+const loadGeocoding = (apiKey) => {
+  jest.resetModules();
+  process.env.GOOGLE_MAPS_API_KEY = apiKey || '';
+  const axios = require('axios');
+  return { axios, geocodingService: require('../src/services/geocodingService') };
+};
+
+const previousKey = process.env.GOOGLE_MAPS_API_KEY;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  process.env.GOOGLE_MAPS_API_KEY = previousKey || '';
+  jest.restoreAllMocks();
+});
+
+describe('geocodeVillage for villages the gazetteer only knows by taluka', () => {
+  test('keeps the gazetteer name and taluka but takes the position from Google', async () => {
+    const { axios, geocodingService } = loadGeocoding('test-key');
+    axios.get.mockResolvedValue(googleResult(18.2764, 74.1608, 'GEOMETRIC_CENTER'));
+
+    const result = await geocodingService.geocodeVillage('Jejuri');
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('gazetteer');
+    expect(result.administrative).toMatchObject({ village: 'Jejuri', taluka: 'Purandar' });
+    expect(result.coordinates).toEqual({ latitude: 18.2764, longitude: 74.1608 });
+    expect(result.locationType).toBe('GEOMETRIC_CENTER');
+    expect(axios.get.mock.calls[0][1].params.address).toContain('Purandar Taluka');
+  });
+
+  test('reuses the cached position instead of calling Google again', async () => {
+    const { axios, geocodingService } = loadGeocoding('test-key');
+    axios.get.mockResolvedValue(googleResult(18.2764, 74.1608));
+
+    await geocodingService.geocodeVillage('Jejuri');
+    const callsAfterFirstLookup = axios.get.mock.calls.length;
+    const result = await geocodingService.geocodeVillage('जेजुरी');
+
+    expect(axios.get.mock.calls.length).toBe(callsAfterFirstLookup);
+    expect(result.coordinates).toEqual({ latitude: 18.2764, longitude: 74.1608 });
+  });
+
+  test('falls back to the taluka centre when Google places the name outside Pune district', async () => {
+    const { axios, geocodingService } = loadGeocoding('test-key');
+    axios.get.mockResolvedValue(googleResult(19.9975, 73.7898));
+
+    const result = await geocodingService.geocodeVillage('Jejuri');
+
+    expect(result.coordinates).toEqual({ latitude: 18.2833, longitude: 74.0833 });
+    expect(result.locationType).toBe('GAZETTEER_TALUKA_CENTER');
+  });
+
+  test('falls back to the taluka centre without a Google API key', async () => {
+    const { axios, geocodingService } = loadGeocoding(null);
+
+    const result = await geocodingService.geocodeVillage('Jejuri');
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(result.administrative.taluka).toBe('Purandar');
+    expect(result.locationType).toBe('GAZETTEER_TALUKA_CENTER');
+  });
+
+  test('offers the talukas of an ambiguous name without geocoding it', async () => {
+    const { axios, geocodingService } = loadGeocoding('test-key');
+
+    const result = await geocodingService.geocodeVillage('Pirangut');
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(result.gazetteer.ambiguous).toBe(true);
+    expect(result.gazetteer.alternatives.map(alternative => alternative.taluka)).toEqual(expect.arrayContaining(['Haveli', 'Mulshi']));
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const express = require('express');
+const request = require('supertest');
+const firestore = require('./helpers/firestore');
+const grievanceService = require('../src/services/grievanceService');
+const adminController = require('../src/controllers/adminController');
+
+const CITIZEN = '919800000071';
+
+// Admin route as mounted in src/index.js, signed in as one officer
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.adminUser = { name: 'Officer Patil' };
+    next();
+  });
+  app.post('/admin/citizens/:whatsappNumber/grievances/:ticketId/status', adminController.updateGrievanceStatus);
+  return app;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  firestore.reset();
+  firestore.setDoc(`citizens/${CITIZEN}`, { whatsappNumber: CITIZEN, village: 'Jejuri', taluka: 'Purandar', isRegistered: true });
+  await grievanceService.fileGrievance(CITIZEN, { department: 'water_supply', description: 'No water for three days' }, { village: 'Jejuri', taluka: 'Purandar' });
+});
+
+describe('POST /admin/citizens/:whatsappNumber/grievances/:ticketId/status', () => {
+  test('records the new status with the officer and note', async () => {
+    const response = await request(createApp())
+      .post(`/admin/citizens/${CITIZEN}/grievances/grv-1/status`)
+      .send({ status: 'in_progress', note: 'Tanker sent today' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ ticketId: 'GRV-1', status: 'in_progress' });
+    expect(response.body.data.statusHistory.pop()).toMatchObject({ status: 'in_progress', note: 'Tanker sent today', changedBy: 'Officer Patil' });
+
+    // The citizen sees the note when they ask for the status
+    const grievance = await grievanceService.getGrievance(CITIZEN, 'GRV-1');
+    expect(grievanceService.getGrievanceStatusMessage(grievance, 'en')).toContain('Tanker sent today');
+  });
+
+  test('rejects an unknown status', async () => {
+    const response = await request(createApp())
+      .post(`/admin/citizens/${CITIZEN}/grievances/GRV-1/status`)
+      .send({ status: 'lost' });
+
+    expect(response.status).toBe(400);
+    expect(firestore.getDoc(`citizens/${CITIZEN}/grievances/GRV-1`).status).toBe('registered');
+  });
+
+  test('answers 404 for a ticket the citizen does not have', async () => {
+    const response = await request(createApp())
+      .post(`/admin/citizens/${CITIZEN}/grievances/GRV-99/status`)
+      .send({ status: 'resolved' });
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const firestore = require('./helpers/firestore');
+const whatsappService = require('../src/services/whatsappService');
+const citizenService = require('../src/services/citizenService');
+const handoffService = require('../src/services/handoffService');
+
+const CITIZEN = '919800000051';
+
+const threadMessages = (handoffId) => firestore.listDocs(`handoffs/${handoffId}/messages`)
+  .map(path => firestore.getDoc(path));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  firestore.reset();
+  firestore.setDoc(`citizens/${CITIZEN}`, {
+    whatsappNumber: CITIZEN,
+    userProvidedName: 'Sunita More',
+    village: 'Jejuri',
+    taluka: 'Purandar',
+    isRegistered: true
+  });
+
+  jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: true });
+  jest.spyOn(citizenService, 'saveChatMessage').mockResolvedValue(true);
+});
+
+describe('requestHandoff', () => {
+  test('simultaneous requests open a single handoff', async () => {
+    const [first, second] = await Promise.all([
+      handoffService.requestHandoff(CITIZEN, { language: 'en' }),
+      handoffService.requestHandoff(CITIZEN, { reason: 'officer_takeover', requestedBy: 'Officer Patil' })
+    ]);
+
+    expect([first.created, second.created]).toEqual([true, false]);
+    expect(second.handoff.id).toBe(first.handoff.id);
+    expect(firestore.listDocs('handoffs')).toHaveLength(1);
+    expect(firestore.getDoc(`citizens/${CITIZEN}`).handoff).toEqual({ active: true, handoffId: first.handoff.id, status: 'waiting' });
+  });
+
+  test('opens a new handoff once the previous one is closed', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+    await handoffService.closeHandoff(handoff.id, 'Officer Patil', { notifyCitizen: false });
+
+    const reopened = await handoffService.requestHandoff(CITIZEN);
+
+    expect(reopened.created).toBe(true);
+    expect(reopened.handoff.id).not.toBe(handoff.id);
+  });
+});
+
+describe('claimHandoff', () => {
+  test('another officer cannot take over a claimed handoff', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+
+    await expect(handoffService.claimHandoff(handoff.id, 'Officer Patil')).resolves.toMatchObject({ status: 'active', assignedTo: 'Officer Patil' });
+    await expect(handoffService.claimHandoff(handoff.id, 'Officer Shinde')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(handoffService.claimHandoff(handoff.id, 'Officer Patil')).resolves.toMatchObject({ assignedTo: 'Officer Patil' });
+
+    expect(firestore.getDoc(`handoffs/${handoff.id}`).assignedTo).toBe('Officer Patil');
+  });
+
+  test('of two simultaneous claims only one wins', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+
+    const results = await Promise.allSettled([
+      handoffService.claimHandoff(handoff.id, 'Officer Patil'),
+      handoffService.claimHandoff(handoff.id, 'Officer Shinde')
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(firestore.getDoc(`handoffs/${handoff.id}`).assignedTo).toBe('Officer Patil');
+  });
+
+  test('a closed handoff cannot be claimed', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+    await handoffService.closeHandoff(handoff.id, 'Officer Patil', { notifyCitizen: false });
+
+    await expect(handoffService.claimHandoff(handoff.id, 'Officer Patil')).resolves.toBeNull();
+  });
+});
+
+describe('closeHandoff', () => {
+  test('of two simultaneous closes only one notifies the citizen', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+
+    const [first, second] = await Promise.all([
+      handoffService.closeHandoff(handoff.id, 'Officer Patil'),
+      handoffService.closeHandoff(handoff.id, 'Officer Shinde')
+    ]);
+
+    expect(first).toMatchObject({ status: 'closed', closedBy: 'Officer Patil' });
+    expect(second).toBeNull();
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(citizenService.saveChatMessage).toHaveBeenCalledTimes(1);
+    expect(firestore.getDoc(`handoffs/${handoff.id}`)).toMatchObject({ status: 'closed', closedBy: 'Officer Patil' });
+    expect(firestore.getDoc(`citizens/${CITIZEN}`).handoff).toBeNull();
+  });
+
+  test('closing a closed handoff changes nothing', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+    await handoffService.closeHandoff(handoff.id, 'Officer Patil', { notifyCitizen: false });
+    const reopened = await handoffService.requestHandoff(CITIZEN);
+
+    await expect(handoffService.closeHandoff(handoff.id, 'Officer Shinde')).resolves.toBeNull();
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    expect(firestore.getDoc(`handoffs/${handoff.id}`).closedBy).toBe('Officer Patil');
+    expect(firestore.getDoc(`citizens/${CITIZEN}`).handoff).toMatchObject({ active: true, handoffId: reopened.handoff.id });
+  });
+});
+
+describe('sendAgentReply', () => {
+  test('sends the reply and records it in the thread', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+
+    const result = await handoffService.sendAgentReply(handoff.id, 'Officer Patil', 'Your certificate is ready.');
+
+    expect(result).toMatchObject({ status: 'active', assignedTo: 'Officer Patil' });
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(process.env.PHONE_NUMBER_ID, CITIZEN, 'Your certificate is ready.');
+    expect(citizenService.saveChatMessage).toHaveBeenCalled();
+    expect(threadMessages(handoff.id)).toEqual([expect.objectContaining({ direction: 'outbound', text: 'Your certificate is ready.', operator: 'Officer Patil' })]);
+  });
+
+  test('does not record a reply to a citizen who opted out', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+    whatsappService.sendMessage.mockResolvedValue({ success: false, suppressed: true });
+
+    await expect(handoffService.sendAgentReply(handoff.id, 'Officer Patil', 'Your certificate is ready.'))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(/opted out/) });
+
+    expect(citizenService.saveChatMessage).not.toHaveBeenCalled();
+    expect(threadMessages(handoff.id)).toEqual([]);
+  });
+
+  test('only the officer holding the handoff can reply', async () => {
+    const { handoff } = await handoffService.requestHandoff(CITIZEN);
+    await handoffService.claimHandoff(handoff.id, 'Officer Patil');
+
+    await expect(handoffService.sendAgentReply(handoff.id, 'Officer Shinde', 'Hello')).rejects.toMatchObject({ statusCode: 409 });
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,316 @@
+// In-memory stand-in for config/firebase, for tests that exercise services end to end
+// Usage: jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+// Documents live in `store`, keyed by their full path (e.g. "citizens/919800000001/states/abc")
+
+const store = new Map();
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+}
+
+// Sentinels understood by set/update
+class FieldTransform {
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldTransform('serverTimestamp'),
+  increment: (value) => new FieldTransform('increment', value),
+  arrayUnion: (...values) => new FieldTransform('arrayUnion', values),
+  arrayRemove: (...values) => new FieldTransform('arrayRemove', values),
+  delete: () => new FieldTransform('delete')
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+const clone = (value) => {
+  if (value instanceof Timestamp) return new Timestamp(value.millis);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+const applyTransform = (current, transform) => {
+  switch (transform.type) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + transform.value;
+    case 'arrayUnion':
+      return [...(current || []), ...transform.value.filter(value => !(current || []).includes(value))];
+    case 'arrayRemove':
+      return (current || []).filter(value => !transform.value.includes(value));
+    default:
+      return current;
+  }
+};
+
+// Write one value at a dotted path, resolving sentinels against the current value
+const writeField = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, target);
+
+  if (value instanceof FieldTransform) {
+    if (value.type === 'delete') delete parent[last];
+    else parent[last] = applyTransform(parent[last], value);
+  } else if (isPlainObject(value)) {
+    parent[last] = resolveObject(value, isPlainObject(parent[last]) ? parent[last] : {});
+  } else {
+    parent[last] = clone(value);
+  }
+};
+
+// Nested objects merge key by key so transforms inside them still apply
+const resolveObject = (data, base = {}) => {
+  const result = clone(base);
+  Object.entries(data).forEach(([key, value]) => writeField(result, key, value));
+  return result;
+};
+
+const readField = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.millis;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.map(comparable).includes(a),
+  'not-in': (a, b) => !b.map(comparable).includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+// Snapshots hold the document as it was when read, like Firestore's
+const createSnapshot = (path) => {
+  const exists = store.has(path);
+  const snapshotData = exists ? clone(store.get(path)) : undefined;
+  return {
+    id: path.split('/').pop(),
+    ref: createDocRef(path),
+    exists,
+    data: () => clone(snapshotData),
+    get: (field) => (exists ? clone(readField(snapshotData, field)) : undefined)
+  };
+};
+
+const createQuerySnapshot = (docs) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  forEach: (callback) => docs.forEach(callback)
+});
+
+let autoId = 0;
+const generateId = () => `doc${String(++autoId).padStart(6, '0')}`;
+
+function createDocRef(path) {
+  const ref = {
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => createQuery(`${path}/${name}`),
+    get: async () => createSnapshot(path),
+    set: async (data, options = {}) => {
+      store.set(path, resolveObject(data, options.merge && store.has(path) ? store.get(path) : {}));
+    },
+    create: async (data) => {
+      if (store.has(path)) {
+        const error = new Error(`6 ALREADY_EXISTS: ${path}`);
+        error.code = 6;
+        throw error;
+      }
+      store.set(path, resolveObject(data));
+    },
+    update: async (data) => {
+      if (!store.has(path)) {
+        const error = new Error(`5 NOT_FOUND: ${path}`);
+        error.code = 5;
+        throw error;
+      }
+      const updated = clone(store.get(path));
+      Object.entries(data).forEach(([key, value]) => writeField(updated, key, value));
+      store.set(path, updated);
+    },
+    delete: async () => {
+      store.delete(path);
+    }
+  };
+  return ref;
+}
+
+// A collection (or collection group when group is true) with its filters, ordering and paging
+function createQuery(path, { group = false, filters = [], orders = [], limit = null, cursor = null } = {}) {
+  const refine = (changes) => createQuery(path, { group, filters, orders, limit, cursor, ...changes });
+
+  const matchingPaths = () => [...store.keys()].filter(key => {
+    const segments = key.split('/');
+    if (group) {
+      return segments.length % 2 === 0 && segments[segments.length - 2] === path;
+    }
+    return key.startsWith(`${path}/`) && segments.length === path.split('/').length + 1;
+  });
+
+  return {
+    path,
+    doc: (id) => createDocRef(`${path}/${id || generateId()}`),
+    add: async (data) => {
+      const ref = createDocRef(`${path}/${generateId()}`);
+      await ref.set(data);
+      return ref;
+    },
+    where: (field, operator, value) => refine({ filters: [...filters, { field, operator, value }] }),
+    orderBy: (field, direction = 'asc') => refine({ orders: [...orders, { field, direction }] }),
+    limit: (count) => refine({ limit: count }),
+    startAfter: (snapshot) => refine({ cursor: snapshot }),
+    get: async () => {
+      let docs = matchingPaths().map(createSnapshot);
+
+      docs = docs.filter(doc => filters.every(({ field, operator, value }) => {
+        const fieldValue = comparable(readField(doc.data(), field));
+        return fieldValue !== undefined && OPERATORS[operator](fieldValue, comparable(value));
+      }));
+
+      // Like Firestore, documents without an ordered field are left out
+      docs = docs.filter(doc => orders.every(({ field }) => readField(doc.data(), field) !== undefined));
+      docs.sort((a, b) => {
+        for (const { field, direction } of orders) {
+          const left = comparable(readField(a.data(), field));
+          const right = comparable(readField(b.data(), field));
+          if (left !== right) {
+            return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+          }
+        }
+        return a.ref.path < b.ref.path ? -1 : 1;
+      });
+
+      if (cursor) {
+        docs = docs.slice(docs.findIndex(doc => doc.ref.path === cursor.ref.path) + 1);
+      }
+      if (limit !== null) {
+        docs = docs.slice(0, limit);
+      }
+
+      return createQuerySnapshot(docs);
+    }
+  };
+}
+
+const batch = () => {
+  const operations = [];
+  return {
+    set: (ref, data, options) => operations.push(() => ref.set(data, options)),
+    update: (ref, data) => operations.push(() => ref.update(data)),
+    delete: (ref) => operations.push(() => ref.delete()),
+    create: (ref, data) => operations.push(() => ref.create(data)),
+    commit: async () => {
+      for (const operation of operations) {
+        await operation();
+      }
+    }
+  };
+};
+
+// Transactions run one at a time, which gives the isolation Firestore's retries provide
+let transactionQueue = Promise.resolve();
+
+const runTransaction = (updateFunction) => {
+  const run = transactionQueue.then(async () => {
+    const writes = [];
+    const transaction = {
+      get: (refOrQuery) => refOrQuery.get(),
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return transaction; },
+      update: (ref, data) => { writes.push(() => ref.update(data)); return transaction; },
+      create: (ref, data) => { writes.push(() => ref.create(data)); return transaction; },
+      delete: (ref) => { writes.push(() => ref.delete()); return transaction; }
+    };
+
+    const result = await updateFunction(transaction);
+    for (const write of writes) {
+      await write();
+    }
+    return result;
+  });
+
+  transactionQueue = run.catch(() => {});
+  return run;
+};
+
+const db = {
+  collection: (name) => createQuery(name),
+  collectionGroup: (name) => createQuery(name, { group: true }),
+  doc: (path) => createDocRef(path),
+  batch,
+  runTransaction
+};
+
+const admin = {
+  firestore: {
+    FieldValue,
+    Timestamp,
+    FieldPath: { documentId: () => '__name__' }
+  }
+};
+
+// Plain copy of a stored document, or undefined
+const getDoc = (path) => (store.has(path) ? clone(store.get(path)) : undefined);
+
+// Store a document as-is (sentinels are resolved)
+const setDoc = (path, data) => {
+  store.set(path, resolveObject(data));
+};
+
+// Paths of the stored documents under a collection path
+const listDocs = (collectionPath) => [...store.keys()].filter(key => key.startsWith(`${collectionPath}/`)
+  && key.split('/').length === collectionPath.split('/').length + 1);
+
+const reset = () => {
+  store.clear();
+};
+
+module.exports = {
+  firebase: { db, admin },
+  store,
+  Timestamp,
+  getDoc,
+  setDoc,
+  listDocs,
+  reset
+};
@@ -0,0 +1,66 @@
+// Loading Firebase without a service account ends the process, so it must stay unloaded here
+jest.mock('../src/config/firebase', () => {
+  throw new Error('Firebase must not be loaded');
+});
+
+const llmService = require('../src/services/llmService');
+
+const WHATSAPP_NUMBER = '919800000041';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  llmService.setLLMProvider(llmService.createMockProvider({
+    responses: [{ task: 'response', reply: { content: 'Hello', usage: { promptTokens: 120, completionTokens: 30, cachedTokens: 0, totalTokens: 150 } } }]
+  }));
+});
+
+describe('usage recorder', () => {
+  test('"none" lets calls run without Firebase and never reports the budget as spent', async () => {
+    llmService.setUsageRecorder('none');
+
+    const result = await llmService.chat('response', {
+      messages: [{ role: 'user', content: 'Hi' }],
+      usageContext: { stage: 'answer', whatsappNumber: WHATSAPP_NUMBER }
+    });
+
+    expect(result.content).toBe('Hello');
+    expect(result.costUsd).toBe(0);
+    await expect(llmService.isBudgetExceeded()).resolves.toBe(false);
+  });
+
+  test('a custom recorder receives every call and decides the model', async () => {
+    const recorder = {
+      calculateCost: jest.fn(() => 0.0002),
+      recordUsage: jest.fn(async () => 0.0002),
+      isOverBudget: jest.fn(async () => true)
+    };
+    llmService.setUsageRecorder(recorder);
+
+    const result = await llmService.chat('response', {
+      messages: [{ role: 'user', content: 'Hi' }],
+      usageContext: { stage: 'answer', whatsappNumber: WHATSAPP_NUMBER }
+    });
+
+    expect(result.costUsd).toBe(0.0002);
+    expect(result.model).toBe(process.env.LLM_BUDGET_MODEL || 'gpt-4o-mini');
+    expect(recorder.recordUsage).toHaveBeenCalledWith(expect.objectContaining({
+      task: 'response',
+      stage: 'answer',
+      whatsappNumber: WHATSAPP_NUMBER,
+      degraded: true,
+      usage: expect.objectContaining({ promptTokens: 120, completionTokens: 30 })
+    }));
+  });
+
+  test('rejects unknown recorders', () => {
+    expect(() => llmService.setUsageRecorder('bigquery')).toThrow('Invalid usage recorder');
+    expect(() => llmService.setUsageRecorder({ recordUsage: async () => 0 })).toThrow('Invalid usage recorder');
+  });
+});
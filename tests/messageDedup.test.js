@@ -0,0 +1,212 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+const firestore = require('./helpers/firestore');
+const messageDedup = require('../src/services/messageDedupService');
+const whatsappService = require('../src/services/whatsappService');
+const openaiService = require('../src/services/openaiService');
+const webhookController = require('../src/controllers/webhookController');
+const { captureRawBody, verifyWebhookSignature } = require('../src/utils/webhookSignature');
+
+const TEST_SECRET = 'test-app-secret';
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'webhookTextMessage.json'), 'utf8');
+const FIXTURE_SENDER = '919800000001';
+const FIXTURE_MESSAGE_ID = JSON.parse(FIXTURE).entry[0].changes[0].value.messages[0].id;
+const SENDERS = ['919800000081', '919800000082'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const sign = (body) => 'sha256=' + crypto.createHmac('sha256', TEST_SECRET).update(body).digest('hex');
+
+// Same middleware order as src/index.js; handleWebhook answers before processing, so keep its promise to await
+const buildApp = () => {
+  const app = express();
+  const processing = [];
+
+  app.use(bodyParser.json({ verify: captureRawBody }));
+  app.post('/webhook', verifyWebhookSignature({ appSecret: TEST_SECRET, skip: false, onRejected: jest.fn() }), (req, res) => {
+    processing.push(webhookController.handleWebhook(req, res));
+  });
+
+  return { app, processing };
+};
+
+// Deliver a signed payload and wait until its messages are processed
+const deliver = async ({ app, processing }, body) => {
+  const response = await request(app)
+    .post('/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Hub-Signature-256', sign(body))
+    .send(body);
+
+  expect(response.status).toBe(200);
+  await Promise.all(processing.splice(0));
+};
+
+// Webhook payload with text messages from several senders, in the given order
+const batchPayload = (messages) => JSON.stringify({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: '102290129340398',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550783881', phone_number_id: '106540352242922' },
+        contacts: SENDERS.map(waId => ({ profile: { name: 'Citizen' }, wa_id: waId })),
+        messages: messages.map(({ from, id, text }) => ({ from, id, timestamp: '1749000000', type: 'text', text: { body: text } }))
+      }
+    }]
+  }]
+});
+
+const replies = () => whatsappService.sendMessage.mock.calls.map(call => ({ to: call[1], text: call[2] }));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  firestore.reset();
+  messageDedup.setDedupStore('firestore');
+
+  [FIXTURE_SENDER, ...SENDERS].forEach(whatsappNumber => {
+    firestore.setDoc(`citizens/${whatsappNumber}`, {
+      whatsappNumber,
+      userProvidedName: 'Citizen',
+      village: 'Jejuri',
+      taluka: 'Purandar',
+      preferredLanguage: 'mr',
+      isRegistered: true
+    });
+  });
+
+  jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: true });
+  jest.spyOn(openaiService, 'generatePlannedResponse').mockImplementation(async (messageText) => ({
+    response: `Answer to: ${messageText}`,
+    language: 'mr',
+    plan: { intent: 'question' },
+    knowledge: null,
+    stages: []
+  }));
+});
+
+describe('claimMessage', () => {
+  test.each(['firestore', 'memory'])('%s store: a message ID is claimed once until its entry expires', async (store) => {
+    messageDedup.setDedupStore(store);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await expect(messageDedup.claimMessage('wamid.ttl', HOUR_MS)).resolves.toBe(true);
+    await expect(messageDedup.claimMessage('wamid.ttl', HOUR_MS)).resolves.toBe(false);
+    await expect(messageDedup.claimMessage('wamid.other', HOUR_MS)).resolves.toBe(true);
+
+    Date.now.mockReturnValue(now + HOUR_MS + 1);
+    await expect(messageDedup.claimMessage('wamid.ttl', HOUR_MS)).resolves.toBe(true);
+    await expect(messageDedup.claimMessage('wamid.ttl', HOUR_MS)).resolves.toBe(false);
+
+    Date.now.mockRestore();
+  });
+
+  test('simultaneous claims of one message ID have a single winner', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => messageDedup.claimMessage('wamid.race')));
+
+    expect(results.sort()).toEqual([false, false, true]);
+  });
+
+  test('a failing store lets the message through rather than dropping it', async () => {
+    messageDedup.setDedupStore({ name: 'broken', claim: jest.fn().mockRejectedValue(new Error('unavailable')) });
+
+    await expect(messageDedup.claimMessage('wamid.broken')).resolves.toBe(true);
+  });
+
+  test('cleanupExpired removes only expired entries', async () => {
+    firestore.setDoc('processedMessages/wamid.old', { messageId: 'wamid.old', expiresAt: Date.now() - 1000 });
+    firestore.setDoc('processedMessages/wamid.new', { messageId: 'wamid.new', expiresAt: Date.now() + HOUR_MS });
+
+    await messageDedup.cleanupExpired();
+
+    expect(firestore.listDocs('processedMessages')).toEqual(['processedMessages/wamid.new']);
+  });
+});
+
+describe('webhook retries', () => {
+  test('a replayed signed payload is answered once', async () => {
+    const server = buildApp();
+
+    await deliver(server, FIXTURE);
+    await deliver(server, FIXTURE);
+
+    expect(replies()).toEqual([{ to: FIXTURE_SENDER, text: 'Answer to: पाणी पुरवठा योजनेची माहिती द्या' }]);
+    expect(openaiService.generatePlannedResponse).toHaveBeenCalledTimes(1);
+    expect(firestore.getDoc(`processedMessages/${FIXTURE_MESSAGE_ID}`)).toMatchObject({ messageId: FIXTURE_MESSAGE_ID });
+  });
+
+  test('a payload replayed after the dedup entry expired is answered again', async () => {
+    const server = buildApp();
+
+    await deliver(server, FIXTURE);
+    firestore.setDoc(`processedMessages/${FIXTURE_MESSAGE_ID}`, { messageId: FIXTURE_MESSAGE_ID, expiresAt: Date.now() - 1000 });
+    await deliver(server, FIXTURE);
+
+    expect(replies()).toHaveLength(2);
+  });
+
+  test('a message repeated within one batch is answered once', async () => {
+    const server = buildApp();
+
+    await deliver(server, batchPayload([
+      { from: SENDERS[0], id: 'wamid.batch.1', text: 'first' },
+      { from: SENDERS[0], id: 'wamid.batch.1', text: 'first' }
+    ]));
+
+    expect(replies()).toEqual([{ to: SENDERS[0], text: 'Answer to: first' }]);
+  });
+});
+
+describe('batched messages', () => {
+  test('keep each sender in order while senders are answered concurrently', async () => {
+    // The first sender's first question is slow to answer
+    openaiService.generatePlannedResponse.mockImplementation(async (messageText) => {
+      if (messageText === 'slow question') {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return { response: `Answer to: ${messageText}`, language: 'mr', plan: { intent: 'question' }, knowledge: null, stages: [] };
+    });
+
+    await deliver(buildApp(), batchPayload([
+      { from: SENDERS[0], id: 'wamid.order.1', text: 'slow question' },
+      { from: SENDERS[0], id: 'wamid.order.2', text: 'follow-up' },
+      { from: SENDERS[1], id: 'wamid.order.3', text: 'other citizen' }
+    ]));
+
+    expect(replies()).toEqual([
+      { to: SENDERS[1], text: 'Answer to: other citizen' },
+      { to: SENDERS[0], text: 'Answer to: slow question' },
+      { to: SENDERS[0], text: 'Answer to: follow-up' }
+    ]);
+  });
+
+  test('a failing message does not stop the rest of its sender\'s messages', async () => {
+    openaiService.generatePlannedResponse.mockRejectedValueOnce(new Error('model unavailable'));
+
+    await deliver(buildApp(), batchPayload([
+      { from: SENDERS[0], id: 'wamid.fail.1', text: 'first' },
+      { from: SENDERS[0], id: 'wamid.fail.2', text: 'second' }
+    ]));
+
+    expect(replies()).toContainEqual({ to: SENDERS[0], text: 'Answer to: second' });
+    expect(openaiService.generatePlannedResponse).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,232 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const firestore = require('./helpers/firestore');
+const llmService = require('../src/services/llmService');
+const citizenService = require('../src/services/citizenService');
+const openaiService = require('../src/services/openaiService');
+const transcriptionService = require('../src/services/transcriptionService');
+const knowledgeBaseService = require('../src/services/knowledgeBaseService');
+const flowEngine = require('../src/services/flowEngineService');
+
+const CITIZEN = '919800000021';
+const REGISTERED_CITIZEN = '919800000022';
+const VOICE_CITIZEN = '919800000023';
+const CHATTY_VOICE_CITIZEN = '919800000024';
+const MENU_CITIZEN = '919800000025';
+
+// Scripted planner: the name or village the citizen typed, as the model would extract it
+const planReply = (args) => ({
+  toolCalls: [{
+    name: 'plan_turn',
+    arguments: { language: 'en', intent: 'registration', knowledge_query: null, knowledge_sections: [], full_name: null, village_name: null, confidence: 0.95, ...args }
+  }]
+});
+
+const activeState = (whatsappNumber) => firestore.listDocs(`citizens/${whatsappNumber}/states`)
+  .map(path => firestore.getDoc(path))
+  .find(state => state.isActive);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  firestore.reset();
+});
+
+describe('registration through the mock provider', () => {
+  test('registers a citizen from their name and village', async () => {
+    const provider = llmService.createMockProvider({
+      responses: [
+        { task: 'planning', match: /Asha Patil/, reply: planReply({ full_name: 'Asha Patil' }) },
+        { task: 'planning', match: /Jejuri/, reply: planReply({ village_name: 'Jejuri' }) },
+        { task: 'response', reply: { content: 'Thank you Asha! Which village do you live in?' } }
+      ]
+    });
+    llmService.setLLMProvider(provider);
+
+    firestore.setDoc(`citizens/${CITIZEN}`, {
+      whatsappNumber: CITIZEN,
+      whatsappDisplayName: 'Asha',
+      isRegistered: false,
+      createdAt: firestore.Timestamp.now()
+    });
+
+    const nameTurn = await citizenService.processRegistrationWithFunctionCalling(
+      CITIZEN, 'My name is Asha Patil', 'en', 'PHONE_ID', firestore.getDoc(`citizens/${CITIZEN}`)
+    );
+
+    expect(nameTurn.response).toBe('Thank you Asha! Which village do you live in?');
+    expect(activeState(CITIZEN).stateId).toBe('awaiting_village');
+    expect(firestore.getDoc(`citizens/${CITIZEN}`).userProvidedName).toBe('Asha Patil');
+
+    const villageTurn = await citizenService.processRegistrationWithFunctionCalling(
+      CITIZEN, 'Jejuri', 'en', 'PHONE_ID', firestore.getDoc(`citizens/${CITIZEN}`)
+    );
+
+    expect(villageTurn.showMainMenu).toBe(true);
+    expect(firestore.getDoc(`citizens/${CITIZEN}`)).toMatchObject({
+      isRegistered: true,
+      village: 'Jejuri',
+      taluka: 'Purandar'
+    });
+
+    // One planning call per message, plus the reply after the name; the completion message is a template
+    expect(provider.calls.map(call => call.task)).toEqual(['planning', 'response', 'planning']);
+
+    // Usage is recorded without being awaited
+    await new Promise(resolve => setImmediate(resolve));
+    const usage = firestore.listDocs('llmUsage').map(path => firestore.getDoc(path));
+    expect(usage.map(entry => [entry.stage, entry.whatsappNumber])).toEqual([
+      ['plan', CITIZEN],
+      ['reply', CITIZEN],
+      ['plan', CITIZEN]
+    ]);
+  });
+});
+
+describe('planned turn through the mock provider', () => {
+  test('plans, retrieves the chosen section and answers with one more call', async () => {
+    const provider = llmService.createMockProvider({
+      responses: [
+        {
+          task: 'planning',
+          reply: planReply({ intent: 'question', knowledge_query: 'water supply', knowledge_sections: ['Zilla Parishad Rural Water Supply Department'] })
+        },
+        {
+          task: 'response',
+          reply: request => ({
+            content: request.messages.some(message => message.content.includes('<knowledge>'))
+              ? 'Apply for a new water connection at your Gram Panchayat.'
+              : 'No knowledge was given.'
+          })
+        }
+      ]
+    });
+    llmService.setLLMProvider(provider);
+
+    const citizenData = { whatsappNumber: REGISTERED_CITIZEN, userProvidedName: 'Ravi Jadhav', village: 'Jejuri', taluka: 'Purandar', isRegistered: true };
+    const message = 'How do I get a new water connection?';
+
+    const result = await openaiService.generatePlannedResponse(message, [{ role: 'user', content: message }], 'en', citizenData);
+
+    expect(result.response).toBe('Apply for a new water connection at your Gram Panchayat.');
+    expect(result.plan).toMatchObject({ intent: 'question', knowledgeSections: ['Zilla Parishad Rural Water Supply Department'] });
+    expect(result.knowledge.text).toMatch(/water/i);
+    expect(result.stages.map(stage => stage.stage)).toEqual(['plan', 'retrieval', 'answer']);
+    expect(provider.calls.map(call => call.task)).toEqual(['planning', 'response']);
+
+    // Knowledge was already retrieved, so the answer call is not offered the search tool
+    const answerTools = provider.calls[1].tools.map(tool => tool.function.name);
+    expect(answerTools).not.toContain('search_zp_knowledge');
+  });
+
+  test('allows one tool round and records the extra answer call as its own stage', async () => {
+    const provider = llmService.createMockProvider({
+      responses: [
+        { task: 'planning', reply: planReply({ intent: 'question' }) },
+        {
+          task: 'response',
+          // Asks for a tool whenever it may, to check the planned path stops after one round
+          reply: request => (request.toolChoice === 'none'
+            ? { content: 'Your registered village is Jejuri.' }
+            : { toolCalls: [{ name: 'get_citizen_profile', arguments: {} }] })
+        }
+      ]
+    });
+    llmService.setLLMProvider(provider);
+
+    const citizenData = { whatsappNumber: REGISTERED_CITIZEN, userProvidedName: 'Ravi Jadhav', village: 'Jejuri', taluka: 'Purandar', isRegistered: true };
+    const message = 'Which village am I registered in?';
+
+    const result = await openaiService.generatePlannedResponse(message, [{ role: 'user', content: message }], 'en', citizenData);
+
+    expect(result.response).toBe('Your registered village is Jejuri.');
+    expect(provider.calls.map(call => [call.task, call.toolChoice])).toEqual([
+      ['planning', { name: 'plan_turn' }],
+      ['response', 'auto'],
+      ['response', 'none']
+    ]);
+    expect(result.stages.map(stage => stage.stage)).toEqual(['plan', 'answer', 'tool_answer']);
+    expect(result.stages[1].tools).toEqual(['get_citizen_profile']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const usageStages = firestore.listDocs('llmUsage').map(path => firestore.getDoc(path).stage);
+    expect(usageStages).toEqual(['plan', 'answer', 'tool_answer']);
+  });
+});
+
+describe('voice notes through the mock provider', () => {
+  test('records the transcription cost per minute of audio against the citizen', async () => {
+    const provider = llmService.createMockProvider({
+      responses: [{ task: 'transcription', reply: { text: 'माझ्या गावात पाणी येत नाही', language: 'mr', audioSeconds: 30 } }]
+    });
+    llmService.setLLMProvider(provider);
+    transcriptionService.setTranscriptionAdapter('llm');
+
+    const result = await transcriptionService.transcribeAudio(Buffer.from('OggS voice'), 'audio/ogg; codecs=opus', { whatsappNumber: VOICE_CITIZEN });
+
+    expect(result).toMatchObject({ success: true, text: 'माझ्या गावात पाणी येत नाही', language: 'mr', provider: 'llm' });
+    expect(provider.calls[0]).toMatchObject({ type: 'transcribe', model: 'whisper-1', mimeType: 'audio/ogg; codecs=opus' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    const usage = firestore.listDocs('llmUsage').map(path => firestore.getDoc(path));
+    expect(usage).toEqual([expect.objectContaining({
+      task: 'transcription',
+      stage: 'transcription',
+      whatsappNumber: VOICE_CITIZEN,
+      model: 'whisper-1',
+      audioSeconds: 30,
+      costUsd: 0.003
+    })]);
+  });
+
+  test('voice notes count against the citizen limit and a throttled one is not reported as not understood', async () => {
+    llmService.setLLMProvider(llmService.createMockProvider({
+      responses: [{ task: 'transcription', reply: { text: 'Hello', audioSeconds: 2 } }]
+    }));
+    transcriptionService.setTranscriptionAdapter('llm');
+
+    const audio = Buffer.from('OggS voice');
+    const transcribe = () => transcriptionService.transcribeAudio(audio, 'audio/ogg', { whatsappNumber: CHATTY_VOICE_CITIZEN });
+
+    const burst = parseInt(process.env.LLM_CITIZEN_BURST, 10) || 12;
+    for (let i = 0; i < burst; i++) {
+      await expect(transcribe()).resolves.toMatchObject({ success: true });
+    }
+    await expect(transcribe()).rejects.toMatchObject({ code: 'LLM_THROTTLED', scope: 'citizen' });
+  });
+});
+
+describe('main menu through the mock provider', () => {
+  const educationTap = { replyId: 'flow:main_menu:departments:education' };
+
+  test('records the department answer against the citizen who tapped it', async () => {
+    const provider = llmService.createMockProvider({
+      responses: [{ task: 'knowledgeSearch', reply: { content: 'Primary schools are run by the Education Department.' } }]
+    });
+    llmService.setLLMProvider(provider);
+
+    const result = await flowEngine.handleMessage(MENU_CITIZEN, educationTap, 'en');
+
+    expect(result).toMatchObject({ handled: true, flowId: 'main_menu' });
+    expect(provider.calls.map(call => call.task)).toEqual(['knowledgeSearch']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const usage = firestore.listDocs('llmUsage').map(path => firestore.getDoc(path));
+    expect(usage).toEqual([expect.objectContaining({ task: 'knowledgeSearch', stage: 'department_info', whatsappNumber: MENU_CITIZEN })]);
+  });
+
+  test('a throttled department tap reaches the webhook instead of being dropped', async () => {
+    const throttled = Object.assign(new Error('Too many requests'), { code: 'LLM_THROTTLED', scope: 'citizen' });
+    jest.spyOn(knowledgeBaseService, 'searchByCategory').mockRejectedValueOnce(throttled);
+
+    await expect(flowEngine.handleMessage(MENU_CITIZEN, educationTap, 'en')).rejects.toMatchObject({ code: 'LLM_THROTTLED' });
+  });
+});
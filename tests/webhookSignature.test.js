@@ -0,0 +1,180 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestore').firebase);
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+const firestore = require('./helpers/firestore');
+const { captureRawBody, computeSignature, isValidSignature, logRejectedWebhook, verifyWebhookSignature } = require('../src/utils/webhookSignature');
+
+const TEST_SECRET = 'test-app-secret';
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'webhookTextMessage.json'), 'utf8');
+
+// Signature Meta would send for a payload signed with the given secret
+const sign = (body, secret = TEST_SECRET) => {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+};
+
+// Same middleware order as src/index.js, with the rejection log captured instead of written to Firestore
+const buildApp = (options = {}) => {
+  const onRejected = jest.fn().mockResolvedValue();
+  const app = express();
+
+  app.use(bodyParser.json({ verify: captureRawBody }));
+  app.post('/webhook', verifyWebhookSignature({ appSecret: TEST_SECRET, skip: false, onRejected, ...options }), (req, res) => {
+    res.status(200).json({ entries: req.body.entry.length });
+  });
+
+  return { app, onRejected };
+};
+
+const postWebhook = (app, body, signature) => {
+  const pending = request(app).post('/webhook').set('Content-Type', 'application/json');
+  if (signature) {
+    pending.set('X-Hub-Signature-256', signature);
+  }
+  return pending.send(body);
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('computeSignature / isValidSignature', () => {
+  test('matches the HMAC-SHA256 of the raw payload', () => {
+    expect(computeSignature(Buffer.from(FIXTURE), TEST_SECRET)).toBe(sign(FIXTURE));
+    expect(isValidSignature(Buffer.from(FIXTURE), sign(FIXTURE), TEST_SECRET)).toBe(true);
+  });
+
+  test('rejects missing inputs and signatures of a different length', () => {
+    expect(isValidSignature(Buffer.from(FIXTURE), null, TEST_SECRET)).toBe(false);
+    expect(isValidSignature(Buffer.from(FIXTURE), sign(FIXTURE), '')).toBe(false);
+    expect(isValidSignature(Buffer.from(FIXTURE), 'sha256=abc', TEST_SECRET)).toBe(false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  test('accepts a payload signed with the app secret', async () => {
+    const { app, onRejected } = buildApp();
+
+    const response = await postWebhook(app, FIXTURE, sign(FIXTURE));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ entries: 1 });
+    expect(onRejected).not.toHaveBeenCalled();
+  });
+
+  test('checks the exact bytes received, not the re-serialised JSON', async () => {
+    const { app } = buildApp();
+    const compact = JSON.stringify(JSON.parse(FIXTURE));
+
+    expect((await postWebhook(app, FIXTURE, sign(compact))).status).toBe(401);
+    expect((await postWebhook(app, compact, sign(compact))).status).toBe(200);
+  });
+
+  test('rejects a tampered body', async () => {
+    const { app, onRejected } = buildApp();
+    const tampered = FIXTURE.replace('919800000001', '919800000002');
+
+    const response = await postWebhook(app, tampered, sign(FIXTURE));
+
+    expect(response.status).toBe(401);
+    expect(onRejected).toHaveBeenCalledWith(expect.anything(), 'invalid_signature');
+  });
+
+  test('rejects a request without the signature header', async () => {
+    const { app, onRejected } = buildApp();
+
+    const response = await postWebhook(app, FIXTURE, null);
+
+    expect(response.status).toBe(401);
+    expect(onRejected).toHaveBeenCalledWith(expect.anything(), 'missing_signature');
+  });
+
+  test('rejects a payload signed with another secret', async () => {
+    const { app, onRejected } = buildApp();
+
+    const response = await postWebhook(app, FIXTURE, sign(FIXTURE, 'some-other-secret'));
+
+    expect(response.status).toBe(401);
+    expect(onRejected).toHaveBeenCalledWith(expect.anything(), 'invalid_signature');
+  });
+
+  test('rejects every request when no app secret is configured', async () => {
+    const previousSecret = process.env.WHATSAPP_APP_SECRET;
+    delete process.env.WHATSAPP_APP_SECRET;
+
+    try {
+      const { app, onRejected } = buildApp({ appSecret: undefined });
+
+      const response = await postWebhook(app, FIXTURE, sign(FIXTURE));
+
+      expect(response.status).toBe(401);
+      expect(onRejected).toHaveBeenCalledWith(expect.anything(), 'app_secret_not_configured');
+    } finally {
+      if (previousSecret !== undefined) {
+        process.env.WHATSAPP_APP_SECRET = previousSecret;
+      }
+    }
+  });
+
+  test('answers 401 without waiting for the rejection to be recorded', async () => {
+    const onRejected = jest.fn(() => new Promise(() => {}));
+    const { app } = buildApp({ onRejected });
+
+    const response = await postWebhook(app, FIXTURE, null);
+
+    expect(response.status).toBe(401);
+    expect(onRejected).toHaveBeenCalledWith(expect.anything(), 'missing_signature');
+  });
+
+  test('passes requests through when verification is explicitly skipped', async () => {
+    const { app, onRejected } = buildApp({ skip: true });
+
+    const response = await postWebhook(app, FIXTURE, null);
+
+    expect(response.status).toBe(200);
+    expect(onRejected).not.toHaveBeenCalled();
+  });
+});
+
+describe('logRejectedWebhook', () => {
+  const rejectedRequest = { ip: '203.0.113.7', get: () => 'curl/8.0' };
+  const rejectionEvents = () => firestore.listDocs('messageMetrics/security/webhookRejections').map(path => firestore.getDoc(path));
+  const dailyRejections = () => firestore.listDocs('messageMetrics')
+    .map(path => firestore.getDoc(path))
+    .reduce((total, metrics) => total + (metrics.webhookRejections || 0), 0);
+
+  beforeEach(() => {
+    firestore.reset();
+  });
+
+  test('counts every rejection but writes one event per reason per interval', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    for (let i = 0; i < 5; i++) {
+      await logRejectedWebhook(rejectedRequest, 'invalid_signature');
+    }
+    await logRejectedWebhook(rejectedRequest, 'missing_raw_body');
+
+    expect(dailyRejections()).toBe(6);
+    expect(rejectionEvents().map(event => event.reason).sort()).toEqual(['invalid_signature', 'missing_raw_body']);
+
+    // The next event after the interval carries the count it stood in for
+    Date.now.mockReturnValue(now + 60001);
+    await logRejectedWebhook(rejectedRequest, 'invalid_signature');
+
+    expect(dailyRejections()).toBe(7);
+    expect(rejectionEvents()).toContainEqual(expect.objectContaining({ reason: 'invalid_signature', skippedSinceLast: 4, ip: '203.0.113.7' }));
+
+    Date.now.mockRestore();
+  });
+});